@@ -1,23 +1,308 @@
-import { app, BrowserWindow } from "electron";
+import { app, BrowserWindow, dialog, ipcMain, safeStorage, session } from "electron";
+import fs from "fs/promises";
 import path from "path";
 import { fileURLToPath } from "url";
+import { PROVIDERS, keyEndpoint, requestCompletion } from "./src/lib/providers.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 let mainWindow;
 
+// -------------------- Sessions --------------------
+// Each grading session is one JSON file under <userData>/sessions.
+const sessionsDir = () => path.join(app.getPath("userData"), "sessions");
+
+const sessionPath = (id) => {
+  if (!/^[\w-]+$/.test(id)) throw new Error(`Invalid session id: ${id}`);
+  return path.join(sessionsDir(), `${id}.json`);
+};
+
+const listSessions = async () => {
+  await fs.mkdir(sessionsDir(), { recursive: true });
+  const entries = await fs.readdir(sessionsDir());
+  const sessions = [];
+  for (const entry of entries) {
+    if (!entry.endsWith(".json")) continue;
+    try {
+      const raw = await fs.readFile(path.join(sessionsDir(), entry), "utf8");
+      const { id, name, createdAt, updatedAt, students } = JSON.parse(raw);
+      sessions.push({
+        id,
+        name,
+        createdAt,
+        updatedAt,
+        studentCount: students?.length ?? 0,
+        gradedCount: students?.filter((s) => s.result).length ?? 0,
+      });
+    } catch (err) {
+      console.error(`Skipping unreadable session ${entry}:`, err);
+    }
+  }
+  return sessions.sort((a, b) =>
+    String(b.updatedAt).localeCompare(String(a.updatedAt))
+  );
+};
+
+const loadSession = async (id) =>
+  JSON.parse(await fs.readFile(sessionPath(id), "utf8"));
+
+// Write to a temp file of its own first, so a crash mid-write never corrupts
+// the file; writes to one file are chained so an older save never lands last.
+const writes = new Map(); // target path → its latest write
+let tmpCounter = 0;
+const writeAtomic = (target, data, options) => {
+  const tmp = `${target}.${process.pid}-${++tmpCounter}.tmp`;
+  const write = (writes.get(target) || Promise.resolve())
+    .catch(() => {})
+    .then(async () => {
+      await fs.writeFile(tmp, data, options);
+      await fs.rename(tmp, target);
+    });
+  writes.set(target, write);
+  const forget = () => writes.get(target) === write && writes.delete(target);
+  write.then(forget, forget);
+  return write;
+};
+
+const saveSession = async (session) => {
+  await fs.mkdir(sessionsDir(), { recursive: true });
+  await writeAtomic(sessionPath(session.id), JSON.stringify(session), "utf8");
+  return true;
+};
+
+// `keep` holds the open session's hashes, whose latest autosave may not have landed.
+const deleteSession = async (id, keep = []) => {
+  await fs.rm(sessionPath(id), { force: true });
+  await pruneSources(keep);
+  return true;
+};
+
+ipcMain.handle("sessions:list", () => listSessions());
+ipcMain.handle("sessions:load", (_e, id) => loadSession(id));
+ipcMain.handle("sessions:save", (_e, session) => saveSession(session));
+ipcMain.handle("sessions:delete", (_e, id, keep) => deleteSession(id, keep));
+
+// -------------------- Original files --------------------
+// Submission files keyed by their SHA-256, shared by every session that uses them.
+const sourcesDir = () => path.join(app.getPath("userData"), "sources");
+
+const sourcePath = (hash) => {
+  if (!/^[a-f0-9]{64}$/.test(hash)) throw new Error(`Invalid source hash: ${hash}`);
+  return path.join(sourcesDir(), hash);
+};
+
+const saveSource = async (hash, data) => {
+  await fs.mkdir(sourcesDir(), { recursive: true });
+  const target = sourcePath(hash);
+  try {
+    await fs.access(target);
+  } catch {
+    await writeAtomic(target, Buffer.from(data));
+  }
+  return true;
+};
+
+const loadSource = async (hash) => {
+  try {
+    return await fs.readFile(sourcePath(hash));
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+};
+
+// Drop files no remaining session (nor the hashes in `keep`) refers to.
+const pruneSources = async (keep = []) => {
+  const used = new Set(keep);
+  for (const entry of await fs.readdir(sessionsDir())) {
+    if (!entry.endsWith(".json")) continue;
+    try {
+      const { students } = JSON.parse(await fs.readFile(path.join(sessionsDir(), entry), "utf8"));
+      students?.forEach((s) => s.hash && used.add(s.hash));
+    } catch {
+      return; // an unreadable session might still need its files
+    }
+  }
+  let files = [];
+  try {
+    files = await fs.readdir(sourcesDir());
+  } catch {
+    return;
+  }
+  for (const file of files) {
+    if (!used.has(file)) await fs.rm(path.join(sourcesDir(), file), { force: true });
+  }
+};
+
+ipcMain.handle("sources:save", (_e, hash, data) => saveSource(hash, data));
+ipcMain.handle("sources:load", (_e, hash) => loadSource(hash));
+
+// -------------------- Folder import --------------------
+const SUBMISSION_FILE = /\.(txt|docx|pdf|jpe?g|png|tiff?|zip)$/i;
+const JUNK = new Set(["__MACOSX", ".DS_Store", "Thumbs.db", "desktop.ini"]);
+
+const walkFolder = async (root, dir = root, out = []) => {
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    if (JUNK.has(entry.name) || entry.name.startsWith(".") || entry.name.startsWith("~$")) continue;
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) await walkFolder(root, full, out);
+    else if (entry.isFile() && SUBMISSION_FILE.test(entry.name)) {
+      out.push({
+        path: path.relative(root, full).split(path.sep).join("/"),
+        data: await fs.readFile(full),
+      });
+    }
+  }
+  return out;
+};
+
+ipcMain.handle("files:pickFolder", async () => {
+  const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
+    title: "Import submissions folder",
+    properties: ["openDirectory"],
+  });
+  if (canceled || !filePaths[0]) return [];
+  return walkFolder(filePaths[0]);
+});
+
+// -------------------- Export --------------------
+ipcMain.handle("files:save", async (_e, { defaultName, filters, data }) => {
+  const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
+    defaultPath: path.join(app.getPath("documents"), defaultName),
+    filters,
+  });
+  if (canceled || !filePath) return null;
+  await fs.writeFile(filePath, Buffer.from(data));
+  return filePath;
+});
+
+// -------------------- API keys --------------------
+// Encrypted with safeStorage (the OS keychain) in <userData>/keys.json and
+// never returned to the renderer; model requests are made from here instead.
+const keysPath = () => path.join(app.getPath("userData"), "keys.json");
+const memoryKeys = new Map(); // when the OS offers no encryption, until quit
+
+const checkProvider = (providerId) => {
+  if (!Object.hasOwn(PROVIDERS, providerId)) throw new Error(`Unknown provider: ${providerId}`);
+};
+
+const readKeys = async () => {
+  try {
+    return JSON.parse(await fs.readFile(keysPath(), "utf8"));
+  } catch {
+    return {};
+  }
+};
+
+// Entries are { key, endpoint }: a key is only sent to the endpoint it was
+// saved for, so a changed Base URL cannot carry it to another host.
+const getKey = async (settings) => {
+  const providerId = settings.provider;
+  const stored = memoryKeys.get(providerId) || (await readKeys())[providerId];
+  if (!stored) return "";
+  const endpoint = keyEndpoint(settings);
+  if (stored.endpoint !== endpoint)
+    throw new Error(
+      `The saved ${PROVIDERS[providerId].label} key belongs to ${stored.endpoint || "another endpoint"}, ` +
+        `not ${endpoint || "this endpoint"}; enter the key again to use it here`
+    );
+  return memoryKeys.has(providerId) ? stored.key : safeStorage.decryptString(Buffer.from(stored.key, "base64"));
+};
+
+const setKey = async (providerId, key, endpoint) => {
+  checkProvider(providerId);
+  const keys = await readKeys();
+  delete keys[providerId];
+  memoryKeys.delete(providerId);
+  const encrypted = safeStorage.isEncryptionAvailable();
+  if (key && encrypted) keys[providerId] = { key: safeStorage.encryptString(key).toString("base64"), endpoint };
+  else if (key) memoryKeys.set(providerId, { key, endpoint });
+  await writeAtomic(keysPath(), JSON.stringify(keys), { encoding: "utf8", mode: 0o600 });
+  return !key || encrypted;
+};
+
+// Where each stored key may be sent, or null; "" for a key saved before keys
+// were tied to endpoints.
+const keyStatus = async () => {
+  const keys = await readKeys();
+  return Object.fromEntries(
+    Object.keys(PROVIDERS).map((id) => {
+      const stored = memoryKeys.get(id) || keys[id];
+      return [id, stored ? stored.endpoint || "" : null];
+    })
+  );
+};
+
+ipcMain.handle("keys:status", () => keyStatus());
+ipcMain.handle("keys:set", (_e, settings, key) =>
+  setKey(settings.provider, String(key || "").trim(), key ? keyEndpoint(settings) : "")
+);
+
+// -------------------- Model requests --------------------
+const inflight = new Map(); // request id → AbortController
+
+// Errors are returned rather than thrown: IPC would reduce them to a message.
+ipcMain.handle("models:complete", async (_e, id, settings, messages) => {
+  const controller = new AbortController();
+  inflight.set(id, controller);
+  try {
+    checkProvider(settings.provider);
+    const apiKey = await getKey(settings);
+    return { reply: await requestCompletion(settings, apiKey, messages, { signal: controller.signal }) };
+  } catch (err) {
+    return {
+      error: {
+        name: err.name,
+        message: err.message,
+        status: err.status ?? 0,
+        body: err.body ?? "",
+        retryAfter: err.retryAfter ?? null,
+      },
+    };
+  } finally {
+    inflight.delete(id);
+  }
+});
+
+ipcMain.on("models:cancel", (_e, id) => inflight.get(id)?.abort());
+
+// -------------------- Content Security Policy --------------------
+// Production builds carry a strict policy in index.html (see vite.config.js).
+// The Vite dev server needs inline scripts and its websocket for hot reload.
+const DEV_CSP = [
+  "default-src 'self'",
+  "script-src 'self' 'unsafe-inline' 'wasm-unsafe-eval'",
+  "style-src 'self' 'unsafe-inline'",
+  "img-src 'self' data: blob:",
+  "font-src 'self' data:",
+  "worker-src 'self' blob:",
+  "connect-src 'self' ws://localhost:* data: blob:",
+  "object-src 'none'",
+  "base-uri 'self'",
+].join("; ");
+
+const applyDevCsp = () =>
+  session.defaultSession.webRequest.onHeadersReceived((details, callback) =>
+    callback({
+      responseHeaders: { ...details.responseHeaders, "Content-Security-Policy": [DEV_CSP] },
+    })
+  );
+
+// -------------------- Window --------------------
 const createWindow = () => {
   mainWindow = new BrowserWindow({
     width: 1200,
     height: 800,
     webPreferences: {
       contextIsolation: true,
+      preload: path.join(__dirname, "preload.cjs"),
     },
   });
 
   if (process.env.ELECTRON_START_URL) {
     // dev mode → Vite dev server
+    applyDevCsp();
     mainWindow.loadURL(process.env.ELECTRON_START_URL);
   } else {
     // prod mode → built index.html
@@ -0,0 +1,28 @@
+// Preload bridge: the only main-process surface the renderer can reach.
+const { contextBridge, ipcRenderer } = require("electron");
+
+contextBridge.exposeInMainWorld("fastgrade", {
+  sessions: {
+    list: () => ipcRenderer.invoke("sessions:list"),
+    load: (id) => ipcRenderer.invoke("sessions:load", id),
+    save: (session) => ipcRenderer.invoke("sessions:save", session),
+    remove: (id, keep) => ipcRenderer.invoke("sessions:delete", id, keep),
+  },
+  sources: {
+    save: (hash, data) => ipcRenderer.invoke("sources:save", hash, data),
+    load: (hash) => ipcRenderer.invoke("sources:load", hash),
+  },
+  files: {
+    pickFolder: () => ipcRenderer.invoke("files:pickFolder"),
+    save: (options) => ipcRenderer.invoke("files:save", options),
+  },
+  // Keys go in but never come back out.
+  keys: {
+    status: () => ipcRenderer.invoke("keys:status"),
+    set: (settings, key) => ipcRenderer.invoke("keys:set", settings, key),
+  },
+  models: {
+    complete: (id, settings, messages) => ipcRenderer.invoke("models:complete", id, settings, messages),
+    cancel: (id) => ipcRenderer.send("models:cancel", id),
+  },
+});
@@ -0,0 +1,34 @@
+// Copies the Tesseract worker, WASM core and language data into public/ocr
+// so OCR works without network access (Vite then ships them in dist/).
+import fs from "fs";
+import path from "path";
+import { createRequire } from "module";
+import { fileURLToPath } from "url";
+
+const require = createRequire(import.meta.url);
+const root = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+const outDir = path.join(root, "public", "ocr");
+
+const packageDir = (name) => path.dirname(require.resolve(`${name}/package.json`));
+
+// Keep in sync with OCR_LANGUAGES in src/lib/ocr.js
+const LANGUAGES = ["eng", "spa", "fra"];
+
+const copy = (from, name = path.basename(from)) => {
+  const to = path.join(outDir, name);
+  const stat = fs.statSync(from);
+  if (fs.existsSync(to) && fs.statSync(to).size === stat.size) return;
+  fs.copyFileSync(from, to);
+  console.log(`ocr: ${name}`);
+};
+
+fs.mkdirSync(outDir, { recursive: true });
+copy(path.join(packageDir("tesseract.js"), "dist", "worker.min.js"));
+const core = packageDir("tesseract.js-core");
+for (const file of fs.readdirSync(core)) {
+  // LSTM-only builds are all we need with OEM.LSTM_ONLY
+  if (file.endsWith("lstm.wasm.js")) copy(path.join(core, file));
+}
+for (const lang of LANGUAGES) {
+  copy(path.join(packageDir(`@tesseract.js-data/${lang}`), "4.0.0_best_int", `${lang}.traineddata.gz`));
+}
@@ -0,0 +1,334 @@
+#!/usr/bin/env node
+// Headless batch grading with the app's pipeline, for scripts and cron jobs:
+//
+//   npm run grade -- --key key.docx --submissions ./class-4b --out 4b.xlsx
+//
+// Exit codes: 0 every submission graded, 1 some failed or were unreadable,
+// 2 bad options or unreadable input, 130 interrupted (whatever was graded is
+// still written).
+import fs from "fs/promises";
+import path from "path";
+import { parseArgs } from "util";
+import { fileURLToPath } from "url";
+import { hasStructuredKey, parseAnswerKeyText } from "../src/lib/answerKey.js";
+import { gradebookCsv, gradebookXlsx, sessionJson } from "../src/lib/exports.js";
+import { DEFAULT_SCALE } from "../src/lib/gradingScales.js";
+import { createGradingQueue } from "../src/lib/gradingQueue.js";
+import { SUPPORTED_SUBMISSION, expandUploads, isJunkPath } from "../src/lib/ingest.js";
+import { consoleLogger, setLogger } from "../src/lib/logger.js";
+import { DEFAULT_OCR_SETTINGS, OCR_LANGUAGES, setOcrLanguageDir, terminateOcr } from "../src/lib/ocr.js";
+import { gradeStudent, importSubmissions } from "../src/lib/pipeline.js";
+import { DEFAULT_PRICES, addUsage, costForUsage, formatCost, pricingModel } from "../src/lib/pricing.js";
+import {
+  BUILTIN_TEMPLATES,
+  DEFAULT_PROMPT_VARIABLES,
+  STRICTNESS_LEVELS,
+  fillVariables,
+} from "../src/lib/promptLibrary.js";
+import { DEFAULT_PROVIDER_SETTINGS, PROVIDERS, describeModel } from "../src/lib/providers.js";
+import { readAnswerKeyFile, readSubmission } from "../src/lib/readers.js";
+import { calculateTotals } from "../src/lib/scoring.js";
+import { createSession } from "../src/lib/sessions.js";
+import { DEFAULT_SPLIT_SETTINGS, SPLIT_STRATEGIES, splitPages } from "../src/lib/splitting.js";
+
+const root = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+
+const EXIT = { ok: 0, failed: 1, usage: 2, interrupted: 130 };
+
+// Keys come from the environment so they stay out of shell history and `ps`.
+const KEY_ENV = {
+  openai: "OPENAI_API_KEY",
+  compatible: "OPENAI_API_KEY",
+  azure: "AZURE_OPENAI_API_KEY",
+  anthropic: "ANTHROPIC_API_KEY",
+};
+
+const HELP = `Usage: npm run grade -- --key <file> --submissions <folder|zip> [options]
+
+  -k, --key <file>           Answer key (TXT, DOCX or PDF)
+  -s, --submissions <path>   Folder (searched recursively) or ZIP of submissions
+  -o, --out <file>           .csv, .xlsx or .json (default: grading_results.csv)
+      --provider <id>        ${Object.keys(PROVIDERS).join(", ")} (default: openai)
+      --model <name>         Model, or deployment for azure
+      --base-url <url>       For the OpenAI-compatible provider
+      --azure-endpoint <url>
+      --template <id>        Built-in prompt: ${BUILTIN_TEMPLATES.map((t) => t.id).join(", ")}
+      --prompt-file <file>   Grading prompt text instead of a template
+      --subject <text>       Fills {{subject}}
+      --grade-level <text>   Fills {{grade_level}}
+      --strictness <level>   ${STRICTNESS_LEVELS.join(", ")}
+  -t, --threshold <pct>      Pass threshold (default: 70)
+  -c, --concurrency <n>      Submissions graded at once (default: ${DEFAULT_PROVIDER_SETTINGS.concurrency})
+      --split <strategy>     Split PDFs holding several students: ${Object.keys(SPLIT_STRATEGIES).join(", ")}
+      --pages-per-student <n>
+      --marker <regex>
+      --ocr <langs>          OCR languages, e.g. eng+spa (${Object.keys(OCR_LANGUAGES).join(", ")})
+      --redact               Replace names, IDs, emails and phone numbers before sending
+  -v, --verbose              Show model responses and retries
+  -h, --help
+
+The API key is read from FASTGRADE_API_KEY, or else ${[...new Set(Object.values(KEY_ENV))].join(" / ")}.
+Scanned PDF pages cannot be OCR'd outside the app; images can.`;
+
+class UsageError extends Error {}
+
+const parseOptions = (argv) => {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      key: { type: "string", short: "k" },
+      submissions: { type: "string", short: "s" },
+      out: { type: "string", short: "o", default: "grading_results.csv" },
+      provider: { type: "string", default: DEFAULT_PROVIDER_SETTINGS.provider },
+      model: { type: "string" },
+      "base-url": { type: "string" },
+      "azure-endpoint": { type: "string" },
+      template: { type: "string", default: BUILTIN_TEMPLATES[0].id },
+      "prompt-file": { type: "string" },
+      subject: { type: "string", default: "" },
+      "grade-level": { type: "string", default: "" },
+      strictness: { type: "string", default: DEFAULT_PROMPT_VARIABLES.strictness },
+      threshold: { type: "string", short: "t", default: "70" },
+      concurrency: { type: "string", short: "c", default: String(DEFAULT_PROVIDER_SETTINGS.concurrency) },
+      split: { type: "string" },
+      "pages-per-student": { type: "string" },
+      marker: { type: "string" },
+      ocr: { type: "string", default: DEFAULT_OCR_SETTINGS.languages.join("+") },
+      redact: { type: "boolean", default: false },
+      verbose: { type: "boolean", short: "v", default: false },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+  if (values.help) return values;
+
+  if (!values.key) throw new UsageError("--key is required");
+  if (!values.submissions) throw new UsageError("--submissions is required");
+  if (!PROVIDERS[values.provider]) throw new UsageError(`Unknown provider: ${values.provider}`);
+  if (!BUILTIN_TEMPLATES.some((t) => t.id === values.template))
+    throw new UsageError(`Unknown template: ${values.template}`);
+  if (!STRICTNESS_LEVELS.includes(values.strictness))
+    throw new UsageError(`Strictness must be one of ${STRICTNESS_LEVELS.join(", ")}`);
+  if (values.split && !SPLIT_STRATEGIES[values.split]) throw new UsageError(`Unknown split strategy: ${values.split}`);
+  if (!/\.(csv|xlsx|json)$/i.test(values.out)) throw new UsageError("--out must end in .csv, .xlsx or .json");
+  for (const name of ["threshold", "concurrency"])
+    if (!Number.isFinite(Number(values[name]))) throw new UsageError(`--${name} must be a number`);
+  const languages = values.ocr.split("+");
+  const unknown = languages.filter((l) => !OCR_LANGUAGES[l]);
+  if (unknown.length) throw new UsageError(`Unknown OCR language: ${unknown.join(", ")}`);
+  return values;
+};
+
+const providerSettings = (options) => {
+  const settings = {
+    ...DEFAULT_PROVIDER_SETTINGS,
+    provider: options.provider,
+    concurrency: Math.max(1, Math.floor(Number(options.concurrency))),
+    redactPii: options.redact,
+  };
+  if (options.provider === "azure") {
+    settings.azureDeployment = options.model || "";
+    settings.azureEndpoint = options["azure-endpoint"] || "";
+  } else if (options.model) settings.model = options.model;
+  if (options["base-url"]) settings.baseUrl = options["base-url"];
+  return settings;
+};
+
+const apiKeyFor = (providerId) => process.env.FASTGRADE_API_KEY || process.env[KEY_ENV[providerId]] || "";
+
+// -------------------- Input --------------------
+const readPath = async (file, name = path.basename(file)) => new File([await fs.readFile(file)], name);
+
+// Supported files under `dir`, skipping dot-folders such as .git, as paths
+// relative to it.
+const walkFolder = async (dir, prefix = "") => {
+  const found = [];
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+    const rel = prefix + entry.name;
+    if (entry.isDirectory() && !entry.name.startsWith("."))
+      found.push(...(await walkFolder(path.join(dir, entry.name), `${rel}/`)));
+    else if (entry.isFile() && SUPPORTED_SUBMISSION.test(entry.name) && !isJunkPath(rel)) found.push(rel);
+  }
+  return found;
+};
+
+// A folder's files keep their path inside it as their name, like a dropped folder.
+const submissionFiles = async (target, onError) => {
+  const stat = await fs.stat(target);
+  const picked = [];
+  if (stat.isDirectory()) {
+    for (const rel of await walkFolder(target)) picked.push(await readPath(path.join(target, rel), rel));
+  } else picked.push(await readPath(target));
+  return (await expandUploads(picked, { onError })).filter((f) => SUPPORTED_SUBMISSION.test(f.name));
+};
+
+// -------------------- Output --------------------
+const writeOutput = async (out, students, { passThreshold, session }) => {
+  const options = { roster: [], passThreshold, scale: DEFAULT_SCALE, curve: null };
+  let data;
+  if (/\.csv$/i.test(out)) data = gradebookCsv(students, options);
+  else if (/\.xlsx$/i.test(out)) data = new Uint8Array(await (await gradebookXlsx(students, options)).arrayBuffer());
+  else data = sessionJson({ ...session, students });
+  await fs.writeFile(out, data);
+};
+
+// Progress goes to stderr, the summary to stdout.
+const log = (line) => process.stderr.write(line + "\n");
+const print = (line) => process.stdout.write(line + "\n");
+
+// Library diagnostics also go to stderr: everything with --verbose, otherwise
+// only errors, one line each.
+const libraryLogger = (verbose) =>
+  verbose
+    ? { ...consoleLogger, debug: (...args) => console.error(...args) }
+    : {
+        debug: () => {},
+        warn: () => {},
+        error: (...args) => log(args.map((a) => (a instanceof Error ? a.message : a)).join(" ")),
+      };
+
+// -------------------- Main --------------------
+const main = async (argv) => {
+  const options = parseOptions(argv);
+  if (options.help) {
+    print(HELP);
+    return EXIT.ok;
+  }
+  setLogger(libraryLogger(options.verbose));
+
+  const settings = providerSettings(options);
+  if (PROVIDERS[settings.provider].needsKey && !apiKeyFor(settings.provider))
+    throw new UsageError(`No API key: set FASTGRADE_API_KEY or ${KEY_ENV[settings.provider]}`);
+
+  const ocr = { ...DEFAULT_OCR_SETTINGS, languages: options.ocr.split("+") };
+  setOcrLanguageDir(path.join(root, "public", "ocr"));
+
+  const answerKey = await readAnswerKeyFile(await readPath(options.key), ocr);
+  if (!answerKey.trim() || answerKey === "Unsupported file type" || answerKey.startsWith("Error reading"))
+    throw new UsageError(`Could not read the answer key: ${answerKey.trim() || "the file is empty"}`);
+  const parsedKey = parseAnswerKeyText(answerKey);
+  const key = hasStructuredKey(parsedKey) ? parsedKey : null;
+
+  const template = BUILTIN_TEMPLATES.find((t) => t.id === options.template);
+  const prompt = fillVariables(
+    options["prompt-file"] ? await fs.readFile(options["prompt-file"], "utf8") : template.prompt,
+    { subject: options.subject, grade_level: options["grade-level"], strictness: options.strictness }
+  );
+
+  const split = options.split
+    ? async (fileName, pages) => {
+        const segments = splitPages(pages, {
+          ...DEFAULT_SPLIT_SETTINGS,
+          strategy: options.split,
+          ...(options["pages-per-student"] && { pagesPerStudent: Number(options["pages-per-student"]) }),
+          ...(options.marker && { marker: options.marker }),
+        });
+        log(`${fileName}: ${segments.length} student${segments.length === 1 ? "" : "s"}`);
+        return segments;
+      }
+    : null;
+
+  const unreadable = [];
+  const files = await submissionFiles(options.submissions, (name, err) =>
+    unreadable.push({ name, error: err.message })
+  );
+  const { added: students, duplicates, failed } = await importSubmissions(files, {
+    read: (f) => readSubmission(f, { ocr, split }),
+    onProgress: (done, total) => log(`Reading ${done + 1}/${total}`),
+  });
+  unreadable.push(...failed);
+  for (const { name, error } of unreadable) log(`${name}: could not read — ${error}`);
+  if (students.length === 0) throw new UsageError(`No submissions found in ${options.submissions}`);
+  log(
+    `${students.length} submission${students.length === 1 ? "" : "s"}` +
+      (duplicates ? `, ${duplicates} duplicate${duplicates === 1 ? "" : "s"} skipped` : "") +
+      ` — grading with ${describeModel(settings)}`
+  );
+
+  const passThreshold = Number(options.threshold);
+  let usage = { promptTokens: 0, completionTokens: 0 };
+  let finished = 0;
+  const queue = createGradingQueue({
+    concurrency: settings.concurrency,
+    worker: async (i, signal) => {
+      const student = students[i];
+      const started = Date.now();
+      try {
+        Object.assign(
+          student,
+          await gradeStudent({
+            student,
+            settings,
+            apiKeyFor,
+            prompt,
+            contract: null,
+            answerKey,
+            key,
+            signal,
+            onPhase: (text) => options.verbose && log(`  ${student.name}: ${text}`),
+            onUsage: (runUsage, runSettings) => {
+              if (!runUsage) return;
+              const cost = costForUsage(pricingModel(runSettings), runUsage, DEFAULT_PRICES);
+              student.usage = addUsage(student.usage, { ...runUsage, cost });
+              usage = addUsage(usage, { ...runUsage, cost });
+            },
+          })
+        );
+        student.elapsed = Math.round((Date.now() - started) / 1000);
+        const { total, worth, pct } = calculateTotals(student.result);
+        const review = student.status === "needs review" ? " — needs review" : "";
+        log(`[${++finished}/${students.length}] ${student.name}: ${total}/${worth} (${pct.toFixed(1)}%)${review}`);
+        return true;
+      } catch (err) {
+        if (err.name === "AbortError") throw err;
+        Object.assign(student, { status: "error", error: err.message });
+        log(`[${++finished}/${students.length}] ${student.name}: FAILED — ${err.message}`);
+        return false;
+      }
+    },
+  });
+
+  let interrupted = false;
+  process.once("SIGINT", () => {
+    interrupted = true;
+    log("Interrupted; writing what was graded…");
+    queue.cancel();
+  });
+  queue.push(students.map((_, i) => i));
+  const progress = await queue.onIdle();
+  await terminateOcr();
+
+  const session = {
+    ...createSession(path.basename(options.out).replace(/\.\w+$/, "")),
+    answerKey,
+    keyModel: key || { questions: [] },
+    passThreshold,
+  };
+  await writeOutput(options.out, students, { passThreshold, session });
+
+  const graded = students.filter((s) => s.result);
+  const review = students.filter((s) => s.status === "needs review").length;
+  const passed = graded.filter((s) => calculateTotals(s.result).pct >= passThreshold).length;
+  print(
+    [
+      `Graded ${graded.length}/${students.length}`,
+      `${progress.failed} failed`,
+      ...(unreadable.length ? [`${unreadable.length} unreadable`] : []),
+      `${review} need review`,
+      `${passed} passed`,
+      `${usage.promptTokens + usage.completionTokens} tokens${usage.cost != null ? ` (${formatCost(usage.cost)})` : ""}`,
+    ].join(", ")
+  );
+  print(`Wrote ${options.out}`);
+  if (interrupted) return EXIT.interrupted;
+  return progress.failed > 0 || unreadable.length > 0 ? EXIT.failed : EXIT.ok;
+};
+
+main(process.argv.slice(2)).then(
+  (code) => process.exit(code),
+  (err) => {
+    const badOptions = err instanceof UsageError || String(err.code).startsWith("ERR_PARSE_ARGS");
+    log(badOptions ? `${err.message}\nRun with --help for options.` : `Error: ${err.message}`);
+    process.exit(badOptions || err.code === "ENOENT" ? EXIT.usage : EXIT.failed);
+  }
+);
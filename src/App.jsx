@@ -1,144 +1,337 @@
-import React, { useState, useEffect } from "react";
-import JSZip from "jszip";
-import mammoth from "mammoth";
-import { GlobalWorkerOptions, getDocument } from "pdfjs-dist";
-import Tesseract from "tesseract.js";
+import React, { useState, useEffect, useMemo, useRef } from "react";
+import { GlobalWorkerOptions } from "pdfjs-dist";
+import pdfWorkerUrl from "pdfjs-dist/build/pdf.worker.min.mjs?url";
+import SessionPicker from "./components/SessionPicker.jsx";
+import ProviderSettings from "./components/ProviderSettings.jsx";
+import AnswerKeyEditor from "./components/AnswerKeyEditor.jsx";
+import {
+  createSession,
+  loadSession,
+  newStudentId,
+  saveSession,
+  withStudentId,
+} from "./lib/sessions.js";
+import {
+  PROVIDERS,
+  describeModel,
+  loadProviderSettings,
+  saveProviderSettings,
+  supportsImages,
+} from "./lib/providers.js";
+import { browserKey, keyStatus, keysInMainProcess, migrateLegacyKeys, savedKeyState, storeKey } from "./lib/keys.js";
+import { gradeStudent, importSubmissions } from "./lib/pipeline.js";
+import { readAnswerKeyFile, readSubmission } from "./lib/readers.js";
+import { agreementRate, gradingRuns, openDisagreements, reviewQueue } from "./lib/consistency.js";
+import ConsistencyReview from "./components/ConsistencyReview.jsx";
+import { emptyCalibration, mergeCache, sampleFromStudent, sampleId } from "./lib/calibration.js";
+import CalibrationPanel from "./components/CalibrationPanel.jsx";
+import {
+  DEFAULT_PROMPT,
+  DEFAULT_PROMPT_VARIABLES,
+  addVersion,
+  fillVariables,
+  loadPromptLibrary,
+  savePromptLibrary,
+} from "./lib/promptLibrary.js";
+import PromptLibrary from "./components/PromptLibrary.jsx";
+import {
+  emptyKey,
+  formatAnswerKeyForPrompt,
+  hasStructuredKey,
+  keyTotal,
+  parseAnswerKeyText,
+} from "./lib/answerKey.js";
+import {
+  addUsage,
+  costForUsage,
+  estimateBatchCost,
+  estimatePageImageTokens,
+  formatCost,
+  loadPrices,
+  pricingModel,
+  savePrices,
+} from "./lib/pricing.js";
+import { createGradingQueue } from "./lib/gradingQueue.js";
+import BatchProgress from "./components/BatchProgress.jsx";
+import QuestionResult from "./components/QuestionResult.jsx";
+import RosterPanel from "./components/RosterPanel.jsx";
+import SplitPreview from "./components/SplitPreview.jsx";
+import LmsExport from "./components/LmsExport.jsx";
+import Analytics from "./components/Analytics.jsx";
+import { defaultLmsConfig } from "./lib/lms.js";
+import {
+  autoMatchStudents,
+  displayName,
+  missingSubmissions,
+} from "./lib/roster.js";
+import { describeCurve, isCurveActive, makeScorer } from "./lib/curves.js";
+import CurveEditor from "./components/CurveEditor.jsx";
+import { DEFAULT_SCALE, gradeFor } from "./lib/gradingScales.js";
+import { anonymousName, describeRedactions, gradingFinalized } from "./lib/redaction.js";
+import {
+  DEFAULT_VISION,
+  IMAGE_SIZES,
+  INPUT_MODES,
+  imagePageCount,
+  pageImages,
+} from "./lib/pageImages.js";
+import GradingScaleEditor from "./components/GradingScaleEditor.jsx";
+import {
+  feedbackReports,
+  gradebookCsv,
+  gradebookXlsx,
+  saveFile,
+  sessionJson,
+} from "./lib/exports.js";
+import { saveSource } from "./lib/sources.js";
+import DocumentViewer from "./components/DocumentViewer.jsx";
+import { loadSplitSettings, saveSplitSettings } from "./lib/splitting.js";
+import {
+  SUPPORTED_SUBMISSION,
+  expandUploads,
+  filesFromBridge,
+  filesFromDataTransfer,
+} from "./lib/ingest.js";
+import {
+  applyOverride,
+  dropOverrides,
+  effectiveResult,
+  hasOverrides,
+  revertOverrides,
+} from "./lib/overrides.js";
+import {
+  OCR_LANGUAGES,
+  ROTATIONS,
+  loadOcrSettings,
+  saveOcrSettings,
+} from "./lib/ocr.js";
 import "./App.css";
 
-GlobalWorkerOptions.workerSrc =
-  "https://cdnjs.cloudflare.com/ajax/libs/pdf.js/4.2.67/pdf.worker.min.mjs";
-
-// -------------------- Helpers --------------------
-const calculateTotals = (result) => {
-  if (!result || !result.questions) return { total: 0, worth: 0, pct: 0 };
-
-  const total = result.questions.reduce(
-    (sum, q) => sum + (parseFloat(q.questionscore) || 0),
-    0
-  );
-
-  const worth =
-    result.testworth ||
-    result.questions.reduce(
-      (sum, q) => sum + (parseFloat(q.maxscore) || 1),
-      0
-    );
-
-  const pct = worth > 0 ? (total / worth) * 100 : 0;
-
-  if (result.total_score && Math.abs(result.total_score - total) > 0.01) {
-    console.warn(
-      `⚠️ Mismatch: GPT total_score=${result.total_score}, recalculated=${total}`
-    );
-  }
-
-  return { total, worth, pct };
-};
-
-const readTxtFile = (file) =>
-  new Promise((resolve) => {
-    const reader = new FileReader();
-    reader.onload = (ev) => resolve(ev.target.result);
-    reader.readAsText(file);
-  });
-
-const readDocxFile = (file) =>
-  new Promise((resolve) => {
-    const reader = new FileReader();
-    reader.onload = async (ev) => {
-      try {
-        const result = await mammoth.extractRawText({
-          arrayBuffer: ev.target.result,
-        });
-        resolve(result.value);
-      } catch (err) {
-        resolve("Error reading docx: " + err.message);
-      }
-    };
-    reader.readAsArrayBuffer(file);
-  });
-
-const readPdfFile = (file) =>
-  new Promise((resolve) => {
-    const reader = new FileReader();
-    reader.onload = async (ev) => {
-      const typedArray = new Uint8Array(ev.target.result);
-      const pdf = await getDocument(typedArray).promise;
-      let text = "";
-      for (let i = 1; i <= pdf.numPages; i++) {
-        const page = await pdf.getPage(i);
-        const content = await page.getTextContent();
-        text += content.items.map((s) => s.str).join(" ") + "\n";
-      }
-      resolve(text);
-    };
-    reader.readAsArrayBuffer(file);
-  });
-
-// OCR for images
-const readImageFile = (file) =>
-  new Promise((resolve) => {
-    const reader = new FileReader();
-    reader.onload = async (ev) => {
-      try {
-        const { data: { text } } = await Tesseract.recognize(ev.target.result, "eng");
-        resolve(text);
-      } catch (err) {
-        resolve("Error reading image: " + err.message);
-      }
-    };
-    reader.readAsDataURL(file);
-  });
-
-// Split text into multiple students (simple: by "Student:" or page delimiter)
-const splitStudentsFromText = (text) => {
-  // Try to split by "Student:" or "Name:" or page breaks
-  const parts = text
-    .split(/\n\s*(Student:|Name:|Page \d+|-----+)\s*\n/i)
-    .map((t) => t.trim())
-    .filter((t) => t.length > 0);
-  // If only one part, return as single student
-  if (parts.length <= 1) return [text];
-  // Otherwise, group by every other part (since split keeps delimiters)
-  let students = [];
-  for (let i = 0; i < parts.length; i += 2) {
-    students.push(parts[i] + (parts[i + 1] ? "\n" + parts[i + 1] : ""));
-  }
-  return students;
-};
+// Bundled with the app so PDFs open offline
+GlobalWorkerOptions.workerSrc = pdfWorkerUrl;
 
 // -------------------- App --------------------
 export default function App() {
-  const [apiKey, setApiKey] = useState("");
+  const [apiKey, setApiKey] = useState(""); // in Electron, only a key being typed
+  const [keysSaved, setKeysSaved] = useState({}); // providerId → the endpoint its key is saved for
   const [answerKey, setAnswerKey] = useState("");
+  const [keyModel, setKeyModel] = useState(emptyKey);
+  const [keyView, setKeyView] = useState("text"); // "text" | "structured"
   const [students, setStudents] = useState([]);
+  const [roster, setRoster] = useState([]); // [{ id, name, email }]
+  const [showRoster, setShowRoster] = useState(false);
+  const [lmsConfig, setLmsConfig] = useState(null); // per-session LMS export settings
+  const [showLmsExport, setShowLmsExport] = useState(false);
+  const [overviewTab, setOverviewTab] = useState("table"); // "table" | "analytics"
   const [currentIndex, setCurrentIndex] = useState(0);
+  const [showSource, setShowSource] = useState(false);
+  const [selectedQuestion, setSelectedQuestion] = useState(null); // { index, id }
   const [passThreshold, setPassThreshold] = useState(70); // default 70%
+  const [gradingScale, setGradingScale] = useState(DEFAULT_SCALE);
+  const [showScaleEditor, setShowScaleEditor] = useState(false);
+  const [curve, setCurve] = useState(null);
+  const [blindGrading, setBlindGrading] = useState(false);
+  const [vision, setVision] = useState(DEFAULT_VISION); // { mode, size } for page images
+  const [showCurveEditor, setShowCurveEditor] = useState(false);
+  const [calibration, setCalibration] = useState(emptyCalibration);
+  const [showCalibration, setShowCalibration] = useState(false);
 
-  const [gradingPrompt, setGradingPrompt] = useState(
-  "You are a grading assistant. Compare student answers to the key and provide structured results. Extract the student's name if present. For each question, return closeness %, verdict, and per-question score. Include total_score and testworth (sum of max points). Grade each questions comparing conceptually the provided key answer to the question, and admit different verbiage and phrasing, do not discount points for change of language style, grammatical errors or spelling inconsistencies. Discount points for non completeness."
-  );
+  const [gradingPrompt, setGradingPrompt] = useState(DEFAULT_PROMPT);
+  const [outputContract, setOutputContract] = useState(null); // null: built-in contract
+  const [promptVariables, setPromptVariables] = useState(DEFAULT_PROMPT_VARIABLES);
+  const [promptTemplateId, setPromptTemplateId] = useState("general");
   const [showPromptConfig, setShowPromptConfig] = useState(false);
-  const [modalHeight, setModalHeight] = useState(400);
+  const [modalHeight, setModalHeight] = useState(600);
   const [dragging, setDragging] = useState(false);
   const [dragStartY, setDragStartY] = useState(0);
   const [startHeight, setStartHeight] = useState(400);
 
-  // load saved key and prompt
+  const [providerSettings, setProviderSettings] = useState(loadProviderSettings);
+  const [showProviderSettings, setShowProviderSettings] = useState(false);
+  const [prices, setPrices] = useState(loadPrices);
+  const [ocrSettings, setOcrSettings] = useState(loadOcrSettings);
+  const provider = PROVIDERS[providerSettings.provider];
+
+  const [session, setSession] = useState(null); // { id, name, createdAt }
+  const sessionIdRef = useRef(null); // the open session, for results that arrive later
+  const [showSessions, setShowSessions] = useState(false);
+  const [saveState, setSaveState] = useState("");
+  const saveTimer = useRef(null);
+
+  const applySession = (data) => {
+    sessionIdRef.current = data.id;
+    setSession({ id: data.id, name: data.name, createdAt: data.createdAt });
+    setAnswerKey(data.answerKey || "");
+    setKeyModel(data.keyModel || emptyKey());
+    setKeyView(hasStructuredKey(data.keyModel) ? "structured" : "text");
+    setGradingPrompt(
+      data.gradingPrompt || localStorage.getItem("grading_prompt") || DEFAULT_PROMPT
+    );
+    // The contract and template go with the prompt: the session's, else the default.
+    setOutputContract(
+      data.gradingPrompt ? data.outputContract ?? null : localStorage.getItem("grading_contract")
+    );
+    setPromptTemplateId(
+      data.promptTemplate || localStorage.getItem("grading_prompt_template") || "general"
+    );
+    setPromptVariables({ ...DEFAULT_PROMPT_VARIABLES, ...data.promptVariables });
+    setPassThreshold(data.passThreshold ?? 70);
+    setGradingScale(data.gradingScale || DEFAULT_SCALE);
+    setCurve(data.curve || null);
+    setBlindGrading(!!data.blindGrading);
+    setVision({ ...DEFAULT_VISION, ...data.vision });
+    setCalibration(data.calibration || emptyCalibration());
+    setStudents((data.students || []).map(withStudentId));
+    setRoster(data.roster || []);
+    setLmsConfig(data.lmsExport || null);
+    setCurrentIndex(0);
+    localStorage.setItem("last_session_id", data.id);
+  };
+
+  // load last open session
+  useEffect(() => {
+    const lastId = localStorage.getItem("last_session_id");
+    (lastId ? loadSession(lastId) : Promise.reject())
+      .catch(() => createSession())
+      .then(applySession);
+  }, []);
+
+  // autosave the open session shortly after anything changes
   useEffect(() => {
-    const saved = localStorage.getItem("openai_api_key");
-    if (saved) setApiKey(saved);
+    if (!session) return;
+    clearTimeout(saveTimer.current);
+    saveTimer.current = setTimeout(() => {
+      saveSession({
+        ...session,
+        answerKey,
+        keyModel,
+        gradingPrompt,
+        outputContract,
+        promptVariables,
+        promptTemplate: promptTemplateId,
+        passThreshold,
+        gradingScale,
+        curve,
+        blindGrading,
+        vision,
+        students,
+        roster,
+        lmsExport: lmsConfig,
+        calibration,
+      })
+        .then(() => setSaveState(`Saved ${new Date().toLocaleTimeString()}`))
+        .catch((err) => {
+          console.error("❌ Session save failed:", err);
+          setSaveState("Save failed");
+        });
+    }, 800);
+    return () => clearTimeout(saveTimer.current);
+  }, [
+    session,
+    answerKey,
+    keyModel,
+    gradingPrompt,
+    outputContract,
+    promptVariables,
+    promptTemplateId,
+    passThreshold,
+    gradingScale,
+    curve,
+    blindGrading,
+    vision,
+    students,
+    roster,
+    lmsConfig,
+    calibration,
+  ]);
+
+  // re-match submissions when the roster, a file name or an extracted name changes
+  const matchSignature = students
+    .map((s) => `${s.name}|${s.result?.student_name || ""}`)
+    .join("\n");
+  useEffect(() => {
+    setStudents((prev) => {
+      const next = roster.length
+        ? autoMatchStudents(prev, roster)
+        : prev.map((s) => (s.rosterId || s.rosterMatch ? { ...s, rosterId: null, rosterMatch: null } : s));
+      return next.every((s, i) => s === prev[i]) ? prev : next;
+    });
+  }, [roster, matchSignature]);
+
+  const assignRoster = (index, rosterId) =>
+    updateStudent(index, { rosterId, rosterMatch: rosterId ? "manual" : "unmatched" });
+
+  // Results of requests still out would land in the wrong session.
+  const blockedByGrading = () => {
+    if (!grading) return false;
+    alert("Wait for grading to finish, or cancel it, before switching sessions.");
+    return true;
+  };
+
+  const openSession = async (id) => {
+    if (blockedByGrading()) return;
+    try {
+      applySession(await loadSession(id));
+      setShowSessions(false);
+    } catch (err) {
+      alert("Could not open session: " + err.message);
+    }
+  };
 
-    const savedPrompt = localStorage.getItem("grading_prompt");
-    if (savedPrompt) setGradingPrompt(savedPrompt);
+  const startNewSession = () => {
+    if (blockedByGrading()) return;
+    applySession(createSession());
+    setShowSessions(false);
+  };
+
+  useEffect(() => {
+    migrateLegacyKeys(loadProviderSettings())
+      .then(keyStatus)
+      .then(setKeysSaved)
+      .catch((err) => console.error("❌ Could not read saved keys:", err));
   }, []);
 
+  // each provider keeps its own saved key
+  useEffect(() => {
+    setApiKey(browserKey(providerSettings.provider));
+  }, [providerSettings.provider]);
+
   const handleApiKeyChange = (e) => {
     const newKey = e.target.value;
     setApiKey(newKey);
-    if (newKey.trim()) localStorage.setItem("openai_api_key", newKey.trim());
+    if (newKey.trim() && !keysInMainProcess()) storeKey(providerSettings, newKey.trim());
+  };
+
+  // Electron: hand the typed key to the main process and forget it here.
+  const commitApiKey = async () => {
+    if (!keysInMainProcess() || !apiKey.trim()) return;
+    const persisted = await storeKey(providerSettings, apiKey.trim());
+    setApiKey("");
+    setKeysSaved(await keyStatus());
+    if (!persisted) alert("This system offers no encryption for saved keys; the key is kept only until FastGrade quits.");
+  };
+
+  const forgetApiKey = async () => {
+    await storeKey(providerSettings, "");
+    setApiKey("");
+    setKeysSaved(await keyStatus());
   };
 
+  const handleProviderSave = (settings, newPrices) => {
+    setProviderSettings(settings);
+    saveProviderSettings(settings);
+    setPrices(newPrices);
+    savePrices(newPrices);
+    setShowProviderSettings(false);
+  };
+
+  const hasKey = answerKey.trim() !== "" || hasStructuredKey(keyModel);
+  const keyState = savedKeyState(keysSaved, providerSettings);
+  const keySaved = keyState === "saved";
+  // A key still being typed in Electron is not in the main process yet.
+  const keyReady = keysInMainProcess() ? keySaved : !!apiKey;
+  const canGrade = (keyReady || !provider.needsKey) && hasKey && students.length > 0;
+
   const updateStudent = (index, updates) => {
     setStudents((prev) => {
       const updated = [...prev];
@@ -147,84 +340,231 @@ export default function App() {
     });
   };
 
+  // Grading writes by session and student id: a request may settle after the
+  // list changed, and must not land on another student or session.
+  // `updates` may be a function of the student.
+  const updateGraded = (sessionId, studentId, updates) =>
+    setStudents((prev) => {
+      if (sessionIdRef.current !== sessionId) return prev;
+      return prev.map((s) =>
+        s.id === studentId ? { ...s, ...(typeof updates === "function" ? updates(s) : updates) } : s
+      );
+    });
+
+  // Tokens accumulate across regrades and failed attempts: they were all paid for.
+  const recordUsage = (sessionId, studentId, usage, settings = providerSettings) => {
+    if (!usage) return;
+    const cost = costForUsage(pricingModel(settings), usage, prices);
+    updateGraded(sessionId, studentId, (s) => ({ usage: addUsage(s.usage, { ...usage, cost }) }));
+  };
+
+  // -------------------- Teacher overrides --------------------
+  const overrideQuestion = (questionId, changes, reason) =>
+    setStudents((prev) => {
+      const updated = [...prev];
+      const s = updated[currentIndex];
+      updated[currentIndex] = { ...s, ...applyOverride(s, questionId, changes, reason) };
+      return updated;
+    });
+
+  const revertQuestion = (questionId, reason) =>
+    setStudents((prev) => {
+      const updated = [...prev];
+      const s = updated[currentIndex];
+      updated[currentIndex] = { ...s, ...revertOverrides(s, questionId, reason) };
+      return updated;
+    });
+
+  // -------------------- Consistency review --------------------
+  const [showReview, setShowReview] = useState(false);
+
+  // Close one disagreement, optionally taking a run's score and verdict as an override.
+  const resolveDisagreement = (index, questionId, choice) =>
+    setStudents((prev) => {
+      const updated = [...prev];
+      let s = updated[index];
+      if (choice) {
+        s = {
+          ...s,
+          ...applyOverride(
+            s,
+            questionId,
+            { questionscore: choice.score, verdict: choice.verdict },
+            `Consistency review: kept ${choice.gradedBy}`
+          ),
+        };
+      }
+      s = { ...s, consistency: { ...s.consistency, reviewed: [...s.consistency.reviewed, questionId] } };
+      if (s.status === "needs review" && !s.result.validationErrors && !openDisagreements(s).length)
+        s.status = "displayed";
+      updated[index] = s;
+      return updated;
+    });
+
+  // -------------------- Prompt library --------------------
+  const [calibrationCandidate, setCalibrationCandidate] = useState(null);
+
+  // `draft` is { prompt, contract, variables, templateId } from the prompt library.
+  const applyPromptDraft = (draft) => {
+    setGradingPrompt(draft.prompt);
+    setOutputContract(draft.contract || null);
+    setPromptVariables(draft.variables);
+    setPromptTemplateId(draft.templateId);
+  };
+
+  // Records a version in the template's history and makes it the default for new sessions.
+  const savePromptVersion = (draft) => {
+    savePromptLibrary(addVersion(loadPromptLibrary(), draft.templateId, draft));
+    localStorage.setItem("grading_prompt", draft.prompt);
+    if (draft.contract) localStorage.setItem("grading_contract", draft.contract);
+    else localStorage.removeItem("grading_contract");
+    localStorage.setItem("grading_prompt_template", draft.templateId);
+    applyPromptDraft(draft);
+  };
+
+  // -------------------- Calibration set --------------------
+  const calibrationSample = (student) =>
+    student && calibration.samples.find((s) => s.id === sampleId(student));
+
+  // Adding a student that is already a sample refreshes its expected scores.
+  const addCalibrationSample = (student) =>
+    setCalibration((prev) => {
+      const sample = sampleFromStudent(student, displayName(student, roster));
+      return { ...prev, samples: [...prev.samples.filter((s) => s.id !== sample.id), sample] };
+    });
+
+  const removeCalibrationSample = (id) =>
+    setCalibration((prev) => ({ ...prev, samples: prev.samples.filter((s) => s.id !== id) }));
+
+  const adoptCalibratedModel = (model) => {
+    const next =
+      providerSettings.provider === "azure"
+        ? { ...providerSettings, azureDeployment: model }
+        : { ...providerSettings, model };
+    setProviderSettings(next);
+    saveProviderSettings(next);
+  };
+
   // -------------------- Upload handlers --------------------
   const handleAnswerKeyUpload = async (e) => {
     const file = e.target.files[0];
     if (!file) return;
-    let content = "";
-    if (file.name.endsWith(".txt")) content = await readTxtFile(file);
-    else if (file.name.endsWith(".docx")) content = await readDocxFile(file);
-    else if (file.name.endsWith(".pdf")) content = await readPdfFile(file);
-    else content = "Unsupported file type";
+    const content = await readAnswerKeyFile(file, ocrSettings);
     setAnswerKey(content);
+    const parsed = parseAnswerKeyText(content);
+    setKeyModel(parsed);
+    if (hasStructuredKey(parsed)) setKeyView("structured");
   };
 
-  const handleStudentUpload = async (e) => {
-    const file = e.target.files[0];
-    if (!file) return;
+  const handleParseKeyText = () => {
+    if (
+      hasStructuredKey(keyModel) &&
+      !window.confirm("Replace the structured key with questions parsed from the text?")
+    )
+      return;
+    setKeyModel(parseAnswerKeyText(answerKey));
+    setKeyView("structured");
+  };
 
-    const addStudent = async (f) => {
-      let content = "";
-      if (f.name.match(/\.(txt)$/i)) content = await readTxtFile(f);
-      else if (f.name.match(/\.(docx)$/i)) content = await readDocxFile(f);
-      else if (f.name.match(/\.(pdf)$/i)) content = await readPdfFile(f);
-      else if (f.name.match(/\.(jpe?g|png|tiff?)$/i)) content = await readImageFile(f);
-      else content = "Unsupported file type";
-      return {
-        name: f.name,
-        content,
-        result: null,
-        status: "idle",
-        gradedAt: null,
-        elapsed: 0,
-      };
-    };
-
-    // Handle ZIP as before
-    if (file.name.endsWith(".zip")) {
-      const zip = await JSZip.loadAsync(file);
-      const files = [];
-      for (const filename of Object.keys(zip.files)) {
-        if (!zip.files[filename].dir) {
-          const blob = await zip.files[filename].async("blob");
-          const extracted = new File([blob], filename);
-          files.push(await addStudent(extracted));
-        }
+  // Resolved by the SplitPreview modal: segments, null (keep whole) or false (skip).
+  const [splitRequest, setSplitRequest] = useState(null);
+  const [splitSettings, setSplitSettings] = useState(loadSplitSettings);
+
+  const updateOcr = (changes) => {
+    const next = { ...ocrSettings, ...changes };
+    setOcrSettings(next);
+    saveOcrSettings(next);
+  };
+
+  const toggleOcrLanguage = (lang) => {
+    const languages = ocrSettings.languages.includes(lang)
+      ? ocrSettings.languages.filter((l) => l !== lang)
+      : [...ocrSettings.languages, lang];
+    if (languages.length) updateOcr({ languages });
+  };
+
+  const confirmSplit = (fileName, pages) =>
+    new Promise((resolve) => setSplitRequest({ fileName, pages, resolve }));
+
+  const finishSplit = (segments, settings) => {
+    if (settings) {
+      setSplitSettings(settings);
+      saveSplitSettings(settings);
+    }
+    splitRequest.resolve(segments);
+    setSplitRequest(null);
+  };
+
+  const [ingest, setIngest] = useState(null); // { done, total } while importing, else a summary string
+  const folderInputRef = useRef(null);
+  const [dropActive, setDropActive] = useState(false);
+
+  // Append new submissions to the list, skipping files already imported.
+  // `fromFolder(file)` says whether a picked file came from inside a folder.
+  const ingestFiles = async (picked, { fromFolder = () => false } = {}) => {
+    if (picked.length === 0) return;
+    const failed = [];
+    try {
+      const loose = new Set(picked.filter((f) => !fromFolder(f) && !/\.zip$/i.test(f.name)));
+      const files = (
+        await expandUploads(picked, { onError: (name, err) => failed.push({ name, error: err.message }) })
+      ).filter((f) => SUPPORTED_SUBMISSION.test(f.name) || loose.has(f));
+      // Loose multi-page PDFs may hold a whole class packet and go through the
+      // split preview; files from folders and ZIPs are one submission each.
+      const imported = await importSubmissions(files, {
+        known: new Set(students.map((s) => s.hash).filter(Boolean)),
+        read: (f) => readSubmission(f, { ocr: ocrSettings, split: loose.has(f) ? confirmSplit : null }),
+        onFile: saveSource,
+        onProgress: (done, total) => setIngest({ done, total }),
+      });
+      const { added, duplicates } = imported;
+      failed.push(...imported.failed);
+
+      if (added.length) {
+        const firstNew = students.length;
+        setStudents((prev) => [...prev, ...added]);
+        setCurrentIndex(firstNew);
       }
-      setStudents(files);
-      setCurrentIndex(0);
-      return;
+      setIngest(
+        `Added ${added.length} submission${added.length === 1 ? "" : "s"}` +
+          (duplicates ? `, skipped ${duplicates} duplicate${duplicates === 1 ? "" : "s"}` : "") +
+          (failed.length ? `; could not read ${failed.map((f) => `${f.name} (${f.error})`).join(", ")}` : "")
+      );
+    } catch (err) {
+      console.error("❌ Import failed:", err);
+      setIngest(`Import failed: ${err.message}`);
     }
+  };
 
-    // For PDF and image: allow splitting into multiple students
-    if (file.name.match(/\.(pdf|jpe?g|png|tiff?)$/i)) {
-      let content = "";
-      if (file.name.match(/pdf$/i)) content = await readPdfFile(file);
-      else content = await readImageFile(file);
+  const handleStudentUpload = async (e) => {
+    const picked = Array.from(e.target.files || []);
+    e.target.value = ""; // allow picking the same files again
+    await ingestFiles(picked, { fromFolder: (f) => !!f.webkitRelativePath });
+  };
 
-      const studentTexts = splitStudentsFromText(content);
-      const studentObjs = studentTexts.map((text, idx) => ({
-        name: `${file.name}-Student${idx + 1}`,
-        content: text,
-        result: null,
-        status: "idle",
-        gradedAt: null,
-        elapsed: 0,
-      }));
-      setStudents(studentObjs);
-      setCurrentIndex(0);
-      return;
+  const handleFolderImport = async () => {
+    if (window.fastgrade?.files) {
+      await ingestFiles(filesFromBridge(await window.fastgrade.files.pickFolder()), {
+        fromFolder: () => true,
+      });
+    } else {
+      folderInputRef.current?.click();
     }
+  };
 
-    // Default: single student
-    setStudents([await addStudent(file)]);
-    setCurrentIndex(0);
+  const handleDrop = async (e) => {
+    e.preventDefault();
+    setDropActive(false);
+    const files = await filesFromDataTransfer(e.dataTransfer);
+    // Files from dropped folders are named with their path; loose ones are not.
+    await ingestFiles(files, { fromFolder: (f) => f.name.includes("/") });
   };
 
   const handlePasteStudent = () => {
     setStudents((prev) => [
       ...prev,
       {
+        id: newStudentId(),
         name: `Pasted-${prev.length + 1}`,
         content: "",
         result: null,
@@ -237,175 +577,294 @@ export default function App() {
   };
 
   // -------------------- Grading --------------------
-  const gradeOne = async (student, index) => {
+  // Page images are skipped in privacy mode, where they could not be redacted,
+  // and when no run's model accepts images.
+  const imageModel = gradingRuns(providerSettings).some(supportsImages);
+  const sendsImages = vision.mode !== "text" && !providerSettings.redactPii && imageModel;
+
+  const [gradingCount, setGradingCount] = useState(0); // requests out, batch or not
+
+  // Resolves true when graded, false on failure; rethrows cancellation.
+  const gradeOne = async (student, signal) => {
     console.log(`📤 Grading student: ${student.name}`);
-    updateStudent(index, { status: "sent", elapsed: 0 });
+    const sessionId = sessionIdRef.current;
+    const update = (updates) => updateGraded(sessionId, student.id, updates);
+    update({ status: "sent", elapsed: 0 });
+    setGradingCount((n) => n + 1);
 
     let seconds = 0;
+    let phase = "processing";
     const timer = setInterval(() => {
       seconds++;
-      updateStudent(index, {
-        status: `processing (${seconds}s)`,
+      update({
+        status: `${phase} (${seconds}s)`,
         elapsed: seconds,
       });
     }, 1000);
 
     try {
-      const response = await fetch("https://api.openai.com/v1/chat/completions", {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Bearer ${apiKey}`,
-        },
-        body: JSON.stringify({
-          model: "gpt-4o-mini",
-          messages: [
-            { role: "system", content: gradingPrompt },
-            {
-              role: "user",
-              content: `Key:\n${answerKey}\n\nStudent submission:\n${student.content}\n\nReturn JSON with structure:
-{
-  "student_name": string,
-  "total_score": number,
-  "testworth": number,
-  "questions": [
-    {"id": "q1", "question": string, "student_answer": string, "correct_answer": string, "closeness": number, "verdict": "Correct|Partial|Incorrect", "questionscore": number}
-  ],
-  "feedback": string
-}
-Only return valid JSON.`,
-            },
-          ],
-          temperature: 0,
-        }),
-      });
-
-      updateStudent(index, { status: "received" });
-      const data = await response.json();
-      let text = data?.choices?.[0]?.message?.content ?? "";
-      console.log("📥 Raw GPT response:", text);
-
-      let cleaned = text.trim();
-      if (cleaned.startsWith("```")) {
-        cleaned = cleaned.replace(/^```[a-zA-Z]*\n?/, "");
-        cleaned = cleaned.replace(/```$/, "");
-      }
-
-      let parsed;
-      try {
-        parsed = JSON.parse(cleaned);
-      } catch (err) {
-        console.error("❌ Parse error:", err, "Raw:", text);
-        parsed = { error: "Could not parse GPT response", raw: text };
-      }
-
-      updateStudent(index, {
-        result: parsed,
-        gradedAt: new Date().toISOString(),
-        status: "displayed",
+      // Students without an original to render (pasted text, DOCX) get text.
+      const images = sendsImages ? await pageImages(student, vision.size) : [];
+      const graded = await gradeStudent({
+        student,
+        images,
+        includeText: vision.mode === "both",
+        settings: providerSettings,
+        apiKeyFor: (id) => (id === providerSettings.provider ? apiKey : browserKey(id)),
+        prompt: fillVariables(gradingPrompt, promptVariables),
+        contract: outputContract,
+        answerKey,
+        key: keyModel,
+        roster,
+        signal,
+        onPhase: (text) => (phase = text),
+        onUsage: (usage, settings) => recordUsage(sessionId, student.id, usage, settings),
       });
-      clearInterval(timer);
+      // Overrides were made against the old grade; the teacher agreed to drop them.
+      update((s) => ({
+        ...graded,
+        ...(hasOverrides(s) ? dropOverrides(s, graded.result, "Dropped by regrading") : {}),
+      }));
+      return true;
     } catch (err) {
+      if (err.name === "AbortError") {
+        update({ status: "idle", elapsed: 0 });
+        throw err;
+      }
       console.error("❌ Error during grading:", err);
-      updateStudent(index, { status: "error" });
+      update({ status: "error", error: err.message });
+      return false;
+    } finally {
       clearInterval(timer);
+      setGradingCount((n) => n - 1);
     }
   };
 
+  // -------------------- Batch queue --------------------
+  const queueRef = useRef(null);
+  const [batch, setBatch] = useState(null);
+  const batchRunning = !!batch?.running;
+  const grading = batchRunning || gradingCount > 0;
+
+  // Regrading replaces teacher overrides; ask first.
+  const confirmRegrade = (targets) => {
+    const overridden = targets.filter(hasOverrides);
+    if (!overridden.length) return true;
+    return window.confirm(
+      overridden.length === 1
+        ? `${nameOf(overridden[0], students.indexOf(overridden[0]))} has teacher overrides. Regrading drops them (they stay in the override history). Regrade?`
+        : `${overridden.length} students have teacher overrides. Regrading drops them (they stay in each override history). Continue?`
+    );
+  };
+
   const gradeCurrent = () => {
-    if (!apiKey || !answerKey || students.length === 0) return;
-    gradeOne(students[currentIndex], currentIndex);
+    if (!canGrade || batchRunning) return;
+    if (!confirmRegrade([students[currentIndex]])) return;
+    gradeOne(students[currentIndex]).catch(() => {});
   };
 
-  const gradeAll = async () => {
-    if (!apiKey || !answerKey || students.length === 0) return;
-    for (let i = 0; i < students.length; i++) {
-      if (!students[i].result) {
-        await gradeOne(students[i], i);
-      }
+  const keyText = hasStructuredKey(keyModel) ? formatAnswerKeyForPrompt(keyModel) : answerKey;
+
+  const withinBudget = (indexes) => {
+    const budget = Number(providerSettings.budget) || 0;
+    if (budget <= 0) return true;
+    // Consistency mode sends every submission once per run.
+    const runs = gradingRuns(providerSettings).length;
+    const pages = sendsImages ? indexes.reduce((sum, i) => sum + imagePageCount(students[i]), 0) : 0;
+    const imagesOnly = sendsImages && vision.mode === "images";
+    const estimate = estimateBatchCost({
+      prompt: fillVariables(gradingPrompt, promptVariables),
+      keyText,
+      contents: indexes.flatMap((i) =>
+        Array(runs).fill(imagesOnly && imagePageCount(students[i]) ? "" : students[i].content)
+      ),
+      imageTokens: pages * runs * estimatePageImageTokens(IMAGE_SIZES[vision.size].px),
+      model: pricingModel(providerSettings),
+      prices,
+    });
+    if (estimate.cost == null) {
+      return window.confirm(
+        `No price is set for "${pricingModel(providerSettings)}", so the budget of ` +
+          `${formatCost(budget)} cannot be checked. Grade ${indexes.length} students anyway?`
+      );
     }
+    if (estimate.cost <= budget) return true;
+    return window.confirm(
+      `Grading ${indexes.length} students is estimated at ${formatCost(estimate.cost)} ` +
+        `(~${estimate.promptTokens + estimate.completionTokens} tokens), over your budget ` +
+        `of ${formatCost(budget)}. Continue?`
+    );
   };
 
-  const exportCSV = () => {
-  if (students.length === 0) return;
-
-  const qIds = new Set();
-  students.forEach((s) => s?.result?.questions?.forEach((q) => qIds.add(q.id)));
-  const questionIds = Array.from(qIds);
-
-  const headers = [
-    "Name",
-    "Total Score",
-    ...questionIds.flatMap((id) => [
-      `${id}_Question`,
-      `${id}_StudentAnswer`,
-      `${id}_CorrectAnswer`,
-      `${id}_Verdict`,
-      `${id}_Closeness`,
-      `${id}_QuestionScore`,
-    ]),
-    "Feedback",
-    "Graded At",
-  ];
-
-  const rows = students.map((s) => {
-    const { total } = calculateTotals(s.result || {});
-    const row = [s?.result?.student_name || s.name, total];
-    questionIds.forEach((id) => {
-      const q = s?.result?.questions?.find((qq) => qq.id === id);
-      row.push(
-        q?.question ?? "",
-        q?.student_answer ?? "",
-        q?.correct_answer ?? "",
-        q?.verdict ?? "",
-        q?.closeness ?? "",
-        q?.questionscore ?? ""
-      );
+  const runBatch = (indexes) => {
+    if (!canGrade || indexes.length === 0 || batchRunning) return;
+    if (!confirmRegrade(indexes.map((i) => students[i]))) return;
+    if (!withinBudget(indexes)) return;
+    indexes.forEach((i) => updateStudent(i, { status: "queued" }));
+    const queue = createGradingQueue({
+      concurrency: Math.max(1, Number(providerSettings.concurrency) || 1),
+      worker: (student, signal) => gradeOne(student, signal),
+      onChange: setBatch,
     });
-    row.push(s?.result?.feedback ?? "", s?.gradedAt ?? "");
-    return row.map((cell) => `"${String(cell).replace(/"/g, '""')}"`).join(",");
-  });
-
-  const csv = [headers.join(","), ...rows].join("\n");
-  const blob = new Blob([csv], { type: "text/csv;charset=utf-8;" });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement("a");
-  a.href = url;
-  a.setAttribute("download", "grading_results.csv");
-  document.body.appendChild(a);
-  a.click();
-  document.body.removeChild(a);
-};
-
-
-  // -------------------- Helpers --------------------
-  const getLetterGrade = (pct) => {
-    if (pct >= 90) return "A";
-    if (pct >= 80) return "B";
-    if (pct >= 70) return "C";
-    return "F";
+    queueRef.current = queue;
+    queue.push(indexes.map((i) => students[i]));
+  };
+
+  const gradeAll = () =>
+    runBatch(students.map((s, i) => (s.result ? null : i)).filter((i) => i !== null));
+
+  const retryFailed = () =>
+    runBatch(students.map((s, i) => (s.status === "error" ? i : null)).filter((i) => i !== null));
+
+  const cancelBatch = () => {
+    const dropped = queueRef.current?.cancel() || [];
+    dropped.forEach((s) => updateGraded(sessionIdRef.current, s.id, { status: "idle" }));
+  };
+
+  const failedCount = students.filter((s) => s.status === "error").length;
+
+  // -------------------- Export --------------------
+  const [exporting, setExporting] = useState("");
+
+  const exportResults = async (format) => {
+    if (students.length === 0) return;
+    if (format === "lms") return setShowLmsExport(true);
+    const base = (session?.name || "grading_results").replace(/[\\/:*?"<>|]+/g, "_");
+    const options = { roster, passThreshold, scale: gradingScale, curve, title: session?.name };
+    setExporting(format);
+    try {
+      if (format === "csv") {
+        await saveFile(gradebookCsv(students, options), `${base}.csv`, {
+          name: "CSV",
+          extensions: ["csv"],
+        });
+      } else if (format === "xlsx") {
+        await saveFile(await gradebookXlsx(students, options), `${base}.xlsx`, {
+          name: "Excel Workbook",
+          extensions: ["xlsx"],
+        });
+      } else if (format === "pdf") {
+        await saveFile(await feedbackReports(students, options), `${base} - feedback.zip`, {
+          name: "ZIP of PDF reports",
+          extensions: ["zip"],
+        });
+      } else if (format === "json") {
+        const data = {
+          ...session,
+          answerKey,
+          keyModel,
+          gradingPrompt,
+          outputContract,
+          promptVariables,
+          promptTemplate: promptTemplateId,
+          passThreshold,
+          gradingScale,
+          curve,
+          blindGrading,
+          vision,
+          students,
+          roster,
+          lmsExport: lmsConfig,
+          calibration,
+        };
+        await saveFile(sessionJson(data), `${base}.json`, { name: "JSON", extensions: ["json"] });
+      }
+    } catch (err) {
+      console.error("❌ Export failed:", err);
+      alert("Export failed: " + err.message);
+    } finally {
+      setExporting("");
+    }
+  };
+
+  const importSession = async (data) => {
+    if (blockedByGrading()) return;
+    await saveSession(data);
+    applySession(data);
+    setShowSessions(false);
   };
 
   // -------------------- UI --------------------
+  // Totals with the session's curve applied; `raw` holds the graded totals.
+  const scoreOf = useMemo(() => makeScorer(students, curve), [students, curve]);
+
+  // Blind grading hides names in the Evaluation panel and the overview.
+  const namesHidden = blindGrading && !gradingFinalized(students);
+  const nameOf = (student, index) => (namesHidden ? anonymousName(index) : displayName(student, roster));
   const currentStudent = students[currentIndex];
+  const selectedAnswer =
+    selectedQuestion?.index === currentIndex
+      ? effectiveResult(currentStudent)?.questions?.find((q) => q.id === selectedQuestion.id)
+          ?.student_answer
+      : null;
+
+  const selectQuestion = (id) => {
+    setSelectedQuestion((prev) =>
+      prev?.index === currentIndex && prev.id === id ? null : { index: currentIndex, id }
+    );
+    setShowSource(true);
+  };
 
   return (
     <div className="h-screen flex flex-col">
       {/* API Key + Threshold */}
       <div className="toolbar">
+        <button
+          onClick={() => setShowSessions(true)}
+          className="btn-secondary"
+          disabled={grading}
+          title={grading ? "Sessions can be switched once grading finishes" : ""}
+        >
+          Sessions
+        </button>
+        <button onClick={() => setShowRoster(true)} className="btn-secondary">
+          Roster
+          {roster.length > 0 && ` (${missingSubmissions(roster, students).length} missing)`}
+        </button>
+        <input
+          type="text"
+          placeholder="Session name"
+          value={session?.name || ""}
+          onChange={(e) => setSession((prev) => ({ ...prev, name: e.target.value }))}
+          className="input"
+          style={{ maxWidth: "220px" }}
+          disabled={!session}
+          title={saveState}
+        />
         <button
           onClick={() => setShowPromptConfig(true)}
           className="btn-secondary"
         >
           Configure Prompt
         </button>
+        <button
+          onClick={() => setShowProviderSettings(true)}
+          className="btn-secondary"
+          title={describeModel(providerSettings)}
+        >
+          Backend: {provider.label}
+        </button>
         <input
           type="password"
-          placeholder="Enter OpenAI API Key"
+          placeholder={
+            !keysInMainProcess() || keyState === "missing"
+              ? `Enter ${provider.keyLabel}`
+              : keySaved
+                ? `${provider.keyLabel} saved (encrypted)`
+                : `${provider.keyLabel} saved for ${keysSaved[providerSettings.provider] || "another endpoint"}; enter it again`
+          }
+          title={keyState === "elsewhere" ? "Saved keys are only sent to the endpoint they were saved for" : undefined}
           value={apiKey}
           onChange={handleApiKeyChange}
+          onBlur={commitApiKey}
+          onKeyDown={(e) => e.key === "Enter" && commitApiKey()}
           className="input"
         />
+        {keyState !== "missing" && keysInMainProcess() && (
+          <button onClick={forgetApiKey} className="btn-secondary" title={`Delete the saved ${provider.keyLabel}`}>
+            Forget Key
+          </button>
+        )}
         <input
           type="number"
           min="0"
@@ -417,7 +876,191 @@ Only return valid JSON.`,
           title="Pass/Fail Threshold (%)"
         />
         <span>Pass threshold (%)</span>
+        <button
+          onClick={() => setShowScaleEditor(true)}
+          className="btn-secondary"
+          title="Grading scale for this session"
+        >
+          Scale: {gradingScale.name}
+        </button>
+        <label className="flex gap-1 items-center" title="Hide names while grading, until every submission is graded and reviewed">
+          <input type="checkbox" checked={blindGrading} onChange={(e) => setBlindGrading(e.target.checked)} />
+          Blind grading
+        </label>
+        <select
+          value={vision.mode}
+          onChange={(e) => setVision((prev) => ({ ...prev, mode: e.target.value }))}
+          className="input"
+          style={{ width: "auto" }}
+          title="What the model sees of PDFs and images. Page images need a vision model."
+        >
+          {Object.entries(INPUT_MODES).map(([id, label]) => (
+            <option key={id} value={id}>
+              {label}
+            </option>
+          ))}
+        </select>
+        {vision.mode !== "text" && (
+          <select
+            value={vision.size}
+            onChange={(e) => setVision((prev) => ({ ...prev, size: e.target.value }))}
+            className="input"
+            style={{ width: "auto" }}
+            title="Page images are downscaled to this size; larger reads small writing better but costs more"
+          >
+            {Object.entries(IMAGE_SIZES).map(([id, { label }]) => (
+              <option key={id} value={id}>
+                {label}
+              </option>
+            ))}
+          </select>
+        )}
+        {vision.mode !== "text" && !imageModel && (
+          <span title="The model in Grading Backend settings does not accept images; submissions are sent as text">
+            ⚠️ Text only
+          </span>
+        )}
+        {providerSettings.redactPii && (
+          <span
+            title={`Personal details are redacted before grading${vision.mode !== "text" ? "; page images are not sent, as they cannot be redacted" : ""}`}
+          >
+            🔒 Privacy mode
+          </span>
+        )}
       </div>
+      {showSessions && (
+        <SessionPicker
+          currentId={session?.id}
+          openHashes={students.map((s) => s.hash).filter(Boolean)}
+          onOpen={openSession}
+          onNew={startNewSession}
+          onImport={importSession}
+          onClose={() => setShowSessions(false)}
+        />
+      )}
+      {splitRequest && (
+        <SplitPreview
+          fileName={splitRequest.fileName}
+          pages={splitRequest.pages}
+          settings={splitSettings}
+          onConfirm={finishSplit}
+          onCancel={() => finishSplit(false)}
+        />
+      )}
+      {showScaleEditor && (
+        <GradingScaleEditor
+          scale={gradingScale}
+          passThreshold={passThreshold}
+          onApply={(scale) => {
+            setGradingScale(scale);
+            setShowScaleEditor(false);
+          }}
+          onClose={() => setShowScaleEditor(false)}
+        />
+      )}
+      {showCalibration && (
+        <CalibrationPanel
+          calibration={calibration}
+          baseline={{
+            prompt: localStorage.getItem("grading_prompt") || DEFAULT_PROMPT,
+            contract: localStorage.getItem("grading_contract"),
+            variables: promptVariables,
+          }}
+          candidate={
+            calibrationCandidate || {
+              prompt: gradingPrompt,
+              contract: outputContract,
+              variables: promptVariables,
+              templateId: promptTemplateId,
+            }
+          }
+          settings={providerSettings}
+          apiKey={apiKey}
+          answerKey={answerKey}
+          keyModel={keyModel}
+          roster={roster}
+          prices={prices}
+          onCacheUpdate={(added) =>
+            setCalibration((prev) => ({ ...prev, cache: mergeCache(prev.cache, added) }))
+          }
+          onRemoveSample={removeCalibrationSample}
+          onAdoptPrompt={(draft) => savePromptVersion({ ...draft, note: "Adopted after calibration" })}
+          onAdoptModel={adoptCalibratedModel}
+          onAdoptKey={(text) => {
+            setAnswerKey(text);
+            const parsed = parseAnswerKeyText(text);
+            setKeyModel(parsed);
+            setKeyView(hasStructuredKey(parsed) ? "structured" : "text");
+          }}
+          onClose={() => {
+            setShowCalibration(false);
+            setCalibrationCandidate(null);
+          }}
+        />
+      )}
+      {showReview && (
+        <ConsistencyReview
+          students={students}
+          nameOf={nameOf}
+          onResolve={resolveDisagreement}
+          onOpen={(index) => {
+            setCurrentIndex(index);
+            setShowReview(false);
+          }}
+          onClose={() => setShowReview(false)}
+        />
+      )}
+      {showCurveEditor && (
+        <CurveEditor
+          students={students}
+          nameOf={nameOf}
+          curve={curve}
+          passThreshold={passThreshold}
+          scale={gradingScale}
+          onApply={(next) => {
+            setCurve(isCurveActive(next) ? next : null);
+            setShowCurveEditor(false);
+          }}
+          onClose={() => setShowCurveEditor(false)}
+        />
+      )}
+      {showLmsExport && (
+        <LmsExport
+          students={students}
+          roster={roster}
+          curve={curve}
+          config={
+            lmsConfig || {
+              ...defaultLmsConfig(),
+              assignmentName: session?.name || "",
+              pointsPossible: keyTotal(keyModel) || "",
+            }
+          }
+          onChange={setLmsConfig}
+          onExport={async (csv, fileName) => {
+            if (await saveFile(csv, fileName, { name: "CSV", extensions: ["csv"] }))
+              setShowLmsExport(false);
+          }}
+          onClose={() => setShowLmsExport(false)}
+        />
+      )}
+      {showRoster && (
+        <RosterPanel
+          roster={roster}
+          students={students}
+          onRosterChange={setRoster}
+          onAssign={assignRoster}
+          onClose={() => setShowRoster(false)}
+        />
+      )}
+      {showProviderSettings && (
+        <ProviderSettings
+          settings={providerSettings}
+          prices={prices}
+          onSave={handleProviderSave}
+          onClose={() => setShowProviderSettings(false)}
+        />
+      )}
       {/* Prompt Configuration Modal */}
       {showPromptConfig && (
         <div className="modal-overlay" onClick={() => setShowPromptConfig(false)}>
@@ -433,33 +1076,28 @@ Only return valid JSON.`,
               // width: "500px", // optionally set a width
             }}
           >
-            <h2 className="panel-title">Edit Grading Prompt</h2>
-            <textarea
-              className="textarea"
-              value={gradingPrompt}
-              onChange={(e) => setGradingPrompt(e.target.value)}
-              style={{
-                height: modalHeight - 120,
-                overflowY: "auto",
-                resize: "none",
-                width: "100%",
-                boxSizing: "border-box",
+            <PromptLibrary
+              value={{
+                prompt: gradingPrompt,
+                contract: outputContract,
+                variables: promptVariables,
+                templateId: promptTemplateId,
+              }}
+              calibrationCount={calibration.samples.length}
+              onApply={(draft) => {
+                applyPromptDraft(draft);
+                setShowPromptConfig(false);
+              }}
+              onSaveVersion={(draft) => {
+                savePromptVersion(draft);
+                setShowPromptConfig(false);
               }}
+              onTestCalibration={(draft) => {
+                setCalibrationCandidate(draft);
+                setShowCalibration(true);
+              }}
+              onClose={() => setShowPromptConfig(false)}
             />
-            <div className="flex justify-end gap-2">
-              <button className="btn-secondary" onClick={() => setShowPromptConfig(false)}>
-                Cancel
-              </button>
-              <button
-                className="btn-success"
-                onClick={() => {
-                  localStorage.setItem("grading_prompt", gradingPrompt);
-                  setShowPromptConfig(false);
-                }}
-              >
-                Save
-              </button>
-            </div>
             {/* Resize handle */}
             <div
               style={{
@@ -496,18 +1134,98 @@ Only return valid JSON.`,
 
       <div className="flex flex-1 w-full">
         {/* Left: Students */}
-        <div className="panel flex-1 overflow-y-auto">
+        <div
+          className={`panel flex-1 overflow-y-auto ${dropActive ? "drop-active" : ""}`}
+          onDragOver={(e) => {
+            e.preventDefault();
+            setDropActive(true);
+          }}
+          onDragLeave={(e) => {
+            if (!e.currentTarget.contains(e.relatedTarget)) setDropActive(false);
+          }}
+          onDrop={handleDrop}
+        >
           <h2 className="panel-title">Student Submissions</h2>
           <div className="flex gap-2 mb-2">
             <input
               type="file"
+              multiple
               onChange={handleStudentUpload}
               className="input-file"
             />
+            <input
+              type="file"
+              webkitdirectory=""
+              ref={folderInputRef}
+              onChange={handleStudentUpload}
+              style={{ display: "none" }}
+            />
+            <button onClick={handleFolderImport} className="btn-secondary">
+              Import Folder
+            </button>
             <button onClick={handlePasteStudent} className="btn-secondary">
               Add Pasted
             </button>
           </div>
+          <details className="ocr-options mb-2">
+            <summary className="text-sm">OCR options for scans and images</summary>
+            <div className="flex gap-4 items-center text-sm">
+              {Object.entries(OCR_LANGUAGES).map(([lang, label]) => (
+                <label key={lang} className="flex gap-1 items-center">
+                  <input
+                    type="checkbox"
+                    checked={ocrSettings.languages.includes(lang)}
+                    onChange={() => toggleOcrLanguage(lang)}
+                  />
+                  {label}
+                </label>
+              ))}
+            </div>
+            <div className="flex gap-4 items-center text-sm">
+              <label className="flex gap-1 items-center">
+                <input
+                  type="checkbox"
+                  checked={ocrSettings.deskew}
+                  onChange={(e) => updateOcr({ deskew: e.target.checked })}
+                />
+                Deskew
+              </label>
+              <label className="flex gap-1 items-center">
+                <input
+                  type="checkbox"
+                  checked={ocrSettings.binarize}
+                  onChange={(e) => updateOcr({ binarize: e.target.checked })}
+                />
+                Black &amp; white
+              </label>
+              <label className="flex gap-1 items-center">
+                Rotate
+                <select
+                  className="input"
+                  value={ocrSettings.rotate}
+                  onChange={(e) => updateOcr({ rotate: Number(e.target.value) })}
+                >
+                  {ROTATIONS.map((deg) => (
+                    <option key={deg} value={deg}>
+                      {deg}°
+                    </option>
+                  ))}
+                </select>
+              </label>
+            </div>
+          </details>
+          {ingest && (
+            <p className="text-sm mb-2">
+              {typeof ingest === "string"
+                ? ingest
+                : `Importing ${ingest.done + 1} / ${ingest.total}…`}
+            </p>
+          )}
+          {students.length === 0 && (
+            <p className="text-sm">
+              Drop files, folders or ZIPs here. New submissions are added to the list.
+            </p>
+          )}
           {students.length > 0 && (
             <>
               <div className="nav-bar">
@@ -519,7 +1237,7 @@ Only return valid JSON.`,
                   Prev
                 </button>
                 <span>
-                  {currentIndex + 1} / {students.length} — {currentStudent?.name}
+                  {currentIndex + 1} / {students.length} — {currentStudent && nameOf(currentStudent, currentIndex)}
                 </span>
                 <button
                   className="btn-primary"
@@ -539,10 +1257,7 @@ Only return valid JSON.`,
                 onChange={(e) => {
                   updateStudent(currentIndex, {
                     content: e.target.value,
-                    result: null,
-                    status: "idle",
-                    gradedAt: null,
-                    elapsed: 0,
+                    stale: !!currentStudent.result,
                   });
                 }}
               />
@@ -558,32 +1273,137 @@ Only return valid JSON.`,
             onChange={handleAnswerKeyUpload}
             className="input-file"
           />
-          <textarea
-            className="textarea"
-            value={answerKey}
-            onChange={(e) => setAnswerKey(e.target.value)}
-          />
+          <div className="flex gap-2 mb-2">
+            <button
+              className={keyView === "text" ? "btn-primary" : "btn-secondary"}
+              onClick={() => setKeyView("text")}
+            >
+              Text
+            </button>
+            <button
+              className={keyView === "structured" ? "btn-primary" : "btn-secondary"}
+              onClick={() => setKeyView("structured")}
+            >
+              Structured
+            </button>
+            {keyView === "text" && (
+              <button
+                className="btn-success"
+                onClick={handleParseKeyText}
+                disabled={!answerKey.trim()}
+              >
+                Parse into questions
+              </button>
+            )}
+          </div>
+          {keyView === "text" ? (
+            <textarea
+              className="textarea"
+              value={answerKey}
+              onChange={(e) => setAnswerKey(e.target.value)}
+            />
+          ) : (
+            <AnswerKeyEditor keyModel={keyModel} onChange={setKeyModel} />
+          )}
+          {hasStructuredKey(keyModel) && keyView === "text" && (
+            <p className="text-sm">
+              The structured key ({keyModel.questions.length} questions) is used for
+              grading.
+            </p>
+          )}
         </div>
 
+        {/* Original document, next to the evaluation */}
+        {showSource && currentStudent && (
+          <div className="panel flex-1 border-r overflow-y-auto">
+            <div className="flex justify-between items-center">
+              <h2 className="panel-title">Original</h2>
+              <button className="btn-secondary" onClick={() => setShowSource(false)}>
+                Hide
+              </button>
+            </div>
+            {selectedAnswer ? (
+              <p className="text-sm">Highlighting the answer to the selected question.</p>
+            ) : (
+              <p className="text-sm">Click a question in the evaluation to find its answer here.</p>
+            )}
+            <DocumentViewer
+              key={currentIndex}
+              student={currentStudent}
+              answer={selectedAnswer}
+            />
+          </div>
+        )}
+
         {/* Right: Individual Evaluation */}
         <div className="panel flex-1 border-r overflow-y-auto">
           <h2 className="panel-title">Evaluation</h2>
           <div className="flex gap-2 mb-3">
             <button
               onClick={gradeCurrent}
-              disabled={!answerKey || students.length === 0}
+              disabled={!canGrade || batchRunning}
               className="btn-success"
             >
               Grade Current
             </button>
             <button
               onClick={gradeAll}
-              disabled={!answerKey || students.length === 0}
+              disabled={!canGrade || batchRunning}
               className="btn-primary"
             >
               Grade All
             </button>
+            {batchRunning &&
+              (batch.paused ? (
+                <button onClick={() => queueRef.current.resume()} className="btn-success">
+                  Resume
+                </button>
+              ) : (
+                <button onClick={() => queueRef.current.pause()} className="btn-secondary">
+                  Pause
+                </button>
+              ))}
+            {batchRunning && (
+              <button onClick={cancelBatch} className="btn-danger">
+                Cancel
+              </button>
+            )}
+            {currentStudent && !showSource && (
+              <button onClick={() => setShowSource(true)} className="btn-secondary">
+                Show Original
+              </button>
+            )}
+            {!batchRunning && failedCount > 0 && (
+              <button onClick={retryFailed} disabled={!canGrade} className="btn-danger">
+                Retry Failed ({failedCount})
+              </button>
+            )}
+            {currentStudent?.result?.questions && (
+              <button
+                onClick={() => addCalibrationSample(currentStudent)}
+                className="btn-secondary"
+                title="Use this submission and its corrected scores to test prompt changes"
+              >
+                {calibrationSample(currentStudent) ? "Update Calibration Sample" : "Add to Calibration Set"}
+              </button>
+            )}
+            {reviewQueue(students).length > 0 && (
+              <button onClick={() => setShowReview(true)} className="btn-secondary">
+                Review Disagreements ({reviewQueue(students).length})
+              </button>
+            )}
           </div>
+          {batch && <BatchProgress batch={batch} />}
+          {(() => {
+            const agreement = agreementRate(students);
+            if (!agreement) return null;
+            return (
+              <p className="text-sm">
+                <strong>Grader agreement:</strong> {(agreement.rate * 100).toFixed(0)}% of questions (
+                {agreement.agreed} of {agreement.total})
+              </p>
+            );
+          })()}
 
           {currentStudent && (
             <>
@@ -598,15 +1418,52 @@ Only return valid JSON.`,
                         ? "green"
                         : currentStudent.status === "error"
                         ? "red"
+                        : currentStudent.status === "needs review"
+                        ? "purple"
                         : "blue",
                   }}
                 >
                   {currentStudent.status}
                 </span>
+                {currentStudent.status === "error" && currentStudent.error && (
+                  <span className="text-sm"> — {currentStudent.error}</span>
+                )}
               </p>
 
+              {currentStudent.result?.validationErrors && (
+                <div className="review-box">
+                  <p className="text-error">
+                    Needs review — the model output failed validation:
+                  </p>
+                  <ul>
+                    {currentStudent.result.validationErrors.map((e, i) => (
+                      <li key={i}>
+                        <code>{e.path}</code> {e.message}
+                      </li>
+                    ))}
+                  </ul>
+                  {currentStudent.result.raw && (
+                    <pre className="code-box">{currentStudent.result.raw}</pre>
+                  )}
+                </div>
+              )}
+              {openDisagreements(currentStudent).length > 0 && (
+                <div className="review-box">
+                  <p className="text-error">
+                    Graders disagreed on{" "}
+                    {openDisagreements(currentStudent)
+                      .map((q) => q.id)
+                      .join(", ")}
+                    .{" "}
+                    <button onClick={() => setShowReview(true)} className="btn-secondary text-sm">
+                      Review
+                    </button>
+                  </p>
+                </div>
+              )}
+
               {currentStudent.result &&
-                currentStudent.status === "displayed" && (
+                ["displayed", "needs review"].includes(currentStudent.status) && (
                   <div className="result-box">
                     {currentStudent.result.error ? (
                       <p className="text-error">
@@ -616,55 +1473,86 @@ Only return valid JSON.`,
                       <>
                         <p>
                           <strong>Name:</strong>{" "}
-                          {currentStudent.result.student_name ||
-                            currentStudent.name}
+                          {nameOf(currentStudent, currentIndex)}
+                          {currentStudent.rosterId && !namesHidden && ` (${currentStudent.rosterId})`}
                         </p>
+                        {currentStudent.redacted && (
+                          <p className="text-sm">
+                            🔒 Sent without personal details
+                            {describeRedactions(currentStudent.redacted) &&
+                              ` (${describeRedactions(currentStudent.redacted)} redacted)`}
+                          </p>
+                        )}
+                        {currentStudent.input && currentStudent.input !== "text" && (
+                          <p className="text-sm">
+                            🖼️ Graded from {currentStudent.input === "both" ? "text and " : ""}page images
+                            ({currentStudent.imagePages} page{currentStudent.imagePages === 1 ? "" : "s"})
+                          </p>
+                        )}
+                        {currentStudent.stale && (
+                          <p className="text-sm text-error">
+                            The submission was edited after grading — regrade to refresh.
+                          </p>
+                        )}
                         {(() => {
-                          const { total, worth, pct } = calculateTotals(
-                            currentStudent.result
-                          );
+                          const { total, worth, pct, raw } = scoreOf(currentStudent);
                           const pass = pct >= passThreshold;
                           return (
                             <p>
                               <strong>Total Score:</strong> {total} / {worth} (
-                              {pct.toFixed(1)}%) —{" "}
+                              {pct.toFixed(1)}%
+                              {curve && (
+                                <span title={describeCurve(curve)}>
+                                  , curved from {raw.pct.toFixed(1)}%
+                                </span>
+                              )}
+                              ) —{" "}
                               {pass ? "✅ Pass" : "❌ Fail"} — Grade:{" "}
-                              {getLetterGrade(pct)}
+                              {gradeFor(gradingScale, pct, passThreshold)}
+                              {hasOverrides(currentStudent) && (
+                                <span className="override-mark" title="Includes teacher overrides">
+                                  ✎
+                                </span>
+                              )}
                             </p>
                           );
                         })()}
-                        {currentStudent.result.questions?.map((q, idx) => (
-                          <div key={idx} className="mb-3 border-b pb-2">
-                            <p>
-                              <strong>
-                                Q{idx + 1}. {q.question}
-                              </strong>
-                            </p>
-                            <p>
-                              Answer: {q.student_answer} (
-                              <span
-                                style={{
-                                  color:
-                                    q.verdict === "Correct"
-                                      ? "green"
-                                      : q.verdict === "Partial"
-                                      ? "orange"
-                                      : "red",
-                                }}
-                              >
-                                {q.verdict}
-                              </span>
-                              )
-                            </p>
-                            <p>Correct: {q.correct_answer}</p>
-                            <p>Closeness: {q.closeness}%</p>
-                            <p>Question Score: {q.questionscore}</p>
-                          </div>
+                        {effectiveResult(currentStudent).questions?.map((q, idx) => (
+                          <QuestionResult
+                            key={`${currentIndex}-${q.id}`}
+                            q={q}
+                            idx={idx}
+                            selected={selectedQuestion?.index === currentIndex && selectedQuestion.id === q.id}
+                            onSelect={() => selectQuestion(q.id)}
+                            onOverride={overrideQuestion}
+                            onRevert={revertQuestion}
+                          />
                         ))}
                         <p className="mt-2">
                           <strong>Feedback:</strong>{" "}
                           {currentStudent.result.feedback}
                         </p>
+                        {currentStudent.audit?.length > 0 && (
+                          <details className="mt-2 text-sm">
+                            <summary>Override history ({currentStudent.audit.length})</summary>
+                            <ul>
+                              {currentStudent.audit.map((a, i) => (
+                                <li key={i}>
+                                  {new Date(a.at).toLocaleString()} — {a.questionId}.{a.field}:{" "}
+                                  {String(a.from ?? "—")} → {String(a.to ?? "—")} (model:{" "}
+                                  {String(a.original ?? "—")}) — “{a.reason}”
+                                </li>
+                              ))}
+                            </ul>
+                          </details>
+                        )}
+                        {currentStudent.usage && (
+                          <p className="text-sm mt-2">
+                            Tokens: {currentStudent.usage.promptTokens} prompt /{" "}
+                            {currentStudent.usage.completionTokens} completion — est.{" "}
+                            {formatCost(currentStudent.usage.cost)}
+                          </p>
+                        )}
                       </>
                     )}
                   </div>
@@ -677,9 +1565,51 @@ Only return valid JSON.`,
         <div className="panel flex-1 overflow-y-auto">
           <div className="flex justify-between items-center">
             <h2 className="panel-title">Scores Overview</h2>
-            <button onClick={exportCSV} className="btn-primary text-sm">Export CSV</button>
+            <div className="flex gap-2">
+              <button
+                className={overviewTab === "table" ? "btn-primary text-sm" : "btn-secondary text-sm"}
+                onClick={() => setOverviewTab("table")}
+              >
+                Table
+              </button>
+              <button
+                className={overviewTab === "analytics" ? "btn-primary text-sm" : "btn-secondary text-sm"}
+                onClick={() => setOverviewTab("analytics")}
+              >
+                Analytics
+              </button>
+              <button
+                className={curve ? "btn-primary text-sm" : "btn-secondary text-sm"}
+                onClick={() => setShowCurveEditor(true)}
+                disabled={students.length === 0}
+                title={describeCurve(curve) || "Curve scores for the whole class"}
+              >
+                Curve{curve ? " ✓" : "…"}
+              </button>
+            </div>
+            <select
+              className="input text-sm"
+              value=""
+              disabled={students.length === 0 || !!exporting}
+              onChange={(e) => exportResults(e.target.value)}
+              style={{ maxWidth: "180px" }}
+            >
+              <option value="">{exporting ? "Exporting…" : "Export…"}</option>
+              <option value="xlsx">Excel gradebook (.xlsx)</option>
+              <option value="csv">CSV (.csv)</option>
+              <option value="pdf">Feedback reports (PDF, .zip)</option>
+              <option value="json">Full session (.json)</option>
+              <option value="lms">LMS gradebook (Canvas, Moodle, Google)…</option>
+            </select>
           </div>
 
+          {namesHidden && (
+            <p className="text-sm">Blind grading: names appear once every submission is graded and reviewed.</p>
+          )}
+
+          {overviewTab === "analytics" ? (
+            <Analytics students={students} passThreshold={passThreshold} curve={curve} score={scoreOf} />
+          ) : (
           <table className="w-full text-sm border-collapse">
             <thead className="sticky top-0 bg-white shadow">
               <tr>
@@ -703,30 +1633,46 @@ Only return valid JSON.`,
                       <td
                         className="border px-2 py-1 cursor-pointer text-blue-600 underline"
                         onClick={() => setCurrentIndex(idx)}
+                        title={
+                          s.usage
+                            ? `${s.usage.promptTokens + s.usage.completionTokens} tokens, ${formatCost(s.usage.cost)}`
+                            : ""
+                        }
                       >
-                        {s.result.student_name || s.name}
+                        {nameOf(s, idx)}
+                        {s.result.validationErrors && (
+                          <span title="Needs review"> ⚠️</span>
+                        )}
                       </td>
-                      {s.result.questions?.map((q, i) => (
-                        <td key={i} className="border px-2 py-1 text-center">
+                      {effectiveResult(s).questions?.map((q, i) => (
+                        <td
+                          key={i}
+                          className={`border px-2 py-1 text-center ${q.overridden ? "overridden" : ""}`}
+                          title={q.overridden ? "Overridden by the teacher" : ""}
+                        >
                           {q.questionscore}
+                          {q.overridden && <span className="override-mark">✎</span>}
                         </td>
                       ))}
                       {(() => {
-                        const { total, worth, pct } = calculateTotals(s.result);
+                        const { total, worth, pct, raw } = scoreOf(s);
                         const pass = pct >= passThreshold;
                         return (
                           <>
                             <td className="border px-2 py-1 text-center font-bold">
                               {total}
                             </td>
-                            <td className="border px-2 py-1 text-center">
+                            <td
+                              className="border px-2 py-1 text-center"
+                              title={curve ? `Before the curve: ${raw.pct.toFixed(1)}%` : ""}
+                            >
                               {pct.toFixed(1)}%
                             </td>
                             <td className="border px-2 py-1 text-center">
                               {pass ? "✅" : "❌"}
                             </td>
                             <td className="border px-2 py-1 text-center">
-                              {getLetterGrade(pct)}
+                              {gradeFor(gradingScale, pct, passThreshold)}
                             </td>
                           </>
                         );
@@ -736,6 +1682,18 @@ Only return valid JSON.`,
               )}
             </tbody>
           </table>
+          )}
+          {(() => {
+            const usage = students.reduce((sum, s) => addUsage(sum, s.usage), {});
+            if (!usage.promptTokens && !usage.completionTokens) return null;
+            return (
+              <p className="text-sm mt-2">
+                <strong>Tokens:</strong> {usage.promptTokens} prompt /{" "}
+                {usage.completionTokens} completion — <strong>Est. cost:</strong>{" "}
+                {formatCost(usage.cost)}
+              </p>
+            );
+          })()}
         </div>
       </div>
     </div>
@@ -0,0 +1,144 @@
+import React from "react";
+import { classStats, itemAnalysis } from "../lib/analytics.js";
+import { describeCurve, isCurveActive } from "../lib/curves.js";
+
+const VERDICT_CLASSES = {
+  Correct: "verdict-correct",
+  Partial: "verdict-partial",
+  Incorrect: "verdict-incorrect",
+};
+
+function Histogram({ bins, passThreshold }) {
+  const max = Math.max(1, ...bins.map((b) => b.count));
+  const width = 300;
+  const height = 120;
+  const barWidth = width / bins.length;
+  return (
+    <svg viewBox={`0 0 ${width} ${height + 16}`} className="histogram" role="img" aria-label="Score distribution">
+      {bins.map((b, i) => {
+        const h = (b.count / max) * height;
+        return (
+          <g key={i}>
+            <rect
+              x={i * barWidth + 1}
+              y={height - h}
+              width={barWidth - 2}
+              height={h}
+              className={b.to <= passThreshold ? "histogram-fail" : "histogram-pass"}
+            >
+              <title>
+                {b.from}–{b.to}%: {b.count} student{b.count === 1 ? "" : "s"}
+              </title>
+            </rect>
+            {b.count > 0 && (
+              <text x={i * barWidth + barWidth / 2} y={height - h - 2} textAnchor="middle" className="histogram-count">
+                {b.count}
+              </text>
+            )}
+            <text x={i * barWidth} y={height + 12} className="histogram-label">
+              {b.from}
+            </text>
+          </g>
+        );
+      })}
+      <line
+        x1={(passThreshold / 100) * width}
+        x2={(passThreshold / 100) * width}
+        y1="0"
+        y2={height}
+        className="histogram-threshold"
+      />
+    </svg>
+  );
+}
+
+export default function Analytics({ students, passThreshold, curve, score }) {
+  const stats = classStats(students, passThreshold, score);
+  const items = itemAnalysis(students);
+
+  if (stats.count === 0) return <p className="text-sm">Analytics appear once students are graded.</p>;
+
+  return (
+    <div className="analytics">
+      <div className="analytics-stats">
+        <div>
+          <strong>{stats.count}</strong> graded
+        </div>
+        <div>
+          Mean <strong>{stats.mean.toFixed(1)}%</strong>
+        </div>
+        <div>
+          Median <strong>{stats.median.toFixed(1)}%</strong>
+        </div>
+        <div>
+          Std. dev. <strong>{stats.stdDev.toFixed(1)}</strong>
+        </div>
+        <div>
+          Pass rate <strong>{(stats.passRate * 100).toFixed(0)}%</strong> (≥ {passThreshold}%)
+        </div>
+      </div>
+      {isCurveActive(curve) && (
+        <p className="text-sm">
+          Curved ({describeCurve(curve)}), as in the overview and exports. Question figures below are as graded.
+        </p>
+      )}
+
+      <h3 className="section-title">Score distribution</h3>
+      <Histogram bins={stats.histogram} passThreshold={passThreshold} />
+
+      <h3 className="section-title">Questions</h3>
+      <table className="w-full text-sm border-collapse">
+        <thead>
+          <tr>
+            <th className="border px-2 py-1">Question</th>
+            <th className="border px-2 py-1" title="Mean score as a share of the maximum; lower is harder">
+              Difficulty
+            </th>
+            <th className="border px-2 py-1">Verdicts</th>
+            <th className="border px-2 py-1" title="Top third minus bottom third of the class">
+              Discr.
+            </th>
+          </tr>
+        </thead>
+        <tbody>
+          {items.map((item) => (
+            <tr key={item.id} className={item.flags.length ? "item-flagged" : ""}>
+              <td className="border px-2 py-1" title={item.question}>
+                {item.id}
+                {item.flags.map((f) => (
+                  <div key={f} className="text-error">
+                    ⚠️ {f}
+                  </div>
+                ))}
+              </td>
+              <td className="border px-2 py-1">
+                <div className="meter" title={`${item.meanScore.toFixed(2)} / ${item.maxScore} on average`}>
+                  <div className="meter-fill" style={{ width: `${item.difficulty * 100}%` }} />
+                </div>
+                {(item.difficulty * 100).toFixed(0)}%
+              </td>
+              <td className="border px-2 py-1">
+                <div className="verdict-bar">
+                  {Object.entries(item.verdicts).map(([verdict, count]) =>
+                    count ? (
+                      <div
+                        key={verdict}
+                        className={VERDICT_CLASSES[verdict]}
+                        style={{ flex: count }}
+                        title={`${verdict}: ${count}`}
+                      />
+                    ) : null
+                  )}
+                </div>
+                {item.verdicts.Correct}/{item.verdicts.Partial}/{item.verdicts.Incorrect}
+              </td>
+              <td className="border px-2 py-1">
+                {item.discrimination == null ? "—" : item.discrimination.toFixed(2)}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
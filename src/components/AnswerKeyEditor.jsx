@@ -0,0 +1,233 @@
+import React from "react";
+import { keyTotal, newQuestion } from "../lib/answerKey.js";
+import { QUESTION_TYPES, isClosedQuestion } from "../lib/autoGrade.js";
+
+export default function AnswerKeyEditor({ keyModel, onChange }) {
+  const questions = keyModel.questions;
+
+  const setQuestions = (next) => onChange({ ...keyModel, questions: next });
+
+  const updateQuestion = (idx, updates) =>
+    setQuestions(questions.map((q, i) => (i === idx ? { ...q, ...updates } : q)));
+
+  const updateRow = (idx, list, rowIdx, updates) =>
+    updateQuestion(idx, {
+      [list]: questions[idx][list].map((r, i) => (i === rowIdx ? { ...r, ...updates } : r)),
+    });
+
+  const addRow = (idx, list, row) =>
+    updateQuestion(idx, { [list]: [...questions[idx][list], row] });
+
+  const removeRow = (idx, list, rowIdx) =>
+    updateQuestion(idx, { [list]: questions[idx][list].filter((_, i) => i !== rowIdx) });
+
+  const duplicateIds = new Set(
+    questions.map((q) => q.id).filter((id, i, all) => all.indexOf(id) !== i)
+  );
+
+  return (
+    <div className="key-editor">
+      <p className="text-sm">
+        {questions.length} questions — worth {keyTotal(keyModel)} points
+      </p>
+
+      {questions.map((q, idx) => (
+        <div key={idx} className="key-question">
+          <div className="flex gap-2 items-center">
+            <input
+              className="input"
+              style={{ maxWidth: "80px" }}
+              value={q.id}
+              onChange={(e) => updateQuestion(idx, { id: e.target.value.trim() })}
+              title="Question id"
+            />
+            <input
+              type="number"
+              min="0"
+              step="0.5"
+              className="input"
+              style={{ maxWidth: "90px" }}
+              value={q.points}
+              onChange={(e) => updateQuestion(idx, { points: Number(e.target.value) })}
+              title="Max points"
+            />
+            <span className="text-sm">pts</span>
+            <select
+              className="input"
+              style={{ width: "auto" }}
+              value={q.type || "open"}
+              onChange={(e) => updateQuestion(idx, { type: e.target.value })}
+              title="Closed question types are graded from the key, without the model"
+            >
+              {Object.entries(QUESTION_TYPES).map(([id, label]) => (
+                <option key={id} value={id}>
+                  {label}
+                </option>
+              ))}
+            </select>
+            <button
+              className="btn-danger"
+              onClick={() => setQuestions(questions.filter((_, i) => i !== idx))}
+            >
+              Remove
+            </button>
+          </div>
+          {duplicateIds.has(q.id) && <p className="text-error">Duplicate id "{q.id}"</p>}
+          <textarea
+            className="textarea key-field"
+            placeholder="Question prompt"
+            value={q.prompt}
+            onChange={(e) => updateQuestion(idx, { prompt: e.target.value })}
+          />
+          <textarea
+            className="textarea key-field"
+            placeholder={
+              q.type === "mcq"
+                ? "Correct letter(s), e.g. B or A, C"
+                : q.type === "truefalse"
+                  ? "True or False"
+                  : q.type === "numeric"
+                    ? "Value and unit, e.g. 9.8 m/s^2"
+                    : "Model answer"
+            }
+            value={q.answer}
+            onChange={(e) => updateQuestion(idx, { answer: e.target.value })}
+          />
+          {q.type === "mcq" && (
+            <textarea
+              className="textarea key-field"
+              placeholder="Options, one per line (optional): lets students answer with the option's text"
+              value={(q.options || []).join("\n")}
+              onChange={(e) => updateQuestion(idx, { options: e.target.value.split("\n") })}
+            />
+          )}
+          {q.type === "numeric" && (
+            <div className="flex gap-2 mb-1 items-center">
+              <span className="text-sm">Tolerance ±</span>
+              <input
+                type="number"
+                min="0"
+                step="any"
+                className="input"
+                style={{ maxWidth: "90px" }}
+                value={q.tolerance?.absolute ?? 0}
+                onChange={(e) =>
+                  updateQuestion(idx, { tolerance: { ...q.tolerance, absolute: Number(e.target.value) } })
+                }
+                title="Absolute tolerance, in the answer's unit"
+              />
+              <span className="text-sm">or ±</span>
+              <input
+                type="number"
+                min="0"
+                step="any"
+                className="input"
+                style={{ maxWidth: "90px" }}
+                value={q.tolerance?.relative ?? 0}
+                onChange={(e) =>
+                  updateQuestion(idx, { tolerance: { ...q.tolerance, relative: Number(e.target.value) } })
+                }
+                title="Relative tolerance (%)"
+              />
+              <span className="text-sm">%</span>
+            </div>
+          )}
+          {isClosedQuestion(q) && (
+            <p className="text-sm">
+              Graded by matching the student's answer to question {q.id.match(/\d+/)?.[0] ?? idx + 1}
+              {q.type === "numeric" && ", converting units of the same quantity"}. Answers that cannot be
+              read go to the model.
+            </p>
+          )}
+
+          <p className="section-title">Rubric</p>
+          {q.rubric.map((r, ri) => (
+            <div key={ri} className="flex gap-2 mb-1">
+              <input
+                className="input"
+                placeholder="Criterion"
+                value={r.criterion}
+                onChange={(e) => updateRow(idx, "rubric", ri, { criterion: e.target.value })}
+              />
+              <input
+                type="number"
+                min="0"
+                step="0.5"
+                className="input"
+                style={{ maxWidth: "80px" }}
+                value={r.points}
+                onChange={(e) => updateRow(idx, "rubric", ri, { points: Number(e.target.value) })}
+              />
+              <button className="btn-danger" onClick={() => removeRow(idx, "rubric", ri)}>
+                ✕
+              </button>
+            </div>
+          ))}
+          <button
+            className="btn-primary text-sm"
+            onClick={() => addRow(idx, "rubric", { criterion: "", points: 0 })}
+          >
+            + Criterion
+          </button>
+
+          <p className="section-title">Partial-credit bands</p>
+          {q.bands.map((b, bi) => (
+            <div key={bi} className="flex gap-2 mb-1 items-center">
+              <input
+                className="input"
+                placeholder="Label"
+                value={b.label}
+                onChange={(e) => updateRow(idx, "bands", bi, { label: e.target.value })}
+              />
+              <span className="text-sm">≥</span>
+              <input
+                type="number"
+                min="0"
+                max="100"
+                className="input"
+                style={{ maxWidth: "80px" }}
+                value={b.minCloseness}
+                onChange={(e) =>
+                  updateRow(idx, "bands", bi, { minCloseness: Number(e.target.value) })
+                }
+                title="Minimum closeness (%)"
+              />
+              <span className="text-sm">% →</span>
+              <input
+                type="number"
+                min="0"
+                max="100"
+                className="input"
+                style={{ maxWidth: "80px" }}
+                value={Math.round(b.credit * 100)}
+                onChange={(e) =>
+                  updateRow(idx, "bands", bi, { credit: Number(e.target.value) / 100 })
+                }
+                title="Credit (% of points)"
+              />
+              <span className="text-sm">%</span>
+              <button className="btn-danger" onClick={() => removeRow(idx, "bands", bi)}>
+                ✕
+              </button>
+            </div>
+          ))}
+          <button
+            className="btn-primary text-sm"
+            onClick={() =>
+              addRow(idx, "bands", { label: "Partial", minCloseness: 50, credit: 0.5 })
+            }
+          >
+            + Band
+          </button>
+        </div>
+      ))}
+
+      <button
+        className="btn-success"
+        onClick={() => setQuestions([...questions, newQuestion(questions.length)])}
+      >
+        + Add Question
+      </button>
+    </div>
+  );
+}
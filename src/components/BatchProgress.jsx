@@ -0,0 +1,30 @@
+import React from "react";
+
+const formatEta = (ms) => {
+  if (ms == null) return "estimating…";
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) return `${seconds}s left`;
+  return `${Math.floor(seconds / 60)}m ${seconds % 60}s left`;
+};
+
+export default function BatchProgress({ batch }) {
+  const pct = batch.total > 0 ? (batch.completed / batch.total) * 100 : 0;
+
+  let label;
+  if (batch.cancelled) label = batch.running ? "Cancelling…" : "Cancelled";
+  else if (!batch.running) label = "Done";
+  else if (batch.paused) label = `Paused — ${batch.active} finishing`;
+  else label = formatEta(batch.etaMs);
+
+  return (
+    <div className="batch-progress">
+      <div className="batch-progress-track">
+        <div className="batch-progress-bar" style={{ width: `${pct}%` }} />
+      </div>
+      <p className="text-sm">
+        {batch.completed} / {batch.total} graded
+        {batch.failed > 0 && `, ${batch.failed} failed`} — {label}
+      </p>
+    </div>
+  );
+}
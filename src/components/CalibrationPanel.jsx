@@ -0,0 +1,269 @@
+import React, { useRef, useState } from "react";
+import { calibrationReport, movedSamples, runCalibration } from "../lib/calibration.js";
+import { formatAnswerKeyForPrompt, hasStructuredKey } from "../lib/answerKey.js";
+import { addUsage, costForUsage, formatCost, pricingModel } from "../lib/pricing.js";
+import { fillVariables } from "../lib/promptLibrary.js";
+
+const percent = (x) => (x == null ? "—" : `${(x * 100).toFixed(0)}%`);
+const points = (x) => (x == null ? "—" : x.toFixed(2));
+
+// A metric as "before → after", colored by whether the candidate improved it.
+function Change({ before, after, format, higherIsBetter }) {
+  if (before == null) return <strong>{format(after)}</strong>;
+  const better = higherIsBetter ? after > before : after < before;
+  return (
+    <>
+      {format(before)} → <strong className={better ? "text-green-600" : after === before ? "" : "text-error"}>{format(after)}</strong>
+    </>
+  );
+}
+
+export default function CalibrationPanel({
+  calibration,
+  baseline,
+  candidate: candidatePrompt,
+  settings,
+  apiKey,
+  answerKey,
+  keyModel,
+  roster,
+  prices,
+  onCacheUpdate,
+  onRemoveSample,
+  onAdoptPrompt,
+  onAdoptModel,
+  onAdoptKey,
+  onClose,
+}) {
+  const structured = hasStructuredKey(keyModel);
+  const keyText = structured ? formatAnswerKeyForPrompt(keyModel) : answerKey;
+  const currentModel = settings.provider === "azure" ? settings.azureDeployment : settings.model;
+
+  // `baseline` and `candidate` are { prompt, contract, variables }; only the
+  // candidate's prompt text, model and key are edited here.
+  const [candidate, setCandidate] = useState({ prompt: candidatePrompt.prompt, model: currentModel, keyText });
+  const [running, setRunning] = useState("");
+  const [error, setError] = useState("");
+  const [report, setReport] = useState(null); // { baseline, candidate, moved, usage, fresh }
+  const abortRef = useRef(null);
+  const { samples } = calibration;
+
+  const configFor = ({ prompt: p, contract, variables, model, keyText: k }) => ({
+    prompt: fillVariables(p, variables),
+    contract,
+    settings: settings.provider === "azure" ? { ...settings, azureDeployment: model } : { ...settings, model },
+    apiKey,
+    keyText: k,
+    roster,
+    // The structured key is enforced on results only while its text is unchanged.
+    key: structured && k === keyText ? keyModel : null,
+  });
+
+  const promptChanged =
+    candidate.prompt !== baseline.prompt || (candidatePrompt.contract || null) !== (baseline.contract || null);
+
+  const run = async () => {
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setError("");
+    let cache = calibration.cache;
+    const runs = {};
+    try {
+      for (const [name, parts] of [
+        ["baseline", { ...baseline, model: currentModel, keyText }],
+        ["candidate", { ...candidatePrompt, ...candidate }],
+      ]) {
+        const config = configFor(parts);
+        const out = await runCalibration({
+          samples,
+          config,
+          cache,
+          signal: controller.signal,
+          onProgress: (done, total) => setRunning(`${name}: ${done} / ${total}`),
+        });
+        cache = { ...cache, ...out.cache };
+        onCacheUpdate(out.cache);
+        runs[name] = {
+          ...out,
+          report: calibrationReport(samples, out.results),
+          cost: costForUsage(pricingModel(config.settings), out.usage, prices),
+        };
+      }
+      setReport({
+        baseline: runs.baseline.report,
+        candidate: runs.candidate.report,
+        moved: movedSamples(runs.baseline.report, runs.candidate.report),
+        usage: addUsage(
+          { ...runs.baseline.usage, cost: runs.baseline.cost },
+          { ...runs.candidate.usage, cost: runs.candidate.cost }
+        ),
+        fresh: runs.baseline.fresh + runs.candidate.fresh,
+      });
+    } catch (err) {
+      if (err.name !== "AbortError") setError(err.message);
+    } finally {
+      setRunning("");
+      abortRef.current = null;
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-card" onClick={(e) => e.stopPropagation()}>
+        <h2 className="panel-title">Calibration Set</h2>
+        <p className="text-sm">
+          Grades the samples with the saved prompt, model and key (baseline) and with the candidate below, and
+          compares both with your checked scores. Unchanged combinations are not sent again.
+        </p>
+
+        {samples.length === 0 ? (
+          <p>
+            No samples yet. Grade a submission, correct its scores, then click <strong>Add to Calibration Set</strong>{" "}
+            in the Evaluation panel.
+          </p>
+        ) : (
+          <ul className="text-sm">
+            {samples.map((s) => (
+              <li key={s.id}>
+                {s.name} — {s.expected.length} questions, {s.expected.reduce((sum, q) => sum + q.questionscore, 0)}{" "}
+                points{" "}
+                <button className="btn-danger text-sm" onClick={() => onRemoveSample(s.id)} disabled={!!running}>
+                  ✕
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <label className="field">
+          Candidate prompt
+          <textarea
+            className="textarea"
+            rows={5}
+            value={candidate.prompt}
+            onChange={(e) => setCandidate({ ...candidate, prompt: e.target.value })}
+          />
+        </label>
+        <label className="field">
+          Candidate {settings.provider === "azure" ? "deployment" : "model"}
+          <input
+            className="input"
+            value={candidate.model}
+            onChange={(e) => setCandidate({ ...candidate, model: e.target.value })}
+          />
+        </label>
+        <label className="field">
+          Candidate answer key
+          <textarea
+            className="textarea"
+            rows={5}
+            value={candidate.keyText}
+            onChange={(e) => setCandidate({ ...candidate, keyText: e.target.value })}
+          />
+        </label>
+
+        {error && <p className="text-error">{error}</p>}
+        {running && <p className="text-sm">Grading {running}…</p>}
+
+        {report && (
+          <>
+            <h3 className="section-title">Report</h3>
+            <p>
+              Mean absolute error:{" "}
+              <Change before={report.baseline.mae} after={report.candidate.mae} format={points} /> points per
+              question — verdict accuracy:{" "}
+              <Change
+                before={report.baseline.verdictAccuracy}
+                after={report.candidate.verdictAccuracy}
+                format={percent}
+                higherIsBetter
+              />
+            </p>
+            <p className="text-sm">
+              {report.fresh} new request{report.fresh === 1 ? "" : "s"}
+              {report.fresh > 0 &&
+                ` — ${report.usage.promptTokens + report.usage.completionTokens} tokens, ${formatCost(report.usage.cost)}`}
+            </p>
+            <table className="w-full text-sm border-collapse">
+              <thead>
+                <tr>
+                  <th className="border px-2 py-1">Question</th>
+                  <th className="border px-2 py-1">Mean abs. error</th>
+                  <th className="border px-2 py-1">Verdict accuracy</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.candidate.questions.map((q) => {
+                  const before = report.baseline.questions.find((b) => b.id === q.id);
+                  return (
+                    <tr key={q.id}>
+                      <td className="border px-2 py-1">{q.id}</td>
+                      <td className="border px-2 py-1 text-center">
+                        <Change before={before?.mae} after={q.mae} format={points} />
+                      </td>
+                      <td className="border px-2 py-1 text-center">
+                        <Change
+                          before={before?.verdictAccuracy}
+                          after={q.verdictAccuracy}
+                          format={percent}
+                          higherIsBetter
+                        />
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+
+            <h3 className="section-title">Samples that moved</h3>
+            {report.moved.length === 0 ? (
+              <p className="text-sm">The candidate grades every sample like the baseline.</p>
+            ) : (
+              <ul className="text-sm">
+                {report.moved.map((m) => (
+                  <li key={m.id}>
+                    {m.name}: {m.before} → <strong>{m.total}</strong> (teacher: {m.expectedTotal})
+                    {m.verdicts.length > 0 && ` — verdict changed on ${m.verdicts.join(", ")}`}
+                  </li>
+                ))}
+              </ul>
+            )}
+            {report.candidate.samples.some((s) => s.failed) && (
+              <p className="text-error">Some samples returned no questions; check the key and prompt.</p>
+            )}
+          </>
+        )}
+
+        <div className="flex justify-end gap-2" style={{ flexWrap: "wrap" }}>
+          {report && promptChanged && (
+            <button className="btn-success" onClick={() => onAdoptPrompt({ ...candidatePrompt, prompt: candidate.prompt })}>
+              Save Prompt as Default
+            </button>
+          )}
+          {report && candidate.model !== currentModel && (
+            <button className="btn-success" onClick={() => onAdoptModel(candidate.model)}>
+              Switch to {candidate.model}
+            </button>
+          )}
+          {report && candidate.keyText !== keyText && (
+            <button className="btn-success" onClick={() => onAdoptKey(candidate.keyText)}>
+              Use This Key
+            </button>
+          )}
+          {running ? (
+            <button className="btn-danger" onClick={() => abortRef.current?.abort()}>
+              Stop
+            </button>
+          ) : (
+            <button className="btn-primary" onClick={run} disabled={samples.length === 0}>
+              Run Calibration
+            </button>
+          )}
+          <button className="btn-secondary" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
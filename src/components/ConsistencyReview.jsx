@@ -0,0 +1,102 @@
+import React from "react";
+import { AGGREGATES, agreementRate, reviewQueue } from "../lib/consistency.js";
+import { effectiveResult } from "../lib/overrides.js";
+
+// `nameOf(student, index)` is App's label, anonymous under blind grading.
+export default function ConsistencyReview({ students, nameOf, onResolve, onOpen, onClose }) {
+  const queue = reviewQueue(students);
+  const agreement = agreementRate(students);
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-card" onClick={(e) => e.stopPropagation()}>
+        <h2 className="panel-title">Grader Disagreements</h2>
+        {agreement && (
+          <p className="text-sm">
+            Runs agreed on <strong>{(agreement.rate * 100).toFixed(0)}%</strong> of questions ({agreement.agreed}{" "}
+            of {agreement.total}).
+          </p>
+        )}
+        {queue.length === 0 && <p>Nothing left to review.</p>}
+
+        <div style={{ maxHeight: "60vh", overflowY: "auto" }}>
+          {queue.map(({ index, student, detail }) => {
+            const { consistency } = student;
+            const recorded = effectiveResult(student).questions.find((q) => q.id === detail.id);
+            return (
+              <div key={`${index}-${detail.id}`} className="review-box">
+                <p>
+                  <span className="cursor-pointer text-blue-600 underline" onClick={() => onOpen(index)}>
+                    {nameOf(student, index)}
+                  </span>{" "}
+                  — <strong>{detail.id}</strong>
+                  {recorded?.question && `: ${recorded.question}`}
+                </p>
+                {detail.runs.length < consistency.expected && (
+                  <p className="text-sm text-error">
+                    Only {detail.runs.length} of {consistency.expected} runs succeeded.
+                  </p>
+                )}
+                <table className="w-full text-sm border-collapse">
+                  <thead>
+                    <tr>
+                      <th className="border px-2 py-1">Run</th>
+                      <th className="border px-2 py-1">Score</th>
+                      <th className="border px-2 py-1">Verdict</th>
+                      <th className="border px-2 py-1"></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {detail.runs.map((run, i) => (
+                      <tr key={i}>
+                        <td className="border px-2 py-1">
+                          {i + 1}. {consistency.graders[i]}
+                        </td>
+                        <td className="border px-2 py-1 text-center">{run.score ?? "—"}</td>
+                        <td className="border px-2 py-1 text-center">{run.verdict ?? "—"}</td>
+                        <td className="border px-2 py-1 text-center">
+                          {run.score != null && (
+                            <button
+                              className="btn-secondary text-sm"
+                              onClick={() =>
+                                onResolve(index, detail.id, { ...run, gradedBy: `run ${i + 1} (${consistency.graders[i]})` })
+                              }
+                            >
+                              Use
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                    <tr>
+                      <td className="border px-2 py-1">
+                        <strong>Recorded</strong> ({AGGREGATES[consistency.aggregate]})
+                      </td>
+                      <td className="border px-2 py-1 text-center">
+                        <strong>{recorded?.questionscore}</strong>
+                      </td>
+                      <td className="border px-2 py-1 text-center">
+                        <strong>{recorded?.verdict}</strong>
+                      </td>
+                      <td className="border px-2 py-1 text-center">
+                        <button className="btn-success text-sm" onClick={() => onResolve(index, detail.id, null)}>
+                          Keep
+                        </button>
+                      </td>
+                    </tr>
+                  </tbody>
+                </table>
+              </div>
+            );
+          })}
+        </div>
+
+        <div className="flex justify-end gap-2">
+          <button className="btn-secondary" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
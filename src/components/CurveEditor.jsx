@@ -0,0 +1,146 @@
+import React, { useState } from "react";
+import { gradedResults } from "../lib/analytics.js";
+import { CURVE_TYPES, DEFAULT_CURVE, canDropQuestions, makeScorer, validateCurve } from "../lib/curves.js";
+import { gradeFor } from "../lib/gradingScales.js";
+
+export default function CurveEditor({ students, nameOf, curve, passThreshold, scale, onApply, onClose }) {
+  const [draft, setDraft] = useState(() => ({ ...DEFAULT_CURVE, ...curve }));
+  const errors = validateCurve(draft);
+  const update = (changes) => setDraft((d) => ({ ...d, ...changes }));
+
+  const questionIds = Array.from(
+    new Set(gradedResults(students).flatMap((r) => r.questions.map((q) => q.id)))
+  );
+  const droppable = canDropQuestions(students);
+  const toggleDrop = (id) =>
+    update({
+      dropped: draft.dropped.includes(id) ? draft.dropped.filter((d) => d !== id) : [...draft.dropped, id],
+    });
+
+  const score = errors.length ? null : makeScorer(students, draft);
+  const graded = students.filter((s) => s.result?.questions && !s.result.error);
+  const passCount = (key) =>
+    graded.filter((s) => (key === "raw" ? score(s).raw.pct : score(s).pct) >= passThreshold).length;
+
+  const numberField = (label, key, props = {}) => (
+    <label className="field">
+      {label}
+      <input
+        type="number"
+        className="input"
+        value={draft[key]}
+        onChange={(e) => update({ [key]: e.target.value === "" ? "" : Number(e.target.value) })}
+        {...props}
+      />
+    </label>
+  );
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-card" onClick={(e) => e.stopPropagation()}>
+        <h2 className="panel-title">Curve Scores</h2>
+        <p className="text-sm">
+          Curves change percentages and grades only. Question scores stay as graded, and removing the curve
+          restores them.
+        </p>
+
+        <label className="field">
+          Curve
+          <select className="input" value={draft.type} onChange={(e) => update({ type: e.target.value })}>
+            {Object.entries(CURVE_TYPES).map(([id, label]) => (
+              <option key={id} value={id}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        {draft.type === "flat" && numberField("Points to add", "points", { step: "0.5" })}
+        {draft.type === "top" && numberField("Top score becomes (%)", "top", { min: "1", max: "100" })}
+        {draft.type === "normalize" && (
+          <div className="flex gap-2">
+            {numberField("Target mean (%)", "mean", { min: "0", max: "100" })}
+            {numberField("Target standard deviation", "stdDev", { min: "0" })}
+          </div>
+        )}
+
+        {questionIds.length > 0 && (
+          <div className="field">
+            Drop questions for everyone
+            <div className="flex gap-2" style={{ flexWrap: "wrap" }}>
+              {questionIds.map((id) => (
+                <label key={id} className="text-sm">
+                  <input
+                    type="checkbox"
+                    checked={droppable && draft.dropped.includes(id)}
+                    onChange={() => toggleDrop(id)}
+                    disabled={!droppable}
+                  />{" "}
+                  {id}
+                </label>
+              ))}
+            </div>
+            {!droppable && (
+              <p className="text-sm">
+                Needs a structured answer key with each question's points, so the test total can be reduced
+                correctly. Regrade after switching to the Structured key view.
+              </p>
+            )}
+          </div>
+        )}
+
+        {errors.map((e) => (
+          <p key={e} className="text-error">
+            {e}
+          </p>
+        ))}
+
+        {score && graded.length > 0 && (
+          <>
+            <p className="text-sm">
+              Passing: {passCount("raw")} → <strong>{passCount("curved")}</strong> of {graded.length}
+            </p>
+            <div style={{ maxHeight: "40vh", overflowY: "auto" }}>
+              <table className="w-full text-sm border-collapse">
+                <thead>
+                  <tr>
+                    <th className="border px-2 py-1">Student</th>
+                    <th className="border px-2 py-1">Before</th>
+                    <th className="border px-2 py-1">After</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {graded.map((s, i) => {
+                    const { pct, raw } = score(s);
+                    return (
+                      <tr key={i}>
+                        <td className="border px-2 py-1">{nameOf(s, students.indexOf(s))}</td>
+                        <td className="border px-2 py-1 text-center">
+                          {raw.pct.toFixed(1)}% ({gradeFor(scale, raw.pct, passThreshold)})
+                        </td>
+                        <td className="border px-2 py-1 text-center">
+                          <strong>{pct.toFixed(1)}%</strong> ({gradeFor(scale, pct, passThreshold)})
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+
+        <div className="flex justify-end gap-2">
+          <button className="btn-danger" onClick={() => onApply(null)}>
+            Remove Curve
+          </button>
+          <button className="btn-secondary" onClick={onClose}>
+            Cancel
+          </button>
+          <button className="btn-primary" disabled={errors.length > 0} onClick={() => onApply(draft)}>
+            Apply Curve
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,203 @@
+import React, { useEffect, useRef, useState } from "react";
+import { getDocument } from "pdfjs-dist";
+import mammoth from "mammoth";
+import { findAnswerSpan, loadSource, pageAtOffset } from "../lib/sources.js";
+
+const PDF_SCALE = 1.3;
+
+// Rectangles (in viewport pixels) of the text items covering [start, end) of
+// the page text, which is built the same way as readPdfPages: items joined by " ".
+const itemRects = (items, viewport, start, end) => {
+  const rects = [];
+  let pos = 0;
+  for (const item of items) {
+    const itemEnd = pos + item.str.length;
+    if (itemEnd > start && pos < end && item.str.trim()) {
+      const [, , , , x, y] = item.transform;
+      const [x1, y1, x2, y2] = viewport.convertToViewportRectangle([x, y, x + item.width, y + item.height]);
+      rects.push({
+        left: Math.min(x1, x2),
+        top: Math.min(y1, y2),
+        width: Math.abs(x2 - x1),
+        height: Math.abs(y2 - y1),
+      });
+    }
+    pos = itemEnd + 1;
+  }
+  return rects;
+};
+
+function PdfPage({ pdf, pageNumber, answer, focused }) {
+  const canvasRef = useRef(null);
+  const wrapRef = useRef(null);
+  const [size, setSize] = useState(null);
+  const [rects, setRects] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+    let task = null;
+    (async () => {
+      const page = await pdf.getPage(pageNumber);
+      const viewport = page.getViewport({ scale: PDF_SCALE });
+      const canvas = canvasRef.current;
+      if (cancelled || !canvas) return;
+      canvas.width = viewport.width;
+      canvas.height = viewport.height;
+      setSize({ width: viewport.width, height: viewport.height });
+      task = page.render({ canvasContext: canvas.getContext("2d"), viewport });
+      await task.promise.catch(() => {});
+      if (!answer) return setRects([]);
+      const { items } = await page.getTextContent();
+      const text = items.map((s) => s.str).join(" ");
+      const span = findAnswerSpan(text, answer);
+      if (!cancelled) setRects(span ? itemRects(items, viewport, span.start, span.end) : []);
+    })();
+    return () => {
+      cancelled = true;
+      task?.cancel();
+    };
+  }, [pdf, pageNumber, answer]);
+
+  useEffect(() => {
+    if (focused) wrapRef.current?.scrollIntoView({ behavior: "smooth", block: "start" });
+  }, [focused]);
+
+  return (
+    <div ref={wrapRef} className={`viewer-page ${focused ? "viewer-page-focused" : ""}`} style={size || undefined}>
+      <canvas ref={canvasRef} />
+      {rects.map((r, i) => (
+        <div key={i} className="viewer-highlight" style={r} />
+      ))}
+      <span className="viewer-page-number">Page {pageNumber}</span>
+    </div>
+  );
+}
+
+// Wrap the characters [start, end) of a container's text in <mark> elements.
+const markTextRange = (container, start, end) => {
+  const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT);
+  const targets = [];
+  let pos = 0;
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    const nodeEnd = pos + node.data.length;
+    if (nodeEnd > start && pos < end)
+      targets.push({ node, from: Math.max(0, start - pos), to: Math.min(node.data.length, end - pos) });
+    pos = nodeEnd;
+  }
+  let first = null;
+  for (const { node, from, to } of targets) {
+    const range = document.createRange();
+    range.setStart(node, from);
+    range.setEnd(node, to);
+    const mark = document.createElement("mark");
+    range.surroundContents(mark);
+    first = first || mark;
+  }
+  first?.scrollIntoView({ behavior: "smooth", block: "center" });
+};
+
+function HtmlView({ html, answer }) {
+  const ref = useRef(null);
+  useEffect(() => {
+    const el = ref.current;
+    if (!el) return;
+    el.innerHTML = html;
+    const span = answer && findAnswerSpan(el.textContent, answer);
+    if (span) markTextRange(el, span.start, span.end);
+  }, [html, answer]);
+  return <div ref={ref} className="viewer-html" />;
+}
+
+function TextView({ text, answer }) {
+  const span = answer ? findAnswerSpan(text, answer) : null;
+  const ref = useRef(null);
+  useEffect(() => {
+    ref.current?.scrollIntoView({ behavior: "smooth", block: "center" });
+  }, [span?.start]);
+  if (!span) return <pre className="viewer-text">{text}</pre>;
+  return (
+    <pre className="viewer-text">
+      {text.slice(0, span.start)}
+      <mark ref={ref}>{text.slice(span.start, span.end)}</mark>
+      {text.slice(span.end)}
+    </pre>
+  );
+}
+
+export default function DocumentViewer({ student, answer }) {
+  const [doc, setDoc] = useState({ state: "loading" });
+
+  useEffect(() => {
+    let cancelled = false;
+    let url = null;
+    let pdf = null;
+    setDoc({ state: "loading" });
+    (async () => {
+      const blob = await loadSource(student.hash);
+      if (!blob) return { state: "missing" };
+      if (student.sourceType === "pdf") {
+        pdf = await getDocument(new Uint8Array(await blob.arrayBuffer())).promise;
+        return { state: "ready", pdf };
+      }
+      if (student.sourceType === "docx") {
+        const { value } = await mammoth.convertToHtml({ arrayBuffer: await blob.arrayBuffer() });
+        return { state: "ready", html: value };
+      }
+      if (student.sourceType === "image") {
+        url = URL.createObjectURL(blob);
+        return { state: "ready", url };
+      }
+      return { state: "ready", text: await blob.text() };
+    })()
+      .catch((err) => ({ state: "error", error: err.message }))
+      .then((next) => !cancelled && setDoc(next));
+    return () => {
+      cancelled = true;
+      if (url) URL.revokeObjectURL(url);
+      pdf?.destroy();
+    };
+  }, [student.hash, student.sourceType]);
+
+  if (doc.state === "loading") return <p className="text-sm">Loading original…</p>;
+  if (doc.state === "missing")
+    return (
+      <p className="text-sm">
+        The original file is not available for this submission (pasted text, or imported in a
+        browser session that has since been closed).
+      </p>
+    );
+  if (doc.state === "error") return <p className="text-error">Could not open the original: {doc.error}</p>;
+
+  if (doc.pdf) {
+    const { start, end } = student.pageRange || { start: 0, end: doc.pdf.numPages - 1 };
+    const span = answer ? findAnswerSpan(student.content, answer) : null;
+    const focusPage = span && student.pageOffsets ? start + pageAtOffset(student.pageOffsets, span.start) : null;
+    return (
+      <div className="viewer-pages">
+        {Array.from({ length: end - start + 1 }, (_, i) => start + i + 1).map((n) => (
+          <PdfPage
+            key={n}
+            pdf={doc.pdf}
+            pageNumber={n}
+            answer={n - 1 === focusPage ? answer : null}
+            focused={n - 1 === focusPage}
+          />
+        ))}
+      </div>
+    );
+  }
+  if (doc.html != null) return <HtmlView html={doc.html} answer={answer} />;
+  if (doc.url)
+    return (
+      <>
+        <img src={doc.url} alt="Original submission" className="viewer-image" />
+        {answer && (
+          <>
+            <p className="text-sm">Answer location in the recognized text:</p>
+            <TextView text={student.content} answer={answer} />
+          </>
+        )}
+      </>
+    );
+  return <TextView text={doc.text} answer={answer} />;
+}
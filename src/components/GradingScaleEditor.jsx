@@ -0,0 +1,159 @@
+import React, { useState } from "react";
+import {
+  PASS,
+  allScales,
+  isBuiltinScale,
+  loadScaleLibrary,
+  saveScaleLibrary,
+  validateScale,
+} from "../lib/gradingScales.js";
+
+const copyScale = (scale) => ({ ...scale, bands: scale.bands.map((b) => ({ ...b })) });
+
+export default function GradingScaleEditor({ scale, passThreshold, onApply, onClose }) {
+  const [draft, setDraft] = useState(() => copyScale(scale));
+  const [scales, setScales] = useState(allScales);
+  const [message, setMessage] = useState("");
+  const errors = validateScale(draft);
+
+  const updateBand = (i, changes) =>
+    setDraft((d) => ({ ...d, bands: d.bands.map((b, idx) => (idx === i ? { ...b, ...changes } : b)) }));
+
+  const pick = (id) => {
+    const found = scales.find((s) => s.id === id);
+    if (found) setDraft(copyScale(found));
+    setMessage("");
+  };
+
+  const saveToLibrary = () => {
+    const library = loadScaleLibrary();
+    // Built-in scales are never overwritten; saving one makes a custom copy.
+    const id = isBuiltinScale(draft.id) ? `custom-${Date.now().toString(36)}` : draft.id;
+    const saved = { ...copyScale(draft), id, name: draft.name.trim() };
+    const next = library.some((s) => s.id === id)
+      ? library.map((s) => (s.id === id ? saved : s))
+      : [...library, saved];
+    saveScaleLibrary(next);
+    setScales(allScales());
+    setDraft(saved);
+    setMessage(`Saved "${saved.name}".`);
+  };
+
+  const deleteFromLibrary = () => {
+    if (!window.confirm(`Delete "${draft.name}" from saved scales? Sessions using it keep their copy.`)) return;
+    saveScaleLibrary(loadScaleLibrary().filter((s) => s.id !== draft.id));
+    setScales(allScales());
+    setMessage(`Deleted "${draft.name}".`);
+  };
+
+  const inLibrary = loadScaleLibrary().some((s) => s.id === draft.id);
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-card" onClick={(e) => e.stopPropagation()}>
+        <h2 className="panel-title">Grading Scale</h2>
+
+        <label className="field">
+          Start from
+          <select className="input" value={scales.some((s) => s.id === draft.id) ? draft.id : ""} onChange={(e) => pick(e.target.value)}>
+            <option value="">— current session scale —</option>
+            {scales.map((s) => (
+              <option key={s.id} value={s.id}>
+                {s.name}
+                {isBuiltinScale(s.id) ? "" : " (saved)"}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="field">
+          Name
+          <input className="input" value={draft.name} onChange={(e) => setDraft({ ...draft, name: e.target.value })} />
+        </label>
+
+        <table className="w-full text-sm border-collapse">
+          <thead>
+            <tr>
+              <th className="border px-2 py-1">Label</th>
+              <th className="border px-2 py-1">From (%)</th>
+              <th className="border px-2 py-1" title={`Currently ${passThreshold}%`}>
+                = Pass threshold
+              </th>
+              <th className="border px-2 py-1"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {draft.bands.map((b, i) => (
+              <tr key={i}>
+                <td className="border px-2 py-1">
+                  <input className="input" value={b.label} onChange={(e) => updateBand(i, { label: e.target.value })} />
+                </td>
+                <td className="border px-2 py-1">
+                  <input
+                    type="number"
+                    min="0"
+                    max="100"
+                    className="input"
+                    disabled={b.min === PASS}
+                    value={b.min === PASS ? passThreshold : b.min}
+                    onChange={(e) => updateBand(i, { min: e.target.value === "" ? "" : Number(e.target.value) })}
+                  />
+                </td>
+                <td className="border px-2 py-1 text-center">
+                  <input
+                    type="checkbox"
+                    checked={b.min === PASS}
+                    onChange={(e) => updateBand(i, { min: e.target.checked ? PASS : passThreshold })}
+                  />
+                </td>
+                <td className="border px-2 py-1">
+                  <button
+                    className="btn-danger"
+                    onClick={() => setDraft({ ...draft, bands: draft.bands.filter((_, idx) => idx !== i) })}
+                  >
+                    ✕
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <div>
+          <button
+            className="btn-secondary"
+            onClick={() => setDraft({ ...draft, bands: [...draft.bands, { label: "", min: 0 }] })}
+          >
+            Add Band
+          </button>
+        </div>
+
+        {errors.map((e) => (
+          <p key={e} className="text-error">
+            {e}
+          </p>
+        ))}
+        {message && <p className="text-sm">{message}</p>}
+
+        <div className="flex justify-end gap-2">
+          {inLibrary && (
+            <button className="btn-danger" onClick={deleteFromLibrary}>
+              Delete Saved Scale
+            </button>
+          )}
+          <button className="btn-secondary" disabled={errors.length > 0} onClick={saveToLibrary}>
+            Save to Library
+          </button>
+          <button className="btn-secondary" onClick={onClose}>
+            Cancel
+          </button>
+          <button
+            className="btn-primary"
+            disabled={errors.length > 0}
+            onClick={() => onApply({ ...copyScale(draft), name: draft.name.trim() })}
+          >
+            Use for This Session
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,138 @@
+import React from "react";
+import {
+  ID_SOURCES,
+  LMS_PROFILES,
+  buildLmsCsv,
+  defaultLmsConfig,
+  lmsRows,
+  validateLmsConfig,
+} from "../lib/lms.js";
+import { describeCurve } from "../lib/curves.js";
+
+export default function LmsExport({ students, roster, curve, config, onChange, onExport, onClose }) {
+  const profile = LMS_PROFILES[config.profile];
+  const rows = lmsRows(students, { roster, curve, ...config });
+  const flagged = rows.filter((r) => r.problems.length > 0);
+  const ready = rows.length - flagged.length;
+  const configErrors = validateLmsConfig(config);
+
+  const update = (changes) => onChange({ ...config, ...changes });
+
+  const changeProfile = (id) => {
+    const defaults = defaultLmsConfig(id);
+    update({ profile: id, idSource: defaults.idSource, idColumn: defaults.idColumn });
+  };
+
+  const handleExport = () => {
+    const slug = config.assignmentName.trim().replace(/[\\/:*?"<>|]+/g, "_");
+    onExport(buildLmsCsv(rows, config), `${slug} - ${config.profile}.csv`);
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-card" onClick={(e) => e.stopPropagation()}>
+        <h2 className="panel-title">Export to LMS</h2>
+
+        <label className="field">
+          Format
+          <select className="input" value={config.profile} onChange={(e) => changeProfile(e.target.value)}>
+            {Object.entries(LMS_PROFILES).map(([id, p]) => (
+              <option key={id} value={id}>
+                {p.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <div className="flex gap-2">
+          <label className="field flex-1">
+            Assignment name
+            <input
+              className="input"
+              value={config.assignmentName}
+              onChange={(e) => update({ assignmentName: e.target.value })}
+            />
+          </label>
+          <label className="field">
+            Points possible
+            <input
+              type="number"
+              min="0"
+              className="input"
+              value={config.pointsPossible}
+              onChange={(e) => update({ pointsPossible: e.target.value })}
+            />
+          </label>
+        </div>
+        <div className="flex gap-2">
+          <label className="field flex-1">
+            Identify students by
+            <select className="input" value={config.idSource} onChange={(e) => update({ idSource: e.target.value })}>
+              {Object.entries(ID_SOURCES).map(([id, label]) => (
+                <option key={id} value={id}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="field flex-1">
+            LMS column
+            <select
+              className="input"
+              value={config.idColumn}
+              onChange={(e) => update({ idColumn: e.target.value })}
+              disabled={profile.idColumns.length === 1}
+            >
+              {profile.idColumns.map((c) => (
+                <option key={c} value={c}>
+                  {c}
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
+        <p className="text-sm">
+          Scores are exported as the percentage of the test scaled to the points possible.
+          {describeCurve(curve) && ` The session's curve is applied (${describeCurve(curve)}).`}
+        </p>
+
+        {configErrors.map((e) => (
+          <p key={e} className="text-error">
+            {e}
+          </p>
+        ))}
+
+        <p>
+          <strong>{ready}</strong> of {rows.length} submissions will be exported.
+        </p>
+        {flagged.length > 0 && (
+          <div className="review-box">
+            <p className="text-error">These rows have no LMS identifier or grade and will be left out:</p>
+            <ul className="text-sm">
+              {flagged.map((r, i) => (
+                <li key={i}>
+                  {r.name} — {r.problems.join(", ")}
+                </li>
+              ))}
+            </ul>
+            {roster.length === 0 && (
+              <p className="text-sm">Import a class roster to match submissions to LMS students.</p>
+            )}
+          </div>
+        )}
+
+        <div className="flex justify-end gap-2">
+          <button className="btn-secondary" onClick={onClose}>
+            Cancel
+          </button>
+          <button
+            className="btn-primary"
+            disabled={configErrors.length > 0 || ready === 0}
+            onClick={handleExport}
+          >
+            Export {ready} Row{ready === 1 ? "" : "s"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
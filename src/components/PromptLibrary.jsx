@@ -0,0 +1,222 @@
+import React, { useState } from "react";
+import { OUTPUT_CONTRACT, validateContract } from "../lib/grading.js";
+import {
+  PROMPT_VARIABLES,
+  STRICTNESS_LEVELS,
+  addTemplate,
+  diffWords,
+  fillVariables,
+  isBuiltinTemplate,
+  latestVersion,
+  loadPromptLibrary,
+  removeTemplate,
+  savePromptLibrary,
+  unknownVariables,
+} from "../lib/promptLibrary.js";
+
+const formatDate = (iso) => (iso ? new Date(iso).toLocaleString() : "built-in");
+
+/**
+ * Edits a draft { prompt, contract, variables, templateId }. Apply uses it for
+ * the session only; Save Version also records it in the template's history
+ * and makes it the default for new sessions.
+ */
+export default function PromptLibrary({ value, calibrationCount, onApply, onSaveVersion, onTestCalibration, onClose }) {
+  const [library, setLibrary] = useState(loadPromptLibrary);
+  const [draft, setDraft] = useState(value);
+  const [compareWith, setCompareWith] = useState(null); // version index in the history
+  const [newName, setNewName] = useState("");
+  const template = library.find((t) => t.id === draft.templateId) || library[0];
+  const contractErrors = draft.contract ? validateContract(draft.contract) : [];
+  const unknown = unknownVariables(draft.prompt);
+
+  const update = (changes) => setDraft((d) => ({ ...d, ...changes }));
+  const setVariable = (name, v) => update({ variables: { ...draft.variables, [name]: v } });
+
+  const loadTemplate = (id) => {
+    const t = library.find((x) => x.id === id);
+    const latest = latestVersion(t);
+    update({ templateId: id, prompt: latest.prompt, contract: latest.contract });
+    setCompareWith(null);
+  };
+
+  const saveAsTemplate = () => {
+    const { library: next, template: created } = addTemplate(library, newName, draft);
+    savePromptLibrary(next);
+    setLibrary(next);
+    update({ templateId: created.id });
+    setNewName("");
+  };
+
+  const deleteTemplate = () => {
+    if (!window.confirm(`Delete the template "${template.name}" and its history?`)) return;
+    const next = removeTemplate(library, template.id);
+    savePromptLibrary(next);
+    setLibrary(next);
+    update({ templateId: next[0].id });
+  };
+
+  const versions = template.versions.map((v, i) => ({ ...v, index: i })).reverse();
+  const compared = compareWith != null ? template.versions[compareWith] : null;
+
+  return (
+    <>
+      <h2 className="panel-title">Grading Prompt</h2>
+
+      <div className="flex gap-2 items-end">
+        <label className="field flex-1">
+          Template
+          <select className="input" value={template.id} onChange={(e) => loadTemplate(e.target.value)}>
+            {library.map((t) => (
+              <option key={t.id} value={t.id}>
+                {t.name} ({t.versions.length} version{t.versions.length === 1 ? "" : "s"})
+              </option>
+            ))}
+          </select>
+        </label>
+        {!isBuiltinTemplate(template.id) && (
+          <button className="btn-danger" onClick={deleteTemplate}>
+            Delete Template
+          </button>
+        )}
+      </div>
+
+      <div className="flex gap-2">
+        {Object.entries(PROMPT_VARIABLES).map(([name, variable]) => (
+          <label key={name} className="field flex-1" title={`Fills {{${name}}}`}>
+            {variable.label}
+            {name === "strictness" ? (
+              <select className="input" value={draft.variables.strictness} onChange={(e) => setVariable(name, e.target.value)}>
+                {STRICTNESS_LEVELS.map((level) => (
+                  <option key={level} value={level}>
+                    {level}
+                  </option>
+                ))}
+              </select>
+            ) : (
+              <input
+                className="input"
+                placeholder={variable.fallback}
+                value={draft.variables[name]}
+                onChange={(e) => setVariable(name, e.target.value)}
+              />
+            )}
+          </label>
+        ))}
+      </div>
+
+      <textarea
+        className="textarea"
+        rows={8}
+        value={draft.prompt}
+        onChange={(e) => update({ prompt: e.target.value })}
+        style={{ width: "100%", boxSizing: "border-box" }}
+      />
+      {unknown.length > 0 && (
+        <p className="text-error">
+          Unknown variables are sent as written: {unknown.map((n) => `{{${n}}}`).join(", ")}
+        </p>
+      )}
+
+      <details>
+        <summary>Preview with this session's values</summary>
+        <pre className="code-box" style={{ whiteSpace: "pre-wrap" }}>
+          {fillVariables(draft.prompt, draft.variables)}
+        </pre>
+      </details>
+
+      <details>
+        <summary>Output contract{draft.contract ? " (custom)" : ""}</summary>
+        <p className="text-sm">
+          Appended to every request. It must keep the fields and verdicts the result checker expects; an incompatible
+          contract is replaced by the built-in one.
+        </p>
+        <textarea
+          className="textarea code-box"
+          rows={10}
+          value={draft.contract ?? OUTPUT_CONTRACT}
+          onChange={(e) => update({ contract: e.target.value === OUTPUT_CONTRACT ? null : e.target.value })}
+          style={{ width: "100%", boxSizing: "border-box" }}
+        />
+        {contractErrors.map((e) => (
+          <p key={e} className="text-error">
+            {e}
+          </p>
+        ))}
+        {draft.contract && (
+          <button className="btn-secondary text-sm" onClick={() => update({ contract: null })}>
+            Reset to Built-in Contract
+          </button>
+        )}
+      </details>
+
+      <details>
+        <summary>History of {template.name}</summary>
+        <ul className="text-sm">
+          {versions.map((v) => (
+            <li key={v.index}>
+              v{v.index + 1} — {formatDate(v.savedAt)}
+              {v.note && ` — ${v.note}`}{" "}
+              <button className="btn-secondary text-sm" onClick={() => setCompareWith(v.index)}>
+                Diff
+              </button>{" "}
+              <button
+                className="btn-secondary text-sm"
+                onClick={() => update({ prompt: v.prompt, contract: v.contract })}
+              >
+                Restore
+              </button>
+            </li>
+          ))}
+        </ul>
+        {compared && (
+          <div className="code-box" style={{ whiteSpace: "pre-wrap" }}>
+            <p className="text-sm">v{compareWith + 1} → editor:</p>
+            {diffWords(compared.prompt, draft.prompt).map((part, i) => (
+              <span key={i} className={part.type === "same" ? "" : `diff-${part.type}`}>
+                {part.text}
+              </span>
+            ))}
+            {(compared.contract || null) !== (draft.contract || null) && (
+              <p className="text-sm">The output contract differs too.</p>
+            )}
+          </div>
+        )}
+      </details>
+
+      <div className="flex gap-2 items-end">
+        <label className="field flex-1">
+          Save as a new template
+          <input className="input" placeholder="Template name" value={newName} onChange={(e) => setNewName(e.target.value)} />
+        </label>
+        <button className="btn-secondary" disabled={!newName.trim() || contractErrors.length > 0} onClick={saveAsTemplate}>
+          Save as Template
+        </button>
+      </div>
+
+      <div className="flex justify-end gap-2">
+        <button
+          className="btn-secondary"
+          onClick={() => onTestCalibration(draft)}
+          title="Compare this prompt with the saved one on teacher-checked samples"
+        >
+          Test on Calibration Set ({calibrationCount})
+        </button>
+        <button className="btn-secondary" onClick={onClose}>
+          Cancel
+        </button>
+        <button className="btn-secondary" disabled={contractErrors.length > 0} onClick={() => onApply(draft)}>
+          Use for This Session
+        </button>
+        <button
+          className="btn-success"
+          disabled={contractErrors.length > 0}
+          onClick={() => onSaveVersion(draft)}
+          title={`Add a version to ${template.name} and make it the default for new sessions`}
+        >
+          Save Version
+        </button>
+      </div>
+    </>
+  );
+}
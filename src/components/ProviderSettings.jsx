@@ -0,0 +1,373 @@
+import React, { useState } from "react";
+import { PROVIDERS } from "../lib/providers.js";
+import { AGGREGATES, CONSISTENCY_MODES, consistencyOptions } from "../lib/consistency.js";
+
+export default function ProviderSettings({ settings, prices, onSave, onClose }) {
+  const [draft, setDraft] = useState(settings);
+  const [priceRows, setPriceRows] = useState(() =>
+    Object.entries(prices).map(([model, p]) => ({ model, ...p }))
+  );
+
+  const updatePrice = (idx, field, value) =>
+    setPriceRows((rows) => rows.map((r, i) => (i === idx ? { ...r, [field]: value } : r)));
+
+  const handleSave = () =>
+    onSave(
+      draft,
+      Object.fromEntries(
+        priceRows
+          .filter((r) => r.model.trim())
+          .map((r) => [r.model.trim(), { input: Number(r.input) || 0, output: Number(r.output) || 0 }])
+      )
+    );
+  const provider = PROVIDERS[draft.provider];
+
+  const set = (field) => (e) => setDraft((d) => ({ ...d, [field]: e.target.value }));
+  const consistency = consistencyOptions(draft);
+  const setConsistency = (changes) =>
+    setDraft((d) => ({ ...d, consistency: { ...consistencyOptions(d), ...changes } }));
+
+  const changeProvider = (e) => {
+    const id = e.target.value;
+    setDraft((d) => ({ ...d, provider: id, model: PROVIDERS[id].models[0] || d.model }));
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-card" onClick={(e) => e.stopPropagation()}>
+        <h2 className="panel-title">Grading Backend</h2>
+
+        <label className="field">
+          <span>Provider</span>
+          <select className="input" value={draft.provider} onChange={changeProvider}>
+            {Object.entries(PROVIDERS).map(([id, p]) => (
+              <option key={id} value={id}>
+                {p.label}
+              </option>
+            ))}
+          </select>
+        </label>
+
+        {draft.provider !== "azure" && (
+          <label className="field">
+            <span>Model</span>
+            <input
+              className="input"
+              list="provider-models"
+              value={draft.model}
+              onChange={set("model")}
+            />
+            <datalist id="provider-models">
+              {provider.models.map((m) => (
+                <option key={m} value={m} />
+              ))}
+            </datalist>
+          </label>
+        )}
+
+        {draft.provider === "compatible" && (
+          <label className="field">
+            <span>Base URL</span>
+            <input
+              className="input"
+              placeholder="http://localhost:11434/v1"
+              value={draft.baseUrl}
+              onChange={set("baseUrl")}
+            />
+          </label>
+        )}
+
+        {draft.provider === "azure" && (
+          <>
+            <label className="field">
+              <span>Endpoint</span>
+              <input
+                className="input"
+                placeholder="https://my-resource.openai.azure.com"
+                value={draft.azureEndpoint}
+                onChange={set("azureEndpoint")}
+              />
+            </label>
+            <label className="field">
+              <span>Deployment</span>
+              <input
+                className="input"
+                value={draft.azureDeployment}
+                onChange={set("azureDeployment")}
+              />
+            </label>
+            <label className="field">
+              <span>API version</span>
+              <input
+                className="input"
+                value={draft.azureApiVersion}
+                onChange={set("azureApiVersion")}
+              />
+            </label>
+          </>
+        )}
+
+        {(draft.provider === "compatible" || draft.provider === "azure") && (
+          <label className="flex gap-1 items-center">
+            <input
+              type="checkbox"
+              checked={!!draft.imageInput}
+              onChange={(e) => setDraft((d) => ({ ...d, imageInput: e.target.checked }))}
+            />
+            The model accepts images (for page images)
+          </label>
+        )}
+
+        <h3 className="section-title">Validation</h3>
+        <label className="field">
+          <span>Repair attempts</span>
+          <input
+            type="number"
+            min="0"
+            max="5"
+            className="input"
+            value={draft.repairAttempts}
+            onChange={(e) => setDraft((d) => ({ ...d, repairAttempts: Number(e.target.value) }))}
+            title="How often invalid output is sent back to the model with the validation errors"
+          />
+        </label>
+        <label className="field">
+          <span>Retry attempts</span>
+          <input
+            type="number"
+            min="0"
+            max="5"
+            className="input"
+            value={draft.retryAttempts}
+            onChange={(e) => setDraft((d) => ({ ...d, retryAttempts: Number(e.target.value) }))}
+            title="How often grading restarts from scratch after repairs or requests fail"
+          />
+        </label>
+
+        <h3 className="section-title">Consistency</h3>
+        <label className="field">
+          <span>Mode</span>
+          <select
+            className="input"
+            value={consistency.mode}
+            onChange={(e) => setConsistency({ mode: e.target.value })}
+            title="Grade every submission more than once and flag questions the runs disagree on"
+          >
+            {Object.entries(CONSISTENCY_MODES).map(([id, label]) => (
+              <option key={id} value={id}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        {consistency.mode === "repeat" && (
+          <label className="field">
+            <span>Runs per submission</span>
+            <input
+              type="number"
+              min="2"
+              max="7"
+              className="input"
+              value={consistency.runs}
+              onChange={(e) => setConsistency({ runs: Number(e.target.value) })}
+            />
+          </label>
+        )}
+        {consistency.mode === "cross" && (
+          <>
+            <label className="field">
+              <span>Second provider</span>
+              <select
+                className="input"
+                value={consistency.crossProvider}
+                onChange={(e) =>
+                  setConsistency({
+                    crossProvider: e.target.value,
+                    crossModel: PROVIDERS[e.target.value].models[0] || consistency.crossModel,
+                  })
+                }
+                title="Uses the API key saved for that provider"
+              >
+                {Object.entries(PROVIDERS).map(([id, p]) => (
+                  <option key={id} value={id}>
+                    {p.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="field">
+              <span>{consistency.crossProvider === "azure" ? "Second deployment" : "Second model"}</span>
+              <input
+                className="input"
+                list="cross-models"
+                value={consistency.crossModel}
+                onChange={(e) => setConsistency({ crossModel: e.target.value })}
+              />
+              <datalist id="cross-models">
+                {PROVIDERS[consistency.crossProvider].models.map((m) => (
+                  <option key={m} value={m} />
+                ))}
+              </datalist>
+            </label>
+          </>
+        )}
+        {consistency.mode !== "off" && (
+          <>
+            <label className="field">
+              <span>Score tolerance (points)</span>
+              <input
+                type="number"
+                min="0"
+                step="0.25"
+                className="input"
+                value={consistency.tolerance}
+                onChange={(e) => setConsistency({ tolerance: Number(e.target.value) })}
+                title="Runs whose scores for a question differ by more than this, or whose verdicts differ, are flagged"
+              />
+            </label>
+            <label className="field">
+              <span>Recorded score</span>
+              <select
+                className="input"
+                value={consistency.aggregate}
+                onChange={(e) => setConsistency({ aggregate: e.target.value })}
+              >
+                {Object.entries(AGGREGATES).map(([id, label]) => (
+                  <option key={id} value={id}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </label>
+          </>
+        )}
+
+        <h3 className="section-title">Privacy</h3>
+        <label className="flex gap-1 items-center">
+          <input
+            type="checkbox"
+            checked={!!draft.redactPii}
+            onChange={(e) => setDraft((d) => ({ ...d, redactPii: e.target.checked }))}
+          />
+          Redact names, ID numbers, emails and phone numbers before sending
+        </label>
+        <p className="text-sm">
+          Roster names and IDs are redacted too. The model sees placeholders such as [NAME_1]; the originals are
+          restored on this computer when the result comes back.
+        </p>
+
+        <h3 className="section-title">Batch</h3>
+        <label className="field">
+          <span>Concurrency</span>
+          <input
+            type="number"
+            min="1"
+            max="20"
+            className="input"
+            value={draft.concurrency}
+            onChange={(e) => setDraft((d) => ({ ...d, concurrency: Number(e.target.value) }))}
+            title="How many students are graded at the same time"
+          />
+        </label>
+        <label className="field">
+          <span>Rate-limit retries</span>
+          <input
+            type="number"
+            min="0"
+            max="10"
+            className="input"
+            value={draft.rateLimitRetries}
+            onChange={(e) =>
+              setDraft((d) => ({ ...d, rateLimitRetries: Number(e.target.value) }))
+            }
+            title="Retries with exponential backoff after 429s, server errors or network failures"
+          />
+        </label>
+
+        <h3 className="section-title">Cost</h3>
+        <label className="field">
+          <span>Batch budget (USD)</span>
+          <input
+            type="number"
+            min="0"
+            step="0.5"
+            className="input"
+            value={draft.budget}
+            onChange={(e) => setDraft((d) => ({ ...d, budget: Number(e.target.value) }))}
+            title="Warn before Grade All when the estimate exceeds this; 0 turns the warning off"
+          />
+        </label>
+        <table className="w-full text-sm border-collapse">
+          <thead>
+            <tr>
+              <th className="border px-2 py-1">Model</th>
+              <th className="border px-2 py-1">Input $/1M tokens</th>
+              <th className="border px-2 py-1">Output $/1M tokens</th>
+              <th className="border px-2 py-1"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {priceRows.map((r, idx) => (
+              <tr key={idx}>
+                <td className="border px-2 py-1">
+                  <input
+                    className="input"
+                    value={r.model}
+                    onChange={(e) => updatePrice(idx, "model", e.target.value)}
+                  />
+                </td>
+                <td className="border px-2 py-1">
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    className="input"
+                    value={r.input}
+                    onChange={(e) => updatePrice(idx, "input", e.target.value)}
+                  />
+                </td>
+                <td className="border px-2 py-1">
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    className="input"
+                    value={r.output}
+                    onChange={(e) => updatePrice(idx, "output", e.target.value)}
+                  />
+                </td>
+                <td className="border px-2 py-1">
+                  <button
+                    className="btn-danger"
+                    onClick={() => setPriceRows((rows) => rows.filter((_, i) => i !== idx))}
+                  >
+                    ✕
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <div>
+          <button
+            className="btn-primary text-sm"
+            onClick={() =>
+              setPriceRows((rows) => [...rows, { model: draft.model || "", input: 0, output: 0 }])
+            }
+          >
+            + Price
+          </button>
+        </div>
+
+        <div className="flex justify-end gap-2">
+          <button className="btn-secondary" onClick={onClose}>
+            Cancel
+          </button>
+          <button className="btn-success" onClick={handleSave}>
+            Save
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,159 @@
+import React, { useState } from "react";
+import { VERDICTS } from "../lib/resultSchema.js";
+import { isOverridden } from "../lib/overrides.js";
+
+const verdictColor = (verdict) =>
+  verdict === "Correct" ? "green" : verdict === "Partial" ? "orange" : "red";
+
+const Edited = ({ q, field }) =>
+  isOverridden(q, field) ? (
+    <span className="override-mark" title="Changed by the teacher">
+      ✎
+    </span>
+  ) : null;
+
+export default function QuestionResult({ q, idx, selected, onSelect, onOverride, onRevert }) {
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState(null);
+  const [error, setError] = useState("");
+
+  const startEdit = () => {
+    setDraft({
+      questionscore: q.questionscore ?? 0,
+      verdict: q.verdict || "Incorrect",
+      feedback: q.feedback || "",
+      reason: "",
+    });
+    setError("");
+    setEditing(true);
+  };
+
+  const save = () => {
+    const score = Number(draft.questionscore);
+    if (!Number.isFinite(score) || score < 0)
+      return setError("Score must be a non-negative number.");
+    if (q.maxscore != null && score > q.maxscore)
+      return setError(`Score cannot exceed ${q.maxscore}.`);
+    if (!draft.reason.trim()) return setError("Give a reason for the change.");
+    onOverride(
+      q.id,
+      { questionscore: score, verdict: draft.verdict, feedback: draft.feedback },
+      draft.reason.trim()
+    );
+    setEditing(false);
+  };
+
+  const revert = () => {
+    const reason = window.prompt("Reason for reverting to the model's grade:");
+    if (reason == null) return;
+    onRevert(q.id, reason.trim() || "Reverted to model grade");
+  };
+
+  return (
+    <div
+      className={`mb-3 border-b pb-2 ${q.overridden ? "overridden" : ""} ${selected ? "question-selected" : ""}`}
+    >
+      <p className="question-title" onClick={onSelect} title="Show this answer in the original">
+        <strong>
+          Q{idx + 1}. {q.question}
+        </strong>
+        {q.autoGraded && (
+          <span className="text-sm" title="Graded by matching the answer key, without the model">
+            {" "}
+            ⚙️ Auto-graded
+          </span>
+        )}
+      </p>
+      <p>
+        Answer: {q.student_answer} (
+        <span style={{ color: verdictColor(q.verdict) }}>{q.verdict}</span>
+        <Edited q={q} field="verdict" />)
+      </p>
+      <p>Correct: {q.correct_answer}</p>
+      <p>Closeness: {q.closeness}%</p>
+      <p>
+        Question Score: {q.questionscore}
+        {q.maxscore != null && ` / ${q.maxscore}`}
+        <Edited q={q} field="questionscore" />
+        {q.modelscore != null && !isOverridden(q, "questionscore") && (
+          <span className="text-sm" title="The model's score was adjusted to the answer key">
+            {" "}
+            (model gave {q.modelscore})
+          </span>
+        )}
+      </p>
+      {q.feedback && (
+        <p>
+          Feedback: {q.feedback}
+          <Edited q={q} field="feedback" />
+        </p>
+      )}
+
+      {editing ? (
+        <div className="override-form">
+          <label className="field">
+            <span>Score</span>
+            <input
+              type="number"
+              min="0"
+              max={q.maxscore ?? undefined}
+              step="0.5"
+              className="input"
+              value={draft.questionscore}
+              onChange={(e) => setDraft((d) => ({ ...d, questionscore: e.target.value }))}
+            />
+          </label>
+          <label className="field">
+            <span>Verdict</span>
+            <select
+              className="input"
+              value={draft.verdict}
+              onChange={(e) => setDraft((d) => ({ ...d, verdict: e.target.value }))}
+            >
+              {VERDICTS.map((v) => (
+                <option key={v}>{v}</option>
+              ))}
+            </select>
+          </label>
+          <label className="field">
+            <span>Feedback</span>
+            <textarea
+              className="textarea key-field"
+              value={draft.feedback}
+              onChange={(e) => setDraft((d) => ({ ...d, feedback: e.target.value }))}
+            />
+          </label>
+          <label className="field">
+            <span>Reason</span>
+            <input
+              className="input"
+              placeholder="Why are you changing this grade?"
+              value={draft.reason}
+              onChange={(e) => setDraft((d) => ({ ...d, reason: e.target.value }))}
+            />
+          </label>
+          {error && <p className="text-error">{error}</p>}
+          <div className="flex gap-2">
+            <button className="btn-success" onClick={save}>
+              Save Override
+            </button>
+            <button className="btn-secondary" onClick={() => setEditing(false)}>
+              Cancel
+            </button>
+          </div>
+        </div>
+      ) : (
+        <div className="flex gap-2">
+          <button className="btn-primary text-sm" onClick={startEdit}>
+            Edit
+          </button>
+          {q.overridden && (
+            <button className="btn-secondary text-sm" onClick={revert}>
+              Revert
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,152 @@
+import React, { useState } from "react";
+import {
+  matchSubmission,
+  missingSubmissions,
+  parseRoster,
+  rosterEntry,
+} from "../lib/roster.js";
+
+const STATUS_LABEL = {
+  matched: "✅ matched",
+  manual: "👤 confirmed",
+  ambiguous: "⚠️ ambiguous",
+  unmatched: "❌ no match",
+};
+
+export default function RosterPanel({ roster, students, onRosterChange, onAssign, onClose }) {
+  const [error, setError] = useState("");
+  const [filter, setFilter] = useState("review"); // "review" | "all"
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    try {
+      const entries = parseRoster(await file.text());
+      if (entries.length === 0) throw new Error("No students found in the roster.");
+      setError("");
+      onRosterChange(entries);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const rows = students
+    .map((s, index) => ({ s, index }))
+    .filter(({ s }) => filter === "all" || !["matched", "manual"].includes(s.rosterMatch));
+  const missing = missingSubmissions(roster, students);
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-card" onClick={(e) => e.stopPropagation()}>
+        <h2 className="panel-title">Class Roster</h2>
+        <div className="flex gap-2 items-center">
+          <input type="file" accept=".csv,.tsv,.txt" onChange={handleImport} className="input-file" />
+          <span className="text-sm">
+            CSV with a student ID column, a name (or first/last name) column and optional email.
+          </span>
+        </div>
+        {error && <p className="text-error">{error}</p>}
+
+        {roster.length > 0 && (
+          <>
+            <p className="text-sm">
+              {roster.length} students on the roster — {roster.length - missing.length} matched
+              to a submission.
+            </p>
+            <div className="flex gap-2">
+              <button
+                className={filter === "review" ? "btn-primary" : "btn-secondary"}
+                onClick={() => setFilter("review")}
+              >
+                Needs review
+              </button>
+              <button
+                className={filter === "all" ? "btn-primary" : "btn-secondary"}
+                onClick={() => setFilter("all")}
+              >
+                All submissions
+              </button>
+            </div>
+
+            {rows.length === 0 ? (
+              <p>Every submission is matched.</p>
+            ) : (
+              <table className="w-full text-sm border-collapse">
+                <thead>
+                  <tr>
+                    <th className="border px-2 py-1">Submission</th>
+                    <th className="border px-2 py-1">Extracted name</th>
+                    <th className="border px-2 py-1">Status</th>
+                    <th className="border px-2 py-1">Roster student</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.map(({ s, index }) => {
+                    const { candidates } = matchSubmission(s, roster);
+                    const suggested = new Set(candidates.map((c) => c.rosterId));
+                    return (
+                      <tr key={index}>
+                        <td className="border px-2 py-1">{s.name}</td>
+                        <td className="border px-2 py-1">{s.result?.student_name || "—"}</td>
+                        <td className="border px-2 py-1">{STATUS_LABEL[s.rosterMatch] || "—"}</td>
+                        <td className="border px-2 py-1">
+                          <select
+                            className="input"
+                            value={s.rosterId || ""}
+                            onChange={(e) => onAssign(index, e.target.value || null)}
+                          >
+                            <option value="">— not matched —</option>
+                            {candidates.map((c) => (
+                              <option key={c.rosterId} value={c.rosterId}>
+                                {rosterEntry(roster, c.rosterId).name} ({c.rosterId}) —{" "}
+                                {Math.round(c.score * 100)}%
+                              </option>
+                            ))}
+                            {roster
+                              .filter((r) => !suggested.has(r.id))
+                              .map((r) => (
+                                <option key={r.id} value={r.id}>
+                                  {r.name} ({r.id})
+                                </option>
+                              ))}
+                          </select>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            )}
+
+            <h3 className="section-title">No submission ({missing.length})</h3>
+            {missing.length === 0 ? (
+              <p className="text-sm">Everyone on the roster has submitted.</p>
+            ) : (
+              <ul className="text-sm">
+                {missing.map((r) => (
+                  <li key={r.id}>
+                    {r.name} ({r.id}){r.email && ` — ${r.email}`}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </>
+        )}
+
+        <div className="flex justify-end gap-2">
+          {roster.length > 0 && (
+            <button
+              className="btn-danger"
+              onClick={() => window.confirm("Remove the roster from this session?") && onRosterChange([])}
+            >
+              Remove Roster
+            </button>
+          )}
+          <button className="btn-secondary" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,124 @@
+import React, { useState, useEffect } from "react";
+import {
+  listSessions,
+  deleteSession,
+  duplicateSession,
+} from "../lib/sessions.js";
+import { parseSessionJson } from "../lib/exports.js";
+
+export default function SessionPicker({ currentId, openHashes = [], onOpen, onNew, onImport, onClose }) {
+  const [sessions, setSessions] = useState([]);
+  const [error, setError] = useState("");
+  const [version, setVersion] = useState(0);
+
+  const refresh = () => setVersion((v) => v + 1);
+
+  useEffect(() => {
+    listSessions()
+      .then(setSessions)
+      .catch((err) => setError("Could not list sessions: " + err.message));
+  }, [version]);
+
+  const handleDuplicate = async (id) => {
+    try {
+      await duplicateSession(id);
+      refresh();
+    } catch (err) {
+      setError("Could not duplicate session: " + err.message);
+    }
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      await onImport(parseSessionJson(await file.text()));
+    } catch (err) {
+      setError("Could not import session: " + err.message);
+    }
+  };
+
+  const handleDelete = async (s) => {
+    if (!window.confirm(`Delete session "${s.name}"? This cannot be undone.`)) return;
+    try {
+      await deleteSession(s.id, openHashes);
+      refresh();
+    } catch (err) {
+      setError("Could not delete session: " + err.message);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-card" onClick={(e) => e.stopPropagation()}>
+        <div className="flex justify-between items-center">
+          <h2 className="panel-title">Grading Sessions</h2>
+          <div className="flex gap-2">
+            <label className="btn-secondary" title="Import a session exported as JSON">
+              Import JSON
+              <input type="file" accept=".json" onChange={handleImport} style={{ display: "none" }} />
+            </label>
+            <button className="btn-success" onClick={onNew}>
+              New Session
+            </button>
+          </div>
+        </div>
+        {error && <p className="text-error">{error}</p>}
+        {sessions.length === 0 ? (
+          <p>No saved sessions yet.</p>
+        ) : (
+          <table className="w-full text-sm border-collapse">
+            <thead>
+              <tr>
+                <th className="border px-2 py-1">Name</th>
+                <th className="border px-2 py-1">Graded</th>
+                <th className="border px-2 py-1">Last saved</th>
+                <th className="border px-2 py-1"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {sessions.map((s) => (
+                <tr key={s.id} className={s.id === currentId ? "font-bold" : ""}>
+                  <td className="border px-2 py-1">{s.name}</td>
+                  <td className="border px-2 py-1 text-center">
+                    {s.gradedCount} / {s.studentCount}
+                  </td>
+                  <td className="border px-2 py-1">
+                    {s.updatedAt ? new Date(s.updatedAt).toLocaleString() : ""}
+                  </td>
+                  <td className="border px-2 py-1">
+                    <div className="flex gap-2">
+                      <button className="btn-primary" onClick={() => onOpen(s.id)}>
+                        Open
+                      </button>
+                      <button
+                        className="btn-secondary"
+                        onClick={() => handleDuplicate(s.id)}
+                      >
+                        Duplicate
+                      </button>
+                      <button
+                        className="btn-danger"
+                        onClick={() => handleDelete(s)}
+                        disabled={s.id === currentId}
+                        title={s.id === currentId ? "Cannot delete the open session" : ""}
+                      >
+                        Delete
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+        <div className="flex justify-end">
+          <button className="btn-secondary" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,120 @@
+import React, { useState } from "react";
+import {
+  SPLIT_STRATEGIES,
+  markerRegex,
+  mergeWithNext,
+  pageRangeLabel,
+  segmentName,
+  segmentText,
+  splitAt,
+  splitPages,
+} from "../lib/splitting.js";
+
+export default function SplitPreview({ fileName, pages, settings, onConfirm, onCancel }) {
+  const [draft, setDraft] = useState(settings);
+  const [segments, setSegments] = useState(() => splitPages(pages, settings));
+
+  const update = (changes) => {
+    const next = { ...draft, ...changes };
+    setDraft(next);
+    setSegments(splitPages(pages, next));
+  };
+
+  const markerInvalid = draft.strategy === "marker" && !markerRegex(draft.marker);
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal-card">
+        <h2 className="panel-title">Split {fileName}</h2>
+        <p className="text-sm">
+          {pages.length} pages. Check where each student starts before the submissions are created.
+        </p>
+
+        <div className="flex gap-2 items-center">
+          <select
+            className="input"
+            value={draft.strategy}
+            onChange={(e) => update({ strategy: e.target.value })}
+          >
+            {Object.entries(SPLIT_STRATEGIES).map(([id, label]) => (
+              <option key={id} value={id}>
+                {label}
+              </option>
+            ))}
+          </select>
+          {draft.strategy === "fixed" && (
+            <label className="field">
+              Pages per student
+              <input
+                type="number"
+                min="1"
+                className="input"
+                value={draft.pagesPerStudent}
+                onChange={(e) => update({ pagesPerStudent: e.target.value })}
+              />
+            </label>
+          )}
+          {draft.strategy === "marker" && (
+            <label className="field">
+              Marker (regular expression)
+              <input
+                className="input"
+                value={draft.marker}
+                onChange={(e) => update({ marker: e.target.value })}
+              />
+            </label>
+          )}
+        </div>
+        {markerInvalid && <p className="text-error">Invalid regular expression.</p>}
+
+        <div className="split-segments">
+          {segments.map((seg, i) => (
+            <div key={`${seg.start}-${seg.end}`} className="split-segment">
+              <div className="flex justify-between items-center">
+                <strong>
+                  Student {i + 1}
+                  {segmentName(pages, seg) && ` — ${segmentName(pages, seg)}`}
+                </strong>
+                <span className="text-sm">{pageRangeLabel(seg)}</span>
+              </div>
+              <p className="split-snippet">{segmentText(pages, seg).slice(0, 240) || "(no text)"}</p>
+              <div className="flex gap-2">
+                {seg.end > seg.start && (
+                  <select
+                    className="input"
+                    value=""
+                    onChange={(e) => setSegments(splitAt(segments, i, Number(e.target.value)))}
+                  >
+                    <option value="">Split before page…</option>
+                    {Array.from({ length: seg.end - seg.start }, (_, k) => seg.start + k + 1).map((p) => (
+                      <option key={p} value={p}>
+                        page {p + 1}
+                      </option>
+                    ))}
+                  </select>
+                )}
+                {i < segments.length - 1 && (
+                  <button className="btn-secondary" onClick={() => setSegments(mergeWithNext(segments, i))}>
+                    Merge with next
+                  </button>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+
+        <div className="flex justify-end gap-2">
+          <button className="btn-secondary" onClick={() => onConfirm(null, draft)}>
+            Keep as One Submission
+          </button>
+          <button className="btn-secondary" onClick={onCancel}>
+            Skip File
+          </button>
+          <button className="btn-primary" onClick={() => onConfirm(segments, draft)}>
+            Create {segments.length} Student{segments.length === 1 ? "" : "s"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,107 @@
+// Class-level statistics and per-question item analysis over graded students.
+import { effectiveResult } from "./overrides.js";
+import { calculateTotals } from "./scoring.js";
+
+const mean = (xs) => (xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : 0);
+
+const median = (xs) => {
+  if (!xs.length) return 0;
+  const sorted = [...xs].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+// Population standard deviation: the class is the whole population here.
+const stdDev = (xs) => {
+  if (!xs.length) return 0;
+  const m = mean(xs);
+  return Math.sqrt(mean(xs.map((x) => (x - m) ** 2)));
+};
+
+export const gradedResults = (students) =>
+  students.map(effectiveResult).filter((r) => r?.questions?.length && !r.error);
+
+const HISTOGRAM_BINS = 10;
+
+/** Percentages in 10-point bins; 100% falls in the last bin. */
+export const histogram = (percentages, bins = HISTOGRAM_BINS) => {
+  const width = 100 / bins;
+  const counts = Array.from({ length: bins }, (_, i) => ({ from: i * width, to: (i + 1) * width, count: 0 }));
+  for (const pct of percentages) {
+    const i = Math.min(bins - 1, Math.max(0, Math.floor(pct / width)));
+    counts[i].count++;
+  }
+  return counts;
+};
+
+/**
+ * Class figures. `score` (from makeScorer) gives curved percentages, so the
+ * pass rate matches the overview and exports; without it they are as graded.
+ */
+export const classStats = (students, passThreshold, score) => {
+  const pcts = score
+    ? students.filter((s) => gradedResults([s]).length).map((s) => score(s).pct)
+    : gradedResults(students).map((r) => calculateTotals(r).pct);
+  return {
+    count: pcts.length,
+    mean: mean(pcts),
+    median: median(pcts),
+    stdDev: stdDev(pcts),
+    passRate: pcts.length ? pcts.filter((p) => p >= passThreshold).length / pcts.length : 0,
+    histogram: histogram(pcts),
+  };
+};
+
+// -------------------- Item analysis --------------------
+export const HARD_QUESTION = 0.3; // mean score below 30% of max
+const MIN_FOR_DISCRIMINATION = 5;
+
+/**
+ * Per question: difficulty (mean score / max, higher is easier), verdict
+ * counts and discrimination (difficulty among the top third of the class
+ * minus the bottom third). A negative discrimination means weaker students
+ * did better than strong ones — often a sign the key answer is wrong.
+ */
+export const itemAnalysis = (students) => {
+  const results = gradedResults(students);
+  const totals = results.map((r) => calculateTotals(r).pct);
+  const ranked = results.map((r, i) => ({ r, pct: totals[i] })).sort((a, b) => b.pct - a.pct);
+  const third = Math.floor(ranked.length / 3);
+  const top = new Set(ranked.slice(0, third).map((x) => x.r));
+  const bottom = new Set(ranked.slice(ranked.length - third).map((x) => x.r));
+
+  const items = new Map();
+  for (const r of results) {
+    r.questions.forEach((q) => {
+      if (!items.has(q.id))
+        items.set(q.id, { id: q.id, question: q.question, entries: [], verdicts: { Correct: 0, Partial: 0, Incorrect: 0 } });
+      const item = items.get(q.id);
+      const max = parseFloat(q.maxscore) || 1;
+      const ratio = Math.min(1, Math.max(0, (parseFloat(q.questionscore) || 0) / max));
+      item.entries.push({ r, ratio, score: parseFloat(q.questionscore) || 0, max });
+      if (q.verdict in item.verdicts) item.verdicts[q.verdict]++;
+    });
+  }
+
+  return Array.from(items.values()).map(({ entries, ...item }) => {
+    const difficulty = mean(entries.map((e) => e.ratio));
+    const topRatios = entries.filter((e) => top.has(e.r)).map((e) => e.ratio);
+    const bottomRatios = entries.filter((e) => bottom.has(e.r)).map((e) => e.ratio);
+    const discrimination =
+      entries.length >= MIN_FOR_DISCRIMINATION && topRatios.length && bottomRatios.length
+        ? mean(topRatios) - mean(bottomRatios)
+        : null;
+    const flags = [];
+    if (difficulty < HARD_QUESTION) flags.push("missed by most of the class");
+    if (discrimination != null && discrimination < 0) flags.push("weaker students scored higher — check the key");
+    return {
+      ...item,
+      n: entries.length,
+      meanScore: mean(entries.map((e) => e.score)),
+      maxScore: Math.max(...entries.map((e) => e.max)),
+      difficulty,
+      discrimination,
+      flags,
+    };
+  });
+};
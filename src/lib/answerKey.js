@@ -0,0 +1,205 @@
+// Structured answer key: questions with ids, points, model answers, rubric
+// criteria and partial-credit bands. The key's points are authoritative —
+// enforceKey() clamps whatever the model returns to them. Closed question
+// types are graded without the model (see autoGrade.js).
+import { QUESTION_TYPES, describeTolerance, inferQuestionType, isClosedQuestion } from "./autoGrade.js";
+
+export const emptyKey = () => ({ questions: [] });
+
+export const newQuestion = (index) => ({
+  id: `q${index + 1}`,
+  prompt: "",
+  answer: "",
+  points: 1,
+  type: "open", // see QUESTION_TYPES
+  options: [], // multiple choice: option texts for A, B, C…
+  tolerance: { absolute: 0, relative: 0 }, // numeric: in the key's unit, and %
+  rubric: [], // [{ criterion, points }]
+  bands: [], // [{ label, minCloseness, credit }] — credit is a 0..1 fraction of points
+});
+
+export const hasStructuredKey = (key) => (key?.questions?.length ?? 0) > 0;
+
+export const keyTotal = (key) =>
+  (key?.questions || []).reduce((sum, q) => sum + (Number(q.points) || 0), 0);
+
+export const keyMaxScores = (key) =>
+  Object.fromEntries((key?.questions || []).map((q) => [q.id, Number(q.points) || 0]));
+
+// -------------------- Parsing --------------------
+const QUESTION_LINE = /^\s*(?:Q(?:uestion)?\s*)?(\d+)\s*[.):-]\s*(.*)$/i;
+const POINTS = /[([]\s*(\d+(?:\.\d+)?)\s*(?:pts?|points?|marks?)\s*[)\]]/i;
+const ANSWER_LINE = /^\s*(?:answer|ans|key|model answer)\s*[:-]\s*(.*)$/i;
+const RUBRIC_LINE = /^\s*rubric\s*[:-]?\s*(.*)$/i;
+const BULLET = /^\s*[-*•]\s+(.*)$/;
+
+// PDF text comes back one line per page; unless lines already start the
+// questions, put the question, answer and rubric markers back on their own lines.
+const restoreLineBreaks = (text) => {
+  const normalized = text.replace(/\r\n?/g, "\n");
+  const headings = normalized.split("\n").filter((line) => QUESTION_LINE.test(line));
+  if (headings.length > 1) return normalized;
+  return normalized
+    .replace(/\s+(?=(?:Q(?:uestion)?\s*)?\d+\s*[.)]\s+\S)/gi, "\n")
+    .replace(/\s+(?=(?:Answer|Model answer|Rubric)\s*:)/gi, "\n")
+    .replace(/\s+(?=[•]\s)/g, "\n");
+};
+
+const takePoints = (line) => {
+  const m = line.match(POINTS);
+  return m ? { points: Number(m[1]), text: line.replace(POINTS, "").trim() } : { points: null, text: line.trim() };
+};
+
+/**
+ * Turn a free-text key (typed, or extracted from TXT/DOCX/PDF) into the
+ * structured model. Recognizes "1." / "Q1:" / "Question 1)" headings, "(5 pts)"
+ * or "[2 marks]" point values, "Answer:" lines and "Rubric:" bullet lists.
+ * Text without numbered questions becomes a single question.
+ */
+export const parseAnswerKeyText = (text) => {
+  const lines = restoreLineBreaks(String(text || "")).split("\n");
+  const questions = [];
+  let current = null;
+  let mode = "prompt";
+
+  const start = (num, rest) => {
+    const { points, text: prompt } = takePoints(rest);
+    current = { ...newQuestion(questions.length), id: `q${num}`, prompt, points: points ?? 1 };
+    questions.push(current);
+    mode = "prompt";
+  };
+
+  for (const raw of lines) {
+    const line = raw.trim();
+    if (!line) continue;
+
+    const q = line.match(QUESTION_LINE);
+    if (q) {
+      start(q[1], q[2]);
+      continue;
+    }
+    if (!current) start(questions.length + 1, "");
+
+    const answer = line.match(ANSWER_LINE);
+    const rubric = line.match(RUBRIC_LINE);
+    const bullet = line.match(BULLET);
+    if (answer) {
+      mode = "answer";
+      const { points, text: body } = takePoints(answer[1]);
+      if (points != null) current.points = points;
+      current.answer = body;
+    } else if (rubric) {
+      mode = "rubric";
+      if (rubric[1]) current.rubric.push({ criterion: rubric[1], points: 0 });
+    } else if (mode === "rubric" && bullet) {
+      const { points, text: criterion } = takePoints(bullet[1]);
+      current.rubric.push({ criterion, points: points ?? 0 });
+    } else if (mode === "answer") {
+      current.answer = current.answer ? `${current.answer}\n${line}` : line;
+    } else if (mode === "prompt") {
+      const { points, text: body } = takePoints(line);
+      if (points != null) current.points = points;
+      current.prompt = current.prompt ? `${current.prompt}\n${body}` : body;
+    }
+  }
+
+  // A heading without an explicit "Answer:" line is "question: answer" style.
+  for (const q of questions) {
+    if (!q.answer && q.prompt.includes("\n")) {
+      const [first, ...rest] = q.prompt.split("\n");
+      q.prompt = first;
+      q.answer = rest.join("\n");
+    }
+    if (!q.rubric.length) q.type = inferQuestionType(q.answer);
+  }
+
+  return { questions };
+};
+
+// -------------------- Prompt --------------------
+export const formatAnswerKeyForPrompt = (key) => {
+  const blocks = key.questions.map((q) => {
+    const lines = [`Question ${q.id} (max ${Number(q.points) || 0} points): ${q.prompt}`];
+    if (isClosedQuestion(q)) {
+      const tolerance = q.type === "numeric" ? `, tolerance ${describeTolerance(q)}` : "";
+      lines.push(`Type: ${QUESTION_TYPES[q.type].toLowerCase()}${tolerance}`);
+    }
+    if (q.type === "mcq" && q.options?.some(Boolean))
+      lines.push(`Options: ${q.options.map((o, i) => `${String.fromCharCode(65 + i)}) ${o}`).join("; ")}`);
+    lines.push(`Model answer: ${q.answer}`);
+    if (q.rubric?.length) {
+      lines.push("Rubric:");
+      q.rubric.forEach((r) => lines.push(`- ${r.criterion} (${Number(r.points) || 0} pts)`));
+    }
+    if (q.bands?.length) {
+      lines.push(
+        "Partial credit bands: " +
+          q.bands
+            .map((b) => `${b.label}: closeness ≥ ${b.minCloseness}% → ${Math.round(b.credit * 100)}% of points`)
+            .join("; ")
+      );
+    }
+    return lines.join("\n");
+  });
+  return (
+    blocks.join("\n\n") +
+    `\n\nUse exactly these question ids (${key.questions.map((q) => q.id).join(", ")}). ` +
+    `Never award more than a question's max points. testworth is ${keyTotal(key)}.`
+  );
+};
+
+// -------------------- Enforcement --------------------
+const bandCredit = (bands, closeness) => {
+  if (!bands?.length || typeof closeness !== "number") return null;
+  const hit = [...bands]
+    .sort((a, b) => b.minCloseness - a.minCloseness)
+    .find((b) => closeness >= Number(b.minCloseness));
+  return hit ? Number(hit.credit) : 0;
+};
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Make a result obey the key: one entry per key question (matched by id, then
+ * by position), each score clamped to [0, points] or set from the matching
+ * partial-credit band, and totals recomputed from the key.
+ */
+export const enforceKey = (result, key) => {
+  if (!hasStructuredKey(key) || !result?.questions) return result;
+
+  const byId = new Map(result.questions.map((q) => [q.id, q]));
+  const keyIds = new Set(key.questions.map((kq) => kq.id));
+  const byPosition = (idx) => {
+    const q = result.questions[idx];
+    return q && !keyIds.has(q.id) ? q : undefined;
+  };
+  const questions = key.questions.map((kq, idx) => {
+    const q = byId.get(kq.id) ?? byPosition(idx) ?? {
+      question: kq.prompt,
+      student_answer: "",
+      correct_answer: kq.answer,
+      closeness: 0,
+      verdict: "Incorrect",
+      questionscore: 0,
+      missing: true,
+    };
+    const max = Number(kq.points) || 0;
+    const credit = bandCredit(kq.bands, q.closeness);
+    const raw = credit != null ? credit * max : Number(q.questionscore) || 0;
+    const score = round2(Math.min(max, Math.max(0, raw)));
+    return {
+      ...q,
+      id: kq.id,
+      maxscore: max,
+      questionscore: score,
+      ...(score !== q.questionscore ? { modelscore: q.questionscore } : {}),
+    };
+  });
+
+  return {
+    ...result,
+    questions,
+    total_score: round2(questions.reduce((sum, q) => sum + q.questionscore, 0)),
+    testworth: keyTotal(key),
+  };
+};
@@ -0,0 +1,312 @@
+// Deterministic grading for closed questions: multiple choice and true/false
+// by exact option matching, numeric answers within the key's tolerance after
+// unit conversion. Only open-ended questions, and closed ones whose answer
+// cannot be read from the submission, are sent to the model.
+
+export const QUESTION_TYPES = {
+  open: "Open-ended",
+  mcq: "Multiple choice",
+  truefalse: "True/false",
+  numeric: "Numeric",
+};
+
+export const isClosedQuestion = (kq) => ["mcq", "truefalse", "numeric"].includes(kq?.type);
+
+const normalizeWords = (text) =>
+  String(text || "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+const optionLetter = (i) => String.fromCharCode(65 + i);
+
+// -------------------- Multiple choice --------------------
+const LETTER_TOKEN = /^\(?([a-z])\)?[.)]?$/i;
+const LEADING_LETTER = /^\(?([a-z])[.)]\s+\S/i;
+// A second "B)" or "(c)" in the text: the options were copied out.
+const LATER_OPTION = /\s\(?[a-z][.)]\s/i;
+
+/**
+ * The chosen letters, sorted: "B", "(b)", "A, C", "A and C", "B) Paris" (a
+ * single option only), or an option's text when the question lists
+ * `options`. Null when unreadable or ambiguous.
+ */
+export const choiceLetters = (answer, options = []) => {
+  const text = String(answer || "").trim();
+  if (!text) return null;
+  const tokens = text.split(/\s*(?:[,;&/]|\band\b)\s*|\s+/i).filter(Boolean);
+  if (tokens.length && tokens.every((t) => LETTER_TOKEN.test(t)))
+    return [...new Set(tokens.map((t) => t.match(LETTER_TOKEN)[1].toUpperCase()))].sort();
+  const lead = text.match(LEADING_LETTER);
+  if (lead) return text.includes("\n") || LATER_OPTION.test(text) ? null : [lead[1].toUpperCase()];
+  const option = options.findIndex((o) => o && normalizeWords(o) === normalizeWords(text));
+  return option >= 0 ? [optionLetter(option)] : null;
+};
+
+// -------------------- True/false --------------------
+// English, Spanish and French, like the OCR languages.
+const TRUE_WORDS = new Set(["true", "t", "yes", "verdadero", "v", "vrai", "sí", "si", "oui"]);
+const FALSE_WORDS = new Set(["false", "f", "no", "falso", "faux", "non"]);
+
+export const truthValue = (answer) => {
+  const word = normalizeWords(answer);
+  if (TRUE_WORDS.has(word)) return true;
+  if (FALSE_WORDS.has(word)) return false;
+  return null;
+};
+
+// -------------------- Numeric --------------------
+const PREFIXES = { G: 1e9, M: 1e6, k: 1e3, h: 1e2, d: 1e-1, c: 1e-2, m: 1e-3, µ: 1e-6, μ: 1e-6, u: 1e-6, n: 1e-9 };
+const WORD_PREFIXES = { giga: "G", mega: "M", kilo: "k", hecto: "h", deci: "d", centi: "c", milli: "m", micro: "µ", nano: "n" };
+
+// Symbol → [factor to SI, dimensions]. Derived units keep their own dimension
+// (N is not reduced to kg·m/s²), which is enough to compare like with like.
+const UNITS = {
+  m: [1, { m: 1 }],
+  g: [1e-3, { kg: 1 }],
+  s: [1, { s: 1 }],
+  min: [60, { s: 1 }],
+  h: [3600, { s: 1 }],
+  hr: [3600, { s: 1 }],
+  L: [1e-3, { m: 3 }],
+  l: [1e-3, { m: 3 }],
+  N: [1, { N: 1 }],
+  J: [1, { J: 1 }],
+  W: [1, { W: 1 }],
+  Pa: [1, { Pa: 1 }],
+  V: [1, { V: 1 }],
+  A: [1, { A: 1 }],
+  Hz: [1, { s: -1 }],
+  mol: [1, { mol: 1 }],
+  K: [1, { K: 1 }],
+  "°C": [1, { degC: 1 }],
+  "°F": [1, { degF: 1 }],
+  "%": [0.01, {}],
+};
+
+const UNIT_WORDS = {
+  meter: "m", metre: "m", gram: "g", second: "s", sec: "s", minute: "min", hour: "h",
+  liter: "L", litre: "L", newton: "N", joule: "J", watt: "W", pascal: "Pa", volt: "V",
+  amp: "A", ampere: "A", hertz: "Hz", mole: "mol", kelvin: "K", percent: "%",
+};
+
+const unitSymbol = (name) => {
+  if (UNITS[name]) return { factor: UNITS[name][0], dims: UNITS[name][1] };
+  const word = name.toLowerCase().replace(/e?s$/, "");
+  for (const candidate of [name.toLowerCase(), word, name.toLowerCase().replace(/s$/, "")]) {
+    if (UNIT_WORDS[candidate]) return unitSymbol(UNIT_WORDS[candidate]);
+    const prefix = Object.keys(WORD_PREFIXES).find((p) => candidate.startsWith(p));
+    const rest = prefix && UNIT_WORDS[candidate.slice(prefix.length)];
+    if (rest) {
+      const unit = unitSymbol(rest);
+      return { ...unit, factor: unit.factor * PREFIXES[WORD_PREFIXES[prefix]] };
+    }
+  }
+  const [prefix, base] = [name.slice(0, 1), name.slice(1)];
+  if (PREFIXES[prefix] && UNITS[base]) return { factor: PREFIXES[prefix] * UNITS[base][0], dims: UNITS[base][1] };
+  return null;
+};
+
+/** A unit such as "km/h", "m/s^2", "m·s⁻¹" or "kilometers per hour" as { factor, dims }; null if unknown. */
+export const parseUnit = (text) => {
+  const unit = String(text || "")
+    .trim()
+    .replace(/²/g, "^2")
+    .replace(/³/g, "^3")
+    .replace(/⁻¹/g, "^-1")
+    .replace(/\s+per\s+/gi, "/")
+    .replace(/\s*([/*·^])\s*/g, "$1");
+  if (!unit) return { factor: 1, dims: {} };
+  let factor = 1;
+  const dims = {};
+  for (const [i, part] of unit.split("/").entries()) {
+    for (const piece of part.split(/[*·\s]+/).filter(Boolean)) {
+      const m = piece.match(/^([^\d^-]+)(?:\^?(-?\d+))?$/);
+      const symbol = m && unitSymbol(m[1]);
+      if (!symbol) return null;
+      const power = Number(m[2] || 1) * (i === 0 ? 1 : -1);
+      factor *= symbol.factor ** power;
+      Object.entries(symbol.dims).forEach(([d, n]) => (dims[d] = (dims[d] || 0) + n * power));
+    }
+  }
+  return { factor, dims: Object.fromEntries(Object.entries(dims).filter(([, n]) => n !== 0)) };
+};
+
+const sameDims = (a, b) =>
+  Object.keys({ ...a, ...b }).every((d) => (a[d] || 0) === (b[d] || 0));
+
+const NUMBER = /^(?:[a-z]\s*=\s*)?([-+−]?(?:\d[\d,]*(?:\.\d+)?|\.\d+))(?:\s*(?:e([-+]?\d+)|[x×*]\s*10\s*\^\s*([-+−]?\d+)))?\s*(.*)$/i;
+
+// "1,234.5" is a thousands separator; a lone "9,8" a decimal comma.
+const toNumber = (digits) => {
+  const plain = /^[-+]?\d{1,3}(,\d{3})+(\.\d+)?$/.test(digits)
+    ? digits.replace(/,/g, "")
+    : digits.replace(",", ".");
+  return Number(plain);
+};
+
+/** "9.8 m/s^2", "-1.5e3", "2.4 × 10^5 Pa" or "x = 4" as { value, unit }; null if not a number. */
+export const parseQuantity = (answer) => {
+  const m = String(answer || "").trim().replace(/−/g, "-").match(NUMBER);
+  if (!m) return null;
+  const value = toNumber(m[1]) * 10 ** Number(m[2] || m[3] || 0);
+  if (!Number.isFinite(value)) return null;
+  return { value, unit: m[4].replace(/[.;]$/, "").trim() };
+};
+
+// Both values in the key's unit, or null when the units cannot be compared.
+const inKeyUnit = (student, expected) => {
+  if (!student.unit || !expected.unit || student.unit === expected.unit) return student.value;
+  const from = parseUnit(student.unit);
+  const to = parseUnit(expected.unit);
+  if (!from || !to) return null;
+  if (!sameDims(from.dims, to.dims)) return NaN;
+  return (student.value * from.factor) / to.factor;
+};
+
+/** The tolerance a numeric question allows: the larger of `absolute` (in the key's unit) and `relative` (%). */
+export const numericTolerance = (kq, expected) =>
+  Math.max(
+    Number(kq.tolerance?.absolute) || 0,
+    ((Number(kq.tolerance?.relative) || 0) / 100) * Math.abs(expected)
+  );
+
+export const describeTolerance = (kq) => {
+  const parts = [];
+  if (Number(kq.tolerance?.absolute)) parts.push(`±${kq.tolerance.absolute}`);
+  if (Number(kq.tolerance?.relative)) parts.push(`±${kq.tolerance.relative}%`);
+  return parts.join(" or ") || "exact";
+};
+
+// -------------------- Grading --------------------
+// Each returns { correct, expected } (or its own `feedback`), or null when the
+// answer cannot be read.
+const GRADERS = {
+  mcq: (kq, answer) => {
+    const expected = choiceLetters(kq.answer, kq.options);
+    const given = choiceLetters(answer, kq.options);
+    if (!expected || !given) return null;
+    return { correct: expected.join() === given.join(), expected: expected.join(", ") };
+  },
+  truefalse: (kq, answer) => {
+    const expected = truthValue(kq.answer);
+    const given = truthValue(answer);
+    if (expected == null || given == null) return null;
+    return { correct: expected === given, expected: expected ? "True" : "False" };
+  },
+  numeric: (kq, answer) => {
+    const expected = parseQuantity(kq.answer);
+    const given = parseQuantity(answer);
+    if (!expected || !given) return null;
+    const value = inKeyUnit(given, expected);
+    if (value == null) return null;
+    if (Number.isNaN(value))
+      return { correct: false, feedback: `Expected ${kq.answer}; ${given.unit} is not a unit of the same quantity.` };
+    const tolerance = numericTolerance(kq, expected.value);
+    return {
+      correct: Math.abs(value - expected.value) <= tolerance + Math.abs(expected.value) * 1e-9,
+      expected: tolerance ? `${kq.answer} (${describeTolerance(kq)})` : kq.answer,
+    };
+  },
+};
+
+// Headings like "3.", "3)", "Q3:" or "Question 3 -"; "9.8" is not one.
+const HEADING = /^\s*(?:Q(?:uestion)?\s*)?(\d+)(?:\s*[):-]|\.(?!\d))\s*(.*)$/i;
+const ANSWER_LABEL = /^\s*(?:(?:my|final|mi|ma)\s+)?(?:answer|ans|respuesta|réponse)\s*[:-]\s*(.*)$/i;
+const NAME_LABEL = /^\s*(?:student\s+)?(?:name|nombre|nom)\s*[:-]\s*(.+)$/im;
+
+// PDF text comes back one line per page; put answers on their own lines.
+const restoreLineBreaks = (text) => {
+  const lines = text.replace(/\r\n?/g, "\n").split("\n");
+  if (lines.filter((l) => HEADING.test(l)).length > 1) return lines;
+  return text.replace(/\s+(?=Q(?:uestion)?\s*\d+\s*[.):-]|\d+\s*[.)]\s+\S)/gi, "\n").split("\n");
+};
+
+/**
+ * The submission's answer to each numbered question, keyed by question
+ * number: the one "Answer:" line under "3." or "Q3:", else the heading's text
+ * or a single line under an empty heading. Anything else (several answer
+ * lines, options copied out under the question) is null, for the model.
+ */
+export const answersByNumber = (content) => {
+  const blocks = new Map();
+  let current = null;
+  for (const line of restoreLineBreaks(String(content || ""))) {
+    const heading = line.match(HEADING);
+    if (heading && !blocks.has(heading[1])) {
+      current = { first: heading[2].trim(), lines: [] };
+      blocks.set(heading[1], current);
+    } else if (current && line.trim()) {
+      current.lines.push(line.trim());
+    }
+  }
+  return new Map(
+    [...blocks].map(([n, b]) => {
+      const labeled = b.lines.map((l) => l.match(ANSWER_LABEL)).filter(Boolean);
+      if (labeled.length) return [n, labeled.length === 1 ? labeled[0][1].trim() : null];
+      if (b.first) return [n, b.lines.length ? null : b.first];
+      return [n, b.lines.length === 1 ? b.lines[0] : null];
+    })
+  );
+};
+
+const questionNumber = (kq, idx) => String(kq.id).match(/\d+/)?.[0] ?? String(idx + 1);
+
+/**
+ * Grade the closed questions of a structured key that can be read from the
+ * submission. Returns { graded, remaining }: result entries marked
+ * `autoGraded`, and the key with only the questions left for the model.
+ */
+export const autoGrade = (content, key) => {
+  const answers = answersByNumber(content);
+  const graded = [];
+  const remaining = [];
+  key.questions.forEach((kq, idx) => {
+    const answer = isClosedQuestion(kq) ? answers.get(questionNumber(kq, idx)) : null;
+    const outcome = answer ? GRADERS[kq.type](kq, answer) : null;
+    if (!outcome) return remaining.push(kq);
+    const points = Number(kq.points) || 0;
+    graded.push({
+      id: kq.id,
+      question: kq.prompt,
+      student_answer: answer,
+      correct_answer: kq.answer,
+      closeness: outcome.correct ? 100 : 0,
+      verdict: outcome.correct ? "Correct" : "Incorrect",
+      questionscore: outcome.correct ? points : 0,
+      feedback: outcome.correct ? "Matches the answer key." : outcome.feedback || `Expected ${outcome.expected}.`,
+      autoGraded: true,
+    });
+  });
+  return { graded, remaining: { ...key, questions: remaining } };
+};
+
+/**
+ * Put auto-graded entries back among the model's, in key order. With no
+ * model result (every question auto-graded), the name comes from a "Name:"
+ * line. Totals are left to enforceKey.
+ */
+export const mergeAutoGraded = (result, graded, key, content) => {
+  if (!graded.length || result?.error) return result;
+  const base = result || {
+    student_name: String(content || "").match(NAME_LABEL)?.[1].trim() || "",
+    questions: [],
+    feedback: "",
+  };
+  const byId = new Map([...base.questions, ...graded].map((q) => [q.id, q]));
+  return { ...base, questions: key.questions.map((kq) => byId.get(kq.id)).filter(Boolean) };
+};
+
+/** A likely type for a parsed key answer; the teacher can change it. */
+export const inferQuestionType = (answer) => {
+  const text = String(answer || "").trim();
+  if (!text || text.includes("\n")) return "open";
+  if (/^(true|false|verdadero|falso|vrai|faux)\.?$/i.test(text)) return "truefalse";
+  // Only A–H: a lone "I" is more likely a word or a numeral than an option.
+  const letters = choiceLetters(text);
+  if (letters?.every((l) => l <= "H") && (!LEADING_LETTER.test(text) || text.length <= 40)) return "mcq";
+  const quantity = parseQuantity(text);
+  if (quantity && parseUnit(quantity.unit) && quantity.unit.length <= 12) return "numeric";
+  return "open";
+};
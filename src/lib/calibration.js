@@ -0,0 +1,168 @@
+// Calibration set: graded submissions whose teacher-checked scores become the
+// expected answers for regression-testing a prompt, model or answer key before
+// it is adopted. Samples and cached runs are stored with the session.
+import { gradeSubmission } from "./grading.js";
+import { effectiveResult } from "./overrides.js";
+import { addUsage } from "./pricing.js";
+import { describeModel } from "./providers.js";
+import { privateRequest } from "./redaction.js";
+
+// Oldest cached runs are dropped beyond this, to keep session files small.
+const CACHE_LIMIT = 200;
+
+export const emptyCalibration = () => ({ samples: [], cache: {} });
+
+// Uploaded files are identified by content hash; pasted text has only a name.
+export const sampleId = (student) => student.hash || `name:${student.name}`;
+
+/** Snapshot a graded student, overrides included, as a calibration sample. */
+export const sampleFromStudent = (student, name) => ({
+  id: sampleId(student),
+  name,
+  content: student.content,
+  expected: effectiveResult(student).questions.map((q) => ({
+    id: q.id,
+    questionscore: Number(q.questionscore) || 0,
+    verdict: q.verdict,
+  })),
+  addedAt: new Date().toISOString(),
+});
+
+const sha256 = async (text) => {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest))
+    .map((b) => b.toString(16).padStart(2, "0"))
+    .join("");
+};
+
+// Everything that changes what the model sees or which model answers.
+// (Redaction is only added when on, so earlier cached runs still match.)
+const runKey = ({ prompt, contract, settings, keyText }, content) =>
+  sha256(
+    JSON.stringify([
+      prompt,
+      contract,
+      describeModel(settings),
+      settings.baseUrl,
+      keyText,
+      content,
+      ...(settings.redactPii ? ["redacted"] : []),
+    ])
+  );
+
+/**
+ * Grade every sample with one configuration ({ prompt, contract, settings,
+ * apiKey, keyText, key, roster }), redacted like real grading when the
+ * settings ask for it. Cached results are reused; new ones are returned in
+ * `cache` to merge into the session. Resolves to { results: { [sampleId]:
+ * result }, cache, usage, fresh } where `fresh` counts uncached requests.
+ */
+export const runCalibration = async ({ samples, config, cache, signal, onProgress }) => {
+  const results = {};
+  const added = {};
+  let usage = { promptTokens: 0, completionTokens: 0 };
+  let fresh = 0;
+  for (const [i, sample] of samples.entries()) {
+    onProgress?.(i, samples.length);
+    const key = await runKey(config, sample.content);
+    if (cache[key]) {
+      results[sample.id] = cache[key].result;
+      continue;
+    }
+    const request = privateRequest({
+      settings: config.settings,
+      roster: config.roster,
+      prompt: config.prompt,
+      content: sample.content,
+    });
+    const graded = await gradeSubmission({
+      settings: config.settings,
+      apiKey: config.apiKey,
+      prompt: request.prompt,
+      contract: config.contract,
+      answerKey: config.keyText,
+      key: config.key,
+      content: request.content,
+      answersText: sample.content,
+      signal,
+    });
+    const result = request.restore(graded.result);
+    results[sample.id] = result;
+    added[key] = { result, at: new Date().toISOString() };
+    usage = addUsage(usage, graded.usage);
+    fresh++;
+  }
+  onProgress?.(samples.length, samples.length);
+  return { results, cache: added, usage, fresh };
+};
+
+/** Merge new cache entries, dropping the oldest past CACHE_LIMIT. */
+export const mergeCache = (cache, added) =>
+  Object.fromEntries(
+    Object.entries({ ...cache, ...added })
+      .sort(([, a], [, b]) => (a.at < b.at ? 1 : -1))
+      .slice(0, CACHE_LIMIT)
+  );
+
+const mean = (xs) => (xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : null);
+
+/**
+ * Compare graded results with the samples' expected scores: mean absolute
+ * error and verdict accuracy per question and overall, plus each sample's
+ * expected and graded totals.
+ */
+export const calibrationReport = (samples, results) => {
+  const byQuestion = new Map();
+  const sampleRows = samples.map((sample) => {
+    const result = results[sample.id];
+    const graded = result?.questions || [];
+    let total = 0;
+    const questions = sample.expected.map((exp) => {
+      const got = graded.find((q) => q.id === exp.id);
+      const score = got ? Number(got.questionscore) || 0 : 0;
+      total += score;
+      const row = { id: exp.id, score, verdict: got?.verdict ?? null, error: Math.abs(score - exp.questionscore) };
+      if (!byQuestion.has(exp.id)) byQuestion.set(exp.id, []);
+      byQuestion.get(exp.id).push({ ...row, verdictMatch: row.verdict === exp.verdict });
+      return row;
+    });
+    return {
+      id: sample.id,
+      name: sample.name,
+      expectedTotal: sample.expected.reduce((sum, q) => sum + q.questionscore, 0),
+      total,
+      questions,
+      failed: !result?.questions,
+    };
+  });
+
+  const questions = Array.from(byQuestion, ([id, rows]) => ({
+    id,
+    mae: mean(rows.map((r) => r.error)),
+    verdictAccuracy: mean(rows.map((r) => (r.verdictMatch ? 1 : 0))),
+  }));
+  const all = Array.from(byQuestion.values()).flat();
+  return {
+    questions,
+    samples: sampleRows,
+    mae: mean(all.map((r) => r.error)),
+    verdictAccuracy: mean(all.map((r) => (r.verdictMatch ? 1 : 0))),
+  };
+};
+
+/**
+ * Samples whose grading changed between two reports: a different total
+ * (beyond `tolerance` points) or any question with a different verdict.
+ */
+export const movedSamples = (before, after, tolerance = 0) =>
+  after.samples
+    .map((row) => {
+      const prev = before.samples.find((s) => s.id === row.id);
+      if (!prev) return null;
+      const verdicts = row.questions
+        .filter((q) => prev.questions.find((p) => p.id === q.id)?.verdict !== q.verdict)
+        .map((q) => q.id);
+      const delta = row.total - prev.total;
+      return Math.abs(delta) > tolerance || verdicts.length ? { ...row, before: prev.total, delta, verdicts } : null;
+    })
+    .filter(Boolean);
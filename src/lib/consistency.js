@@ -0,0 +1,145 @@
+// Consistency mode: grade each submission several times, or once with each of
+// two models, compare the runs question by question and record one combined
+// result. Questions the runs disagree on go to a review queue.
+
+export const CONSISTENCY_MODES = {
+  off: "Off",
+  repeat: "Grade each submission N times",
+  cross: "Grade with a second model",
+};
+
+export const AGGREGATES = {
+  median: "Median score",
+  majority: "Majority verdict",
+};
+
+export const DEFAULT_CONSISTENCY = {
+  mode: "off",
+  runs: 3, // repeat
+  crossProvider: "openai", // cross
+  crossModel: "gpt-4o", // cross; the deployment name for Azure
+  tolerance: 0.5, // points a question's scores may differ by and still agree
+  aggregate: "median",
+};
+
+// Saved inside the provider settings; older saves have no `consistency`.
+export const consistencyOptions = (settings) => ({ ...DEFAULT_CONSISTENCY, ...settings.consistency });
+
+/** Provider settings for each grading run; a single entry means the mode is off. */
+export const gradingRuns = (settings) => {
+  const c = consistencyOptions(settings);
+  if (c.mode === "repeat") return Array.from({ length: Math.max(2, Number(c.runs) || 2) }, () => settings);
+  if (c.mode === "cross") {
+    const second = { ...settings, provider: c.crossProvider, model: c.crossModel };
+    if (c.crossProvider === "azure") second.azureDeployment = c.crossModel;
+    return [settings, second];
+  }
+  return [settings];
+};
+
+const median = (xs) => {
+  const sorted = [...xs].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+// Most frequent value; ties go to the one seen first.
+const mostCommon = (values) => {
+  const counts = new Map();
+  values.forEach((v) => counts.set(v, (counts.get(v) || 0) + 1));
+  let best = values[0];
+  for (const [v, n] of counts) if (n > counts.get(best)) best = v;
+  return best;
+};
+
+const closestTo = (answers, score) =>
+  answers.reduce((best, a) =>
+    Math.abs(Number(a.questionscore) - score) < Math.abs(Number(best.questionscore) - score) ? a : best
+  );
+
+/**
+ * Combine graded runs ([{ result, gradedBy }]) into one result. Each question
+ * takes the median score (`median`), or the median score among the runs
+ * sharing the most common verdict (`majority`); its verdict and feedback come
+ * from the run closest to that score. A question agrees when every expected
+ * run graded it, with the same verdict and scores within `tolerance`.
+ * Returns { result, consistency } where `consistency` is kept on the student;
+ * when no run produced any questions, the first run's result as it is, with
+ * `consistency: null`.
+ */
+export const combineRuns = (runs, { tolerance, aggregate, expected = runs.length }) => {
+  // Runs without questions (unparseable replies) are left out; runs that
+  // failed validation only count when none passed.
+  const parsed = runs.filter((r) => Array.isArray(r.result.questions));
+  if (!parsed.length) return { result: runs[0].result, consistency: null };
+  const valid = parsed.filter((r) => !r.result.validationErrors);
+  const used = valid.length ? valid : parsed;
+  const base = used[0].result;
+
+  const details = [];
+  const questions = base.questions.map((q) => {
+    const answers = used
+      .map((r) => r.result.questions?.find((x) => x.id === q.id))
+      .filter(Boolean);
+    const scores = answers.map((a) => Number(a.questionscore) || 0);
+    const verdicts = answers.map((a) => a.verdict);
+
+    let pool = answers;
+    if (aggregate === "majority") {
+      const verdict = mostCommon(verdicts);
+      pool = answers.filter((a) => a.verdict === verdict);
+    }
+    const score = median(pool.map((a) => Number(a.questionscore) || 0));
+
+    details.push({
+      id: q.id,
+      runs: runs.map((r) => {
+        const a = r.result.questions?.find((x) => x.id === q.id);
+        return { score: a ? a.questionscore : null, verdict: a?.verdict ?? null };
+      }),
+      agreed:
+        answers.length === expected &&
+        new Set(verdicts).size === 1 &&
+        Math.max(...scores) - Math.min(...scores) <= Number(tolerance),
+    });
+    return { ...closestTo(pool, score), questionscore: score };
+  });
+
+  const agreedCount = details.filter((d) => d.agreed).length;
+  return {
+    result: {
+      ...base,
+      questions,
+      total_score: questions.reduce((sum, q) => sum + (Number(q.questionscore) || 0), 0),
+    },
+    consistency: {
+      aggregate,
+      tolerance: Number(tolerance),
+      graders: runs.map((r) => r.gradedBy),
+      expected,
+      questions: details,
+      agreement: details.length ? agreedCount / details.length : 1,
+      reviewed: [],
+    },
+  };
+};
+
+/** Questions of one student still waiting for the teacher. */
+export const openDisagreements = (student) =>
+  (student?.consistency?.questions || []).filter(
+    (q) => !q.agreed && !student.consistency.reviewed.includes(q.id)
+  );
+
+/** Every open disagreement in the session, in student order. */
+export const reviewQueue = (students) =>
+  students.flatMap((student, index) =>
+    openDisagreements(student).map((detail) => ({ index, student, detail }))
+  );
+
+/** Share of questions the runs agreed on across every student graded in consistency mode. */
+export const agreementRate = (students) => {
+  const details = students.flatMap((s) => (s.result ? s.consistency?.questions || [] : []));
+  if (!details.length) return null;
+  const agreed = details.filter((d) => d.agreed).length;
+  return { agreed, total: details.length, rate: agreed / details.length };
+};
@@ -0,0 +1,51 @@
+// Minimal RFC 4180 CSV reading and writing.
+
+// Spreadsheet exports in some locales use ";" or tabs; pick whatever the
+// header line uses most.
+const detectDelimiter = (firstLine) =>
+  [",", ";", "\t"]
+    .map((d) => [d, firstLine.split(d).length])
+    .sort((a, b) => b[1] - a[1])[0][0];
+
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  const src = String(text || "").replace(/^\uFEFF/, "");
+  const delimiter = detectDelimiter(src.split(/\r?\n/)[0]);
+
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        cell += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === delimiter) {
+      row.push(cell);
+      cell = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && src[i + 1] === "\n") i++;
+      row.push(cell);
+      if (row.some((v) => v.trim() !== "")) rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += c;
+    }
+  }
+  row.push(cell);
+  if (row.some((v) => v.trim() !== "")) rows.push(row);
+  return rows;
+};
+
+export const csvCell = (cell) => `"${String(cell ?? "").replace(/"/g, '""')}"`;
+
+export const toCsv = (rows) => rows.map((row) => row.map(csvCell).join(",")).join("\n");
@@ -0,0 +1,129 @@
+// Post-grading curves. A curve adjusts percentages on top of calculateTotals
+// and never touches the question scores themselves, so removing it restores
+// the raw grades exactly.
+import { gradedResults } from "./analytics.js";
+import { effectiveResult } from "./overrides.js";
+import { calculateTotals } from "./scoring.js";
+
+export const CURVE_TYPES = {
+  none: "No curve",
+  flat: "Add points to everyone",
+  top: "Scale to a target top score",
+  sqrt: "Square root (10 × √%)",
+  normalize: "Target mean and standard deviation",
+};
+
+export const DEFAULT_CURVE = {
+  type: "none",
+  points: 5, // flat
+  top: 100, // top, in %
+  mean: 75, // normalize, in %
+  stdDev: 10, // normalize, in percentage points
+  dropped: [], // question ids removed for everyone
+};
+
+export const isCurveActive = (curve) =>
+  !!curve && (curve.type !== "none" || curve.dropped?.length > 0);
+
+const knownWorth = (q) => Number.isFinite(parseFloat(q.maxscore));
+
+/**
+ * Questions can only be dropped when their worth is known: results graded
+ * against a structured key carry each question's `maxscore`; free-text keys
+ * leave it to the model and the result has none.
+ */
+export const canDropQuestions = (students) => {
+  const results = gradedResults(students);
+  return results.length > 0 && results.every((r) => r.questions.every(knownWorth));
+};
+
+/**
+ * The result without the dropped questions, with testworth reduced to match.
+ * Unchanged when a dropped question's worth is unknown.
+ */
+export const dropQuestions = (result, dropped = []) => {
+  if (!result?.questions || !dropped.length) return result;
+  const removed = result.questions.filter((q) => dropped.includes(q.id));
+  if (!removed.length || !removed.every(knownWorth)) return result;
+  const removedWorth = removed.reduce((sum, q) => sum + parseFloat(q.maxscore), 0);
+  return {
+    ...result,
+    questions: result.questions.filter((q) => !dropped.includes(q.id)),
+    testworth: result.testworth ? Math.max(0, result.testworth - removedWorth) : result.testworth,
+  };
+};
+
+const clampPct = (pct) => Math.min(100, Math.max(0, pct));
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// Class figures the top-score and normalize curves are relative to,
+// measured after dropping questions.
+const curveBasis = (students, curve) => {
+  const pcts = gradedResults(students).map((r) => calculateTotals(dropQuestions(r, curve.dropped)).pct);
+  const mean = pcts.length ? pcts.reduce((a, b) => a + b, 0) / pcts.length : 0;
+  const stdDev = pcts.length
+    ? Math.sqrt(pcts.reduce((sum, p) => sum + (p - mean) ** 2, 0) / pcts.length)
+    : 0;
+  return { top: pcts.length ? Math.max(...pcts) : 0, mean, stdDev };
+};
+
+const curvePct = (pct, totals, curve, basis) => {
+  switch (curve.type) {
+    case "flat":
+      return totals.worth > 0 ? ((totals.total + Number(curve.points || 0)) / totals.worth) * 100 : pct;
+    case "top":
+      return basis.top > 0 ? (pct * Number(curve.top)) / basis.top : pct;
+    case "sqrt":
+      return 10 * Math.sqrt(Math.max(0, pct));
+    case "normalize":
+      // Everyone scored the same: there is no spread to rescale.
+      if (basis.stdDev === 0) return Number(curve.mean);
+      return Number(curve.mean) + ((pct - basis.mean) / basis.stdDev) * Number(curve.stdDev);
+    default:
+      return pct;
+  }
+};
+
+/**
+ * Returns a function giving one student's { total, worth, pct } with the
+ * curve applied, plus `raw` (calculateTotals as graded). Curved percentages
+ * are kept between 0 and 100.
+ */
+export const makeScorer = (students, curve) => {
+  const active = isCurveActive(curve);
+  const basis = active ? curveBasis(students, curve) : null;
+  return (student) => {
+    const result = effectiveResult(student);
+    const raw = calculateTotals(result || {});
+    if (!active || !result?.questions) return { ...raw, raw };
+    const totals = calculateTotals(dropQuestions(result, curve.dropped));
+    const pct = clampPct(curvePct(totals.pct, totals, curve, basis));
+    return { total: round2((pct / 100) * totals.worth), worth: totals.worth, pct, raw };
+  };
+};
+
+/** One line describing the curve, for exports and reports. */
+export const describeCurve = (curve) => {
+  if (!isCurveActive(curve)) return "";
+  const parts = [];
+  if (curve.type === "flat") parts.push(`+${curve.points} points`);
+  else if (curve.type === "top") parts.push(`top score scaled to ${curve.top}%`);
+  else if (curve.type === "sqrt") parts.push("square-root curve");
+  else if (curve.type === "normalize") parts.push(`normalized to mean ${curve.mean}%, SD ${curve.stdDev}`);
+  if (curve.dropped?.length) parts.push(`dropped ${curve.dropped.join(", ")}`);
+  return parts.join("; ");
+};
+
+export const validateCurve = (curve) => {
+  const errors = [];
+  if (curve.type === "flat" && !Number.isFinite(Number(curve.points)))
+    errors.push("Enter the number of points to add.");
+  if (curve.type === "top" && !(Number(curve.top) > 0 && Number(curve.top) <= 100))
+    errors.push("The target top score must be between 1 and 100%.");
+  if (curve.type === "normalize") {
+    if (!(Number(curve.mean) >= 0 && Number(curve.mean) <= 100))
+      errors.push("The target mean must be between 0 and 100%.");
+    if (!(Number(curve.stdDev) >= 0)) errors.push("The target standard deviation cannot be negative.");
+  }
+  return errors;
+};
@@ -0,0 +1,276 @@
+// Gradebook exports (CSV, XLSX, PDF feedback reports, JSON) and saving them
+// to disk through a native dialog.
+import { toCsv } from "./csv.js";
+import { toXlsx } from "./xlsx.js";
+import { feedbackReportsZip } from "./reports.js";
+import { effectiveResult } from "./overrides.js";
+import { displayName, rosterEntry } from "./roster.js";
+import { describeCurve, isCurveActive, makeScorer } from "./curves.js";
+import { gradeFor } from "./gradingScales.js";
+import { newSessionId } from "./sessions.js";
+
+/**
+ * Everything the exports show for one student, with overrides applied.
+ * `score` comes from makeScorer() so curved totals match the overview.
+ */
+export const studentSummary = (student, { roster, passThreshold, scale, curve, score }) => {
+  const result = effectiveResult(student);
+  const { total, worth, pct, raw } = score(student);
+  const entry = rosterEntry(roster, student.rosterId);
+  return {
+    name: displayName(student, roster),
+    id: entry?.id ?? "",
+    email: entry?.email ?? "",
+    total,
+    worth,
+    pct,
+    rawPct: raw.pct,
+    pass: pct >= passThreshold,
+    grade: gradeFor(scale, pct, passThreshold),
+    curve: describeCurve(curve),
+    dropped: isCurveActive(curve) ? curve.dropped : [],
+    result,
+  };
+};
+
+const questionIds = (students) => {
+  const ids = new Set();
+  students.forEach((s) => s?.result?.questions?.forEach((q) => ids.add(q.id)));
+  return Array.from(ids);
+};
+
+// -------------------- CSV --------------------
+export const gradebookCsv = (students, { roster, passThreshold, scale, curve }) => {
+  const ids = questionIds(students);
+  const score = makeScorer(students, curve);
+  const curved = isCurveActive(curve);
+  const headers = [
+    "Name",
+    "Student ID",
+    "Email",
+    "Total Score",
+    "Grade",
+    ...(curved ? ["Raw Total", "Curve"] : []),
+    ...ids.flatMap((id) => [
+      `${id}_Question`,
+      `${id}_StudentAnswer`,
+      `${id}_CorrectAnswer`,
+      `${id}_Verdict`,
+      `${id}_Closeness`,
+      `${id}_QuestionScore`,
+      `${id}_Feedback`,
+      `${id}_Overridden`,
+    ]),
+    "Feedback",
+    "Graded At",
+    "Needs Review",
+    "Overrides",
+    "Prompt Tokens",
+    "Completion Tokens",
+    "Est. Cost (USD)",
+  ];
+
+  const rows = students.map((s) => {
+    const result = effectiveResult(s);
+    const { total, pct, raw } = score(s);
+    const entry = rosterEntry(roster, s.rosterId);
+    const row = [
+      displayName(s, roster),
+      entry?.id ?? "",
+      entry?.email ?? "",
+      total,
+      result?.questions ? gradeFor(scale, pct, passThreshold) : "",
+      ...(curved ? [raw.total, describeCurve(curve)] : []),
+    ];
+    ids.forEach((id) => {
+      const q = result?.questions?.find((qq) => qq.id === id);
+      row.push(
+        q?.question ?? "",
+        q?.student_answer ?? "",
+        q?.correct_answer ?? "",
+        q?.verdict ?? "",
+        q?.closeness ?? "",
+        q?.questionscore ?? "",
+        q?.feedback ?? "",
+        q?.overridden?.join("|") ?? ""
+      );
+    });
+    row.push(
+      s?.result?.feedback ?? "",
+      s?.gradedAt ?? "",
+      s?.result?.validationErrors ? "yes" : "",
+      s?.audit?.length ? JSON.stringify(s.audit) : "",
+      s?.usage?.promptTokens ?? "",
+      s?.usage?.completionTokens ?? "",
+      s?.usage?.cost != null ? s.usage.cost.toFixed(6) : ""
+    );
+    return row;
+  });
+
+  return toCsv([headers, ...rows]);
+};
+
+// -------------------- XLSX --------------------
+// A summary sheet with one row per student and a questions sheet with one
+// row per student and question, which filters and pivots well.
+export const gradebookXlsx = (students, { roster, passThreshold, scale, curve }) => {
+  const round = (n) => Math.round(n * 100) / 100;
+  const score = makeScorer(students, curve);
+  const summaryRows = [
+    [
+      "Name",
+      "Student ID",
+      "Email",
+      "Score",
+      "Out Of",
+      "Percent",
+      "Raw Percent",
+      "Pass",
+      "Grade",
+      "Needs Review",
+      "Overridden Questions",
+      "Graded At",
+      "Feedback",
+      "Est. Cost (USD)",
+    ],
+  ];
+  const questionRows = [
+    [
+      "Name",
+      "Student ID",
+      "Question ID",
+      "Question",
+      "Student Answer",
+      "Correct Answer",
+      "Verdict",
+      "Closeness (%)",
+      "Score",
+      "Max Score",
+      "Feedback",
+      "Overridden",
+      "Auto-Graded",
+    ],
+  ];
+
+  for (const s of students) {
+    const summary = studentSummary(s, { roster, passThreshold, scale, curve, score });
+    const graded = !!summary.result?.questions;
+    summaryRows.push([
+      summary.name,
+      summary.id,
+      summary.email,
+      graded ? summary.total : "",
+      graded ? summary.worth : "",
+      graded ? round(summary.pct) : "",
+      graded ? round(summary.rawPct) : "",
+      graded ? (summary.pass ? "Pass" : "Fail") : "",
+      graded ? summary.grade : "",
+      s.result?.validationErrors ? "yes" : "",
+      summary.result?.questions?.filter((q) => q.overridden).length || "",
+      s.gradedAt ?? "",
+      s.result?.feedback ?? "",
+      s.usage?.cost != null ? Number(s.usage.cost.toFixed(6)) : "",
+    ]);
+    summary.result?.questions?.forEach((q) =>
+      questionRows.push([
+        summary.name,
+        summary.id,
+        q.id,
+        q.question ?? "",
+        q.student_answer ?? "",
+        q.correct_answer ?? "",
+        q.verdict ?? "",
+        q.closeness ?? "",
+        q.questionscore ?? "",
+        q.maxscore ?? "",
+        q.feedback ?? "",
+        q.overridden?.join(", ") ?? "",
+        q.autoGraded ? "yes" : "",
+      ])
+    );
+  }
+
+  const sheets = [
+    { name: "Summary", rows: summaryRows },
+    { name: "Questions", rows: questionRows },
+  ];
+  // Raw and curved percentages sit side by side in the summary; this records how.
+  if (isCurveActive(curve)) sheets.push({ name: "Curve", rows: [["Curve"], [describeCurve(curve)]] });
+  return toXlsx(sheets);
+};
+
+// -------------------- PDF reports --------------------
+export const feedbackReports = (students, { roster, passThreshold, scale, curve, title }) => {
+  const score = makeScorer(students, curve);
+  return feedbackReportsZip(
+    students
+      .filter((s) => s.result?.questions)
+      .map((s) => studentSummary(s, { roster, passThreshold, scale, curve, score })),
+    { title }
+  );
+};
+
+// -------------------- JSON --------------------
+export const JSON_FORMAT = "fastgrade-session";
+export const JSON_VERSION = 1;
+
+// The whole session, so nothing is lost. Original files are not included.
+export const sessionJson = (session) =>
+  JSON.stringify(
+    { format: JSON_FORMAT, version: JSON_VERSION, exportedAt: new Date().toISOString(), session },
+    null,
+    2
+  );
+
+/**
+ * Parse a JSON export back into a session. It gets a fresh id so importing
+ * never overwrites the session it was exported from.
+ */
+export const parseSessionJson = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error("The file is not valid JSON.");
+  }
+  if (data?.format !== JSON_FORMAT || !data.session)
+    throw new Error("This is not a FastGrade session export.");
+  if (data.version > JSON_VERSION)
+    throw new Error("This export comes from a newer version of the app.");
+  if (!Array.isArray(data.session.students)) throw new Error("The export has no students.");
+  const now = new Date().toISOString();
+  return {
+    ...data.session,
+    id: newSessionId(),
+    name: `${data.session.name || "Imported session"} (imported)`,
+    createdAt: now,
+    updatedAt: now,
+  };
+};
+
+// -------------------- Saving --------------------
+/**
+ * Save a Blob or string through the native save dialog in Electron, or as a
+ * download in the browser. Resolves to false if the user cancels.
+ */
+export const saveFile = async (data, fileName, filter) => {
+  const blob = data instanceof Blob ? data : new Blob([data], { type: "text/plain;charset=utf-8" });
+  const bridge = window.fastgrade?.files;
+  if (bridge?.save) {
+    const saved = await bridge.save({
+      defaultName: fileName,
+      filters: filter ? [filter] : [],
+      data: await blob.arrayBuffer(),
+    });
+    return !!saved;
+  }
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.setAttribute("download", fileName);
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+  return true;
+};
@@ -0,0 +1,215 @@
+// Grading request/response handling shared by every provider.
+import { requestCompletion } from "./providers.js";
+import {
+  QUESTION_FIELDS,
+  VERDICTS,
+  validateResult,
+  formatValidationErrors,
+} from "./resultSchema.js";
+import { isRetryable, withBackoff } from "./gradingQueue.js";
+import { addUsage } from "./pricing.js";
+import {
+  enforceKey,
+  formatAnswerKeyForPrompt,
+  hasStructuredKey,
+  keyMaxScores,
+} from "./answerKey.js";
+import { autoGrade, mergeAutoGraded } from "./autoGrade.js";
+import { logger } from "./logger.js";
+
+export const OUTPUT_CONTRACT = `Return JSON with structure:
+{
+  "student_name": string,
+  "total_score": number,
+  "testworth": number,
+  "questions": [
+    {"id": "q1", "question": string, "student_answer": string, "correct_answer": string, "closeness": number, "verdict": "Correct|Partial|Incorrect", "questionscore": number, "feedback": string}
+  ],
+  "feedback": string
+}
+Only return valid JSON.`;
+
+/**
+ * Problems that would stop a custom output contract from producing results
+ * validateResult accepts: it must ask for JSON, the questions array, every
+ * required question field and the exact verdict values.
+ */
+export const validateContract = (contract) => {
+  const text = String(contract || "");
+  const errors = [];
+  if (!/json/i.test(text)) errors.push("It must ask for JSON.");
+  const fields = [
+    "questions",
+    ...Object.keys(QUESTION_FIELDS).filter((f) => QUESTION_FIELDS[f].required),
+  ];
+  const missing = fields.filter((f) => !new RegExp(`\\b${f}\\b`).test(text));
+  if (missing.length) errors.push(`It must name the fields ${missing.join(", ")}.`);
+  const verdicts = VERDICTS.filter((v) => !text.includes(v));
+  if (verdicts.length) errors.push(`It must list the verdicts ${VERDICTS.join(", ")}.`);
+  return errors;
+};
+
+// A missing or incompatible contract falls back to the built-in one.
+export const usableContract = (contract) =>
+  contract && validateContract(contract).length === 0 ? contract : OUTPUT_CONTRACT;
+
+// With page images, `content` may be null (images only) or the text extracted
+// from them, which can miss diagrams and handwriting.
+const submissionText = (content, images) => {
+  if (!images?.length) return content;
+  if (content == null) return "(The submission is in the attached page images, in order.)";
+  return `(The attached page images are the original pages; this text was extracted from them and may miss diagrams or handwriting.)\n${content}`;
+};
+
+export const buildGradingMessages = ({ prompt, answerKey, content, contract, images }) => ({
+  system: prompt,
+  user: `Key:\n${answerKey}\n\nStudent submission:\n${submissionText(content, images)}\n\n${usableContract(contract)}`,
+  ...(images?.length ? { images } : {}),
+});
+
+// Models wrap JSON in code fences or (Anthropic, local models) a sentence of
+// prose; keep only the outermost object.
+export const extractJson = (text) => {
+  let cleaned = String(text || "").trim();
+  if (cleaned.startsWith("```")) {
+    cleaned = cleaned.replace(/^```[a-zA-Z]*\n?/, "");
+    cleaned = cleaned.replace(/```$/, "");
+  }
+  const start = cleaned.indexOf("{");
+  const end = cleaned.lastIndexOf("}");
+  if (start > 0 || (end !== -1 && end < cleaned.length - 1)) {
+    cleaned = cleaned.slice(start, end + 1);
+  }
+  return cleaned.trim();
+};
+
+// Coerce the fields calculateTotals and the Scores Overview read, whatever
+// types the model chose to send back.
+export const normalizeResult = (parsed) => {
+  const num = (v) => (v === "" || v == null || isNaN(Number(v)) ? v : Number(v));
+  return {
+    ...parsed,
+    total_score: num(parsed.total_score),
+    testworth: num(parsed.testworth),
+    questions: (Array.isArray(parsed.questions) ? parsed.questions : []).map(
+      (q, idx) => ({
+        ...q,
+        id: q.id != null ? String(q.id) : `q${idx + 1}`,
+        closeness: num(q.closeness),
+        questionscore: num(q.questionscore),
+      })
+    ),
+  };
+};
+
+export const parseGradingResponse = (text) => {
+  try {
+    return normalizeResult(JSON.parse(extractJson(text)));
+  } catch (err) {
+    logger.warn("⚠️ Parse error:", err, "Raw:", text);
+    return { error: "Could not parse model response: " + err.message, raw: text };
+  }
+};
+
+// The page images go along again: a repair may need to re-read the answers.
+const buildRepairMessages = ({ prompt, original, previous, errors }) => ({
+  ...original,
+  system: prompt,
+  user: `${original.user}\n\nYour previous response was:\n${previous}\n\nIt failed validation:\n${formatValidationErrors(errors)}\n\nFix these problems and return the corrected JSON only.`,
+});
+
+/**
+ * Grade one submission. Output that fails validateResult is sent back to the
+ * model up to `repairAttempts` times with the errors listed; if it is still
+ * invalid (or the request itself failed) the whole grading is retried from
+ * scratch up to `retryAttempts` times. When every attempt fails validation
+ * the last result is returned with its `validationErrors` for teacher review.
+ * Rate limits and transient failures of each request are retried with
+ * backoff (`rateLimitRetries`) before they count as a failed attempt.
+ * Tokens spent on every attempt are summed into `usage`, and attached to
+ * the error when grading fails.
+ * With a structured `key`, its questions and points replace the free-text
+ * `answerKey` and are enforced on the result. `contract` replaces the
+ * built-in output contract when it passes validateContract. `images` are
+ * page images sent with (or, when `content` is null, instead of) the text.
+ * Closed questions of a structured key are graded from `answersText`
+ * (default: `content`) without the model and merged into the result; when
+ * none is left for the model, no request is made and `attempts` is 0.
+ */
+export const gradeSubmission = async ({
+  settings,
+  apiKey,
+  prompt,
+  answerKey,
+  key,
+  content,
+  answersText = content,
+  images,
+  contract,
+  signal,
+  onRetry,
+}) => {
+  const repairAttempts = Number(settings.repairAttempts) || 0;
+  const retryAttempts = Number(settings.retryAttempts) || 0;
+  const auto = hasStructuredKey(key) ? autoGrade(answersText, key) : { graded: [], remaining: key };
+  // Enforce the model's part against its own questions, then merge.
+  const finish = (result) =>
+    enforceKey(mergeAutoGraded(enforceKey(result, auto.remaining), auto.graded, key, answersText), key);
+  let usage = { promptTokens: 0, completionTokens: 0 };
+  if (auto.graded.length && !hasStructuredKey(auto.remaining))
+    return { result: finish(null), raw: null, usage, attempts: 0 };
+
+  const structured = hasStructuredKey(auto.remaining);
+  const maxScores = structured ? keyMaxScores(auto.remaining) : {};
+  const original = buildGradingMessages({
+    prompt,
+    answerKey: structured ? formatAnswerKeyForPrompt(auto.remaining) : answerKey,
+    content,
+    images,
+    contract,
+  });
+  let last = null;
+  let lastError = null;
+
+  for (let run = 0; run <= retryAttempts; run++) {
+    let messages = original;
+    try {
+      for (let repair = 0; repair <= repairAttempts; repair++) {
+        const reply = await withBackoff(
+          () => requestCompletion(settings, apiKey, messages, { signal }),
+          { retries: Number(settings.rateLimitRetries) || 0, signal, onRetry }
+        );
+        usage = addUsage(usage, reply.usage);
+        logger.debug("📥 Raw model response:", reply.text);
+
+        const result = parseGradingResponse(reply.text);
+        const errors = validateResult(result, { maxScores });
+        last = { result, raw: reply.text, errors };
+        if (errors.length === 0)
+          return { result: finish(result), raw: reply.text, usage, attempts: run + 1 };
+
+        logger.warn(`⚠️ Invalid result (run ${run + 1}, repair ${repair}):`, errors);
+        messages = buildRepairMessages({ prompt, original, previous: reply.text, errors });
+      }
+    } catch (err) {
+      // Cancelled, or a failure another attempt will not fix (bad key, bad request).
+      if (err.name === "AbortError" || (err.status && !isRetryable(err))) {
+        err.usage = usage;
+        throw err;
+      }
+      logger.error(`❌ Grading attempt ${run + 1} failed:`, err);
+      lastError = err;
+    }
+  }
+
+  if (!last) {
+    lastError.usage = usage;
+    throw lastError;
+  }
+  return {
+    result: { ...finish(last.result), validationErrors: last.errors },
+    raw: last.raw,
+    usage,
+    attempts: retryAttempts + 1,
+  };
+};
@@ -0,0 +1,157 @@
+// Concurrent batch grading: a small job queue with pause/resume/cancel, and an
+// exponential backoff helper that honors the server's Retry-After.
+
+const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    const aborted = () => new DOMException("Aborted", "AbortError");
+    // A signal aborted before the wait starts never fires "abort" again.
+    if (signal?.aborted) return reject(aborted());
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(aborted());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+
+// Rate limits, server errors and dropped connections are worth another try;
+// bad keys, bad requests and cancellations are not.
+export const isRetryable = (err) => {
+  if (err?.name === "AbortError") return false;
+  if (err?.status === 429 || err?.status >= 500) return true;
+  return !err?.status && err instanceof TypeError; // fetch network failure
+};
+
+export const backoffDelay = (err, attempt, { baseDelay = 1000, maxDelay = 60000 } = {}) => {
+  if (err?.retryAfter != null) return Math.min(err.retryAfter, maxDelay);
+  const exp = baseDelay * 2 ** attempt;
+  return Math.min(exp + Math.random() * baseDelay, maxDelay);
+};
+
+/**
+ * Run `fn` and retry retryable failures up to `retries` times, waiting
+ * Retry-After when the server sent one and exponentially longer otherwise.
+ */
+export const withBackoff = async (fn, { retries = 5, signal, onRetry, ...delays } = {}) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (err) {
+      if (attempt >= retries || !isRetryable(err)) throw err;
+      const wait = backoffDelay(err, attempt, delays);
+      onRetry?.(err, attempt + 1, wait);
+      await sleep(wait, signal);
+    }
+  }
+};
+
+/**
+ * Create a queue that runs `worker(job, signal)` for up to `concurrency` jobs
+ * at a time. `onChange(progress)` fires whenever a job starts or settles.
+ * A worker that resolves `false` (or throws) counts as failed.
+ */
+export const createGradingQueue = ({ concurrency = 3, worker, onChange }) => {
+  const pending = [];
+  const active = new Map(); // job → AbortController
+  let paused = false;
+  let cancelled = false;
+  let total = 0;
+  let completed = 0;
+  let failed = 0;
+  let startedAt = null;
+  let pausedFor = 0;
+  let pausedAt = null;
+  let idleWaiters = [];
+
+  const progress = () => {
+    const now = Date.now();
+    const running = startedAt ? now - startedAt - pausedFor - (pausedAt ? now - pausedAt : 0) : 0;
+    const remaining = total - completed;
+    return {
+      total,
+      completed,
+      failed,
+      active: active.size,
+      pending: pending.length,
+      paused,
+      cancelled,
+      running: active.size > 0 || (pending.length > 0 && !cancelled),
+      // throughput-based so the estimate already accounts for concurrency
+      etaMs: completed > 0 && remaining > 0 ? (running / completed) * remaining : null,
+    };
+  };
+
+  const notify = () => onChange?.(progress());
+
+  const settleIdle = () => {
+    if (active.size === 0 && (pending.length === 0 || cancelled)) {
+      idleWaiters.forEach((resolve) => resolve(progress()));
+      idleWaiters = [];
+    }
+  };
+
+  const pump = () => {
+    while (!paused && !cancelled && active.size < concurrency && pending.length) {
+      const job = pending.shift();
+      const controller = new AbortController();
+      active.set(job, controller);
+      Promise.resolve()
+        .then(() => worker(job, controller.signal))
+        .then(
+          (ok) => ok === false && failed++,
+          (err) => {
+            if (err?.name !== "AbortError") failed++;
+          }
+        )
+        .finally(() => {
+          active.delete(job);
+          if (!controller.signal.aborted) completed++;
+          notify();
+          pump();
+          settleIdle();
+        });
+    }
+    notify();
+  };
+
+  return {
+    push(jobs) {
+      if (cancelled) return;
+      if (!startedAt) startedAt = Date.now();
+      pending.push(...jobs);
+      total += jobs.length;
+      pump();
+    },
+    pause() {
+      if (paused) return;
+      paused = true;
+      pausedAt = Date.now();
+      notify();
+    },
+    resume() {
+      if (!paused) return;
+      paused = false;
+      pausedFor += Date.now() - pausedAt;
+      pausedAt = null;
+      pump();
+    },
+    // Drops queued jobs and aborts the ones in flight; returns the dropped jobs.
+    cancel() {
+      cancelled = true;
+      const dropped = pending.splice(0);
+      active.forEach((controller) => controller.abort());
+      notify();
+      settleIdle();
+      return dropped;
+    },
+    onIdle: () =>
+      new Promise((resolve) => {
+        idleWaiters.push(resolve);
+        settleIdle();
+      }),
+    progress,
+  };
+};
@@ -0,0 +1,137 @@
+// Grading scales: ordered bands of { label, min } where `min` is the lowest
+// percentage that earns the label, or "pass" to follow the session's pass
+// threshold. Built-in scales ship with the app; custom ones are saved in
+// localStorage and reusable across sessions. Each session keeps a copy of
+// the scale it uses, so deleting a saved scale never changes past grades.
+
+const LIBRARY_KEY = "grading_scales";
+
+export const PASS = "pass";
+
+export const BUILTIN_SCALES = [
+  {
+    id: "letter",
+    name: "A–F",
+    bands: [
+      { label: "A", min: 90 },
+      { label: "B", min: 80 },
+      { label: "C", min: 70 },
+      { label: "D", min: 60 },
+      { label: "F", min: 0 },
+    ],
+  },
+  {
+    id: "letter-plus-minus",
+    name: "A–F with +/-",
+    bands: [
+      { label: "A+", min: 97 },
+      { label: "A", min: 93 },
+      { label: "A-", min: 90 },
+      { label: "B+", min: 87 },
+      { label: "B", min: 83 },
+      { label: "B-", min: 80 },
+      { label: "C+", min: 77 },
+      { label: "C", min: 73 },
+      { label: "C-", min: 70 },
+      { label: "D+", min: 67 },
+      { label: "D", min: 63 },
+      { label: "D-", min: 60 },
+      { label: "F", min: 0 },
+    ],
+  },
+  {
+    id: "ib",
+    name: "IB 1–7",
+    bands: [
+      { label: "7", min: 80 },
+      { label: "6", min: 70 },
+      { label: "5", min: 60 },
+      { label: "4", min: 50 },
+      { label: "3", min: 40 },
+      { label: "2", min: 25 },
+      { label: "1", min: 0 },
+    ],
+  },
+  {
+    id: "percentage-bands",
+    name: "Percentage bands",
+    bands: [
+      { label: "90–100%", min: 90 },
+      { label: "80–89%", min: 80 },
+      { label: "70–79%", min: 70 },
+      { label: "60–69%", min: 60 },
+      { label: "50–59%", min: 50 },
+      { label: "Below 50%", min: 0 },
+    ],
+  },
+  {
+    id: "pass-merit-distinction",
+    name: "Pass / Merit / Distinction",
+    bands: [
+      { label: "Distinction", min: 85 },
+      { label: "Merit", min: 70 },
+      { label: "Pass", min: PASS },
+      { label: "Fail", min: 0 },
+    ],
+  },
+];
+
+export const DEFAULT_SCALE = BUILTIN_SCALES[0];
+
+export const isBuiltinScale = (id) => BUILTIN_SCALES.some((s) => s.id === id);
+
+export const loadScaleLibrary = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(LIBRARY_KEY));
+    return Array.isArray(saved) ? saved : [];
+  } catch {
+    return [];
+  }
+};
+
+export const saveScaleLibrary = (scales) =>
+  localStorage.setItem(LIBRARY_KEY, JSON.stringify(scales));
+
+export const allScales = () => [...BUILTIN_SCALES, ...loadScaleLibrary()];
+
+// The pass band keeps its place in the scale: bands listed above it need at
+// least the threshold and bands below it at most, so a threshold of 75 cannot
+// rank Pass above "Merit: 70" (Merit then starts at 75 too, and wins the tie).
+const bandMins = (bands, passThreshold) => {
+  const passAt = bands.findIndex((b) => b.min === PASS);
+  return bands.map((b, i) => {
+    if (i === passAt) return passThreshold;
+    const min = Number(b.min) || 0;
+    if (passAt < 0) return min;
+    return i < passAt ? Math.max(min, passThreshold) : Math.min(min, passThreshold);
+  });
+};
+
+/** Label for a percentage: the first band (highest cutoff first) it reaches. */
+export const gradeFor = (scale, pct, passThreshold) => {
+  const listed = scale?.bands?.length ? scale.bands : DEFAULT_SCALE.bands;
+  const mins = bandMins(listed, Number(passThreshold) || 0);
+  // Highest cutoff first; equal cutoffs keep the scale's order.
+  const ranked = listed
+    .map((band, i) => ({ band, min: mins[i], i }))
+    .sort((a, b) => b.min - a.min || a.i - b.i);
+  return (ranked.find((r) => pct >= r.min) || ranked[ranked.length - 1]).band.label;
+};
+
+/** Problems that would make a scale ambiguous or leave percentages ungraded. */
+export const validateScale = (scale) => {
+  const errors = [];
+  if (!String(scale.name || "").trim()) errors.push("Give the scale a name.");
+  if (!scale.bands.length) errors.push("Add at least one band.");
+  scale.bands.forEach((b, i) => {
+    if (!String(b.label || "").trim()) errors.push(`Band ${i + 1} needs a label.`);
+    if (b.min !== PASS && !(Number(b.min) >= 0 && Number(b.min) <= 100))
+      errors.push(`Band ${i + 1}: the cutoff must be between 0 and 100.`);
+  });
+  const numeric = scale.bands.filter((b) => b.min !== PASS).map((b) => Number(b.min));
+  if (new Set(numeric).size !== numeric.length) errors.push("Two bands have the same cutoff.");
+  if (scale.bands.filter((b) => b.min === PASS).length > 1)
+    errors.push("Only one band can follow the pass threshold.");
+  if (!scale.bands.some((b) => Number(b.min) === 0)) errors.push("The lowest band must start at 0%.");
+  return errors;
+};
@@ -0,0 +1,106 @@
+// Turning whatever the teacher drops or picks (files, folders, ZIPs of ZIPs)
+// into a flat list of submission files, minus OS junk and duplicates.
+import JSZip from "jszip";
+
+export const SUPPORTED_SUBMISSION = /\.(txt|docx|pdf|jpe?g|png|tiff?|zip)$/i;
+
+const JUNK_NAMES = new Set([".ds_store", "thumbs.db", "desktop.ini"]);
+const MAX_ZIP_DEPTH = 5;
+
+export const isJunkPath = (path) =>
+  String(path)
+    .split(/[\\/]/)
+    .some(
+      (part) =>
+        part === "__MACOSX" ||
+        JUNK_NAMES.has(part.toLowerCase()) ||
+        part.startsWith("._") ||
+        part.startsWith("~$") // Office lock files
+    );
+
+const isZip = (file) => /\.zip$/i.test(file.name);
+
+/**
+ * Expand ZIPs (recursively, including ZIPs inside ZIPs and nested folders)
+ * and drop junk. Entries keep their path inside the archive as their name.
+ * A ZIP that cannot be opened is skipped and reported to `onError(name, err)`.
+ */
+export const expandUploads = async (files, { onError } = {}, depth = 0) => {
+  const out = [];
+  for (const file of files) {
+    if (isJunkPath(file.name)) continue;
+    if (!isZip(file)) {
+      out.push(file);
+      continue;
+    }
+    if (depth >= MAX_ZIP_DEPTH) {
+      onError?.(file.name, new Error("ZIPs nested too deep"));
+      continue;
+    }
+    const inner = [];
+    try {
+      const zip = await JSZip.loadAsync(file);
+      for (const entry of Object.values(zip.files)) {
+        if (entry.dir || isJunkPath(entry.name)) continue;
+        const blob = await entry.async("blob");
+        inner.push(new File([blob], entry.name));
+      }
+    } catch (err) {
+      onError?.(file.name, err);
+      continue;
+    }
+    out.push(...(await expandUploads(inner, { onError }, depth + 1)));
+  }
+  return out;
+};
+
+// -------------------- Drag and drop --------------------
+const readEntry = (entry, prefix = "") =>
+  new Promise((resolve, reject) => {
+    if (entry.isFile) {
+      entry.file(
+        (file) => resolve([new File([file], `${prefix}${file.name}`, { type: file.type })]),
+        reject
+      );
+      return;
+    }
+    const reader = entry.createReader();
+    const children = [];
+    // readEntries returns at most ~100 entries per call; keep reading until empty
+    const readBatch = () =>
+      reader.readEntries(async (batch) => {
+        if (batch.length === 0) {
+          const nested = await Promise.all(
+            children.map((child) => readEntry(child, `${prefix}${entry.name}/`))
+          );
+          resolve(nested.flat());
+        } else {
+          children.push(...batch);
+          readBatch();
+        }
+      }, reject);
+    readBatch();
+  });
+
+// Dropped folders are only reachable through the entries API.
+export const filesFromDataTransfer = async (dataTransfer) => {
+  const entries = Array.from(dataTransfer.items || [])
+    .filter((item) => item.kind === "file")
+    .map((item) => item.webkitGetAsEntry?.())
+    .filter(Boolean);
+  if (entries.length === 0) return Array.from(dataTransfer.files || []);
+  const files = await Promise.all(entries.map((entry) => readEntry(entry)));
+  return files.flat();
+};
+
+// -------------------- Duplicates --------------------
+export const hashFile = async (file) => {
+  const digest = await crypto.subtle.digest("SHA-256", await file.arrayBuffer());
+  return Array.from(new Uint8Array(digest))
+    .map((b) => b.toString(16).padStart(2, "0"))
+    .join("");
+};
+
+// Folder import through the Electron bridge returns { path, data } records.
+export const filesFromBridge = (records) =>
+  records.map((r) => new File([r.data], r.path));
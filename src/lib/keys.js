@@ -0,0 +1,66 @@
+// API keys. In Electron they are encrypted by the main process with
+// safeStorage and never handed back: the renderer can only store a key and
+// ask which providers have one, and requests are made in the main process,
+// only ever to the endpoint the key was saved for.
+// In a plain browser (npm run dev) keys stay in localStorage as before.
+import { PROVIDERS, apiKeyStorageName, keyEndpoint } from "./providers.js";
+
+const bridge = () => window.fastgrade?.keys;
+
+export const keysInMainProcess = () => !!bridge();
+
+// Browser keys are not tied to an endpoint.
+const ANY_ENDPOINT = "*";
+
+/**
+ * { [providerId]: endpoint } — where each stored key may be sent, or null
+ * when none is stored. See savedKeyState.
+ */
+export const keyStatus = async () => {
+  if (bridge()) return bridge().status();
+  return Object.fromEntries(
+    Object.keys(PROVIDERS).map((id) => [
+      id,
+      localStorage.getItem(apiKeyStorageName(id)) ? ANY_ENDPOINT : null,
+    ])
+  );
+};
+
+/**
+ * "saved" when a key for `settings` is stored and may be sent to its current
+ * endpoint, "elsewhere" when the stored key belongs to another endpoint (and
+ * would be refused), else "missing".
+ */
+export const savedKeyState = (status, settings) => {
+  const endpoint = status?.[settings.provider];
+  if (endpoint == null) return "missing";
+  return endpoint === ANY_ENDPOINT || endpoint === keyEndpoint(settings) ? "saved" : "elsewhere";
+};
+
+/**
+ * Store (or with an empty key, forget) the key for `settings.provider`, tied
+ * to its current endpoint. Resolves to false when the OS offers no encryption
+ * and the key only lasts until the app quits.
+ */
+export const storeKey = async (settings, key) => {
+  if (bridge()) return bridge().set(settings, key);
+  if (key) localStorage.setItem(apiKeyStorageName(settings.provider), key);
+  else localStorage.removeItem(apiKeyStorageName(settings.provider));
+  return true;
+};
+
+/** The key itself, for direct requests from the browser; always "" in Electron. */
+export const browserKey = (providerId) =>
+  bridge() ? "" : localStorage.getItem(apiKeyStorageName(providerId)) || "";
+
+// Keys saved in localStorage by earlier versions move into the encrypted store,
+// tied to the endpoints in the saved provider settings.
+export const migrateLegacyKeys = async (settings) => {
+  if (!bridge()) return;
+  for (const id of Object.keys(PROVIDERS)) {
+    const legacy = localStorage.getItem(apiKeyStorageName(id));
+    if (!legacy) continue;
+    // Without OS encryption the key would not survive a restart; leave it.
+    if (await bridge().set({ ...settings, provider: id }, legacy)) localStorage.removeItem(apiKeyStorageName(id));
+  }
+};
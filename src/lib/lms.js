@@ -0,0 +1,118 @@
+// Gradebook import files for learning management systems. Each profile maps
+// our roster identifier (student ID or email) onto the column the LMS matches
+// students by, and reports one score scaled to the assignment's points.
+import { toCsv } from "./csv.js";
+import { effectiveResult } from "./overrides.js";
+import { displayName, rosterEntry } from "./roster.js";
+import { makeScorer } from "./curves.js";
+
+export const ID_SOURCES = {
+  id: "Roster student ID",
+  email: "Roster email",
+};
+
+const splitName = (full) => {
+  const parts = String(full || "").trim().split(/\s+/);
+  if (parts.length < 2) return { first: parts[0] || "", last: "" };
+  return { first: parts.slice(0, -1).join(" "), last: parts[parts.length - 1] };
+};
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+export const LMS_PROFILES = {
+  canvas: {
+    label: "Canvas gradebook (CSV)",
+    // Canvas matches on any one of these; SIS User ID is the usual student number.
+    idColumns: ["SIS User ID", "SIS Login ID", "ID"],
+    defaultIdColumn: "SIS User ID",
+    defaultIdSource: "id",
+    build: (rows, { assignmentName, pointsPossible, idColumn }) => {
+      const header = ["Student", "ID", "SIS User ID", "SIS Login ID", "Section", assignmentName];
+      const col = header.indexOf(idColumn);
+      return toCsv([
+        header,
+        ["Points Possible", "", "", "", "", pointsPossible],
+        ...rows.map((r) => {
+          const row = [r.name, "", "", "", "", r.score];
+          row[col] = r.identifier;
+          return row;
+        }),
+      ]);
+    },
+  },
+  moodle: {
+    label: "Moodle grade import (CSV)",
+    idColumns: ["ID number", "Email address", "Username"],
+    defaultIdColumn: "Email address",
+    defaultIdSource: "email",
+    // Moodle asks which column identifies the user and which holds the grade.
+    build: (rows, { assignmentName, idColumn }) =>
+      toCsv([
+        [idColumn, "Full name", assignmentName],
+        ...rows.map((r) => [r.identifier, r.name, r.score]),
+      ]),
+  },
+  google: {
+    label: "Google Classroom (sheet CSV)",
+    idColumns: ["Email Address"],
+    defaultIdColumn: "Email Address",
+    defaultIdSource: "email",
+    // Same layout as Classroom's own grade export, so it can be pasted back.
+    build: (rows, { assignmentName, pointsPossible }) =>
+      toCsv([
+        ["Last Name", "First Name", "Email Address", assignmentName],
+        ["", "", "Points", pointsPossible],
+        ...rows.map((r) => {
+          const { first, last } = splitName(r.name);
+          return [last, first, r.identifier, r.score];
+        }),
+      ]),
+  },
+};
+
+export const defaultLmsConfig = (profile = "canvas") => ({
+  profile,
+  assignmentName: "",
+  pointsPossible: "",
+  idSource: LMS_PROFILES[profile].defaultIdSource,
+  idColumn: LMS_PROFILES[profile].defaultIdColumn,
+});
+
+/**
+ * One row per submission with the scaled score and its LMS identifier.
+ * `problems` lists why a row cannot be imported; rows with problems are left
+ * out of the file.
+ */
+export const lmsRows = (students, { roster, curve, idSource, pointsPossible }) => {
+  const score = makeScorer(students, curve);
+  return students.map((s) => {
+    const result = effectiveResult(s);
+    const { pct } = score(s);
+    const entry = rosterEntry(roster, s.rosterId);
+    const identifier = entry?.[idSource] || "";
+    const problems = [];
+    if (!result?.questions) problems.push("not graded");
+    if (!entry) problems.push("not matched to the roster");
+    else if (!identifier) problems.push(`roster entry has no ${idSource === "email" ? "email" : "student ID"}`);
+    return {
+      name: displayName(s, roster),
+      identifier,
+      score: result?.questions ? round2((pct / 100) * Number(pointsPossible)) : "",
+      problems,
+    };
+  });
+};
+
+export const validateLmsConfig = ({ assignmentName, pointsPossible }) => {
+  const errors = [];
+  if (!String(assignmentName || "").trim()) errors.push("Enter the assignment name as it appears in the LMS.");
+  const points = Number(pointsPossible);
+  if (!(points > 0)) errors.push("Points possible must be a positive number.");
+  return errors;
+};
+
+export const buildLmsCsv = (rows, config) =>
+  LMS_PROFILES[config.profile].build(
+    rows.filter((r) => r.problems.length === 0),
+    { ...config, assignmentName: config.assignmentName.trim(), pointsPossible: Number(config.pointsPossible) }
+  );
@@ -0,0 +1,21 @@
+// Where the shared libraries report diagnostics: raw model replies (debug),
+// recoverable problems (warn) and failures (error). The app logs to the
+// console; the command-line grader passes its own logger (see setLogger).
+export const consoleLogger = {
+  debug: (...args) => console.log(...args),
+  warn: (...args) => console.warn(...args),
+  error: (...args) => console.error(...args),
+};
+
+let current = consoleLogger;
+
+/** Replace the logger; it needs debug, warn and error methods. */
+export const setLogger = (next) => {
+  current = next;
+};
+
+export const logger = {
+  debug: (...args) => current.debug(...args),
+  warn: (...args) => current.warn(...args),
+  error: (...args) => current.error(...args),
+};
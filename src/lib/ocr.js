@@ -0,0 +1,213 @@
+// Offline OCR. Tesseract loads its worker, WASM core and language data from
+// public/ocr (copied there by scripts/copy-ocr-assets.js), never from a CDN.
+import { createWorker, OEM } from "tesseract.js";
+
+// Keep in sync with LANGUAGES in scripts/copy-ocr-assets.js
+export const OCR_LANGUAGES = {
+  eng: "English",
+  spa: "Spanish",
+  fra: "French",
+};
+
+export const ROTATIONS = [0, 90, 180, 270];
+
+export const DEFAULT_OCR_SETTINGS = {
+  languages: ["eng"],
+  binarize: true,
+  deskew: true,
+  rotate: 0, // degrees clockwise, for scans fed in sideways or upside down
+};
+
+export const loadOcrSettings = () => {
+  try {
+    return { ...DEFAULT_OCR_SETTINGS, ...JSON.parse(localStorage.getItem("ocr_settings")) };
+  } catch {
+    return { ...DEFAULT_OCR_SETTINGS };
+  }
+};
+
+export const saveOcrSettings = (settings) =>
+  localStorage.setItem("ocr_settings", JSON.stringify(settings));
+
+const inNode = typeof document === "undefined";
+
+// Relative to index.html so it resolves both on the dev server and from file:// in Electron.
+const assetUrl = (name) => new URL(`ocr/${name}`, document.baseURI).href;
+
+// In Node (the command-line grader) Tesseract uses its own worker and core
+// and reads language data from this folder, usually public/ocr.
+let nodeLangPath = null;
+export const setOcrLanguageDir = (dir) => {
+  nodeLangPath = dir;
+};
+
+// -------------------- Worker --------------------
+// One worker is reused across files; it is recreated when the languages change.
+let cached = null; // { langs, worker: Promise<Worker> }
+
+const getWorker = (languages) => {
+  const langs = (languages?.length ? languages : DEFAULT_OCR_SETTINGS.languages).join("+");
+  if (cached?.langs === langs) return cached.worker;
+  if (cached) cached.worker.then((w) => w.terminate()).catch(() => {});
+  const worker = createWorker(
+    langs,
+    OEM.LSTM_ONLY,
+    inNode
+      ? { langPath: nodeLangPath, cacheMethod: "none" }
+      : {
+          workerPath: assetUrl("worker.min.js"),
+          corePath: assetUrl(""),
+          langPath: assetUrl("").replace(/\/$/, ""),
+          workerBlobURL: false,
+        }
+  );
+  cached = { langs, worker };
+  worker.catch(() => {
+    if (cached?.worker === worker) cached = null;
+  });
+  return worker;
+};
+
+// -------------------- Preprocessing --------------------
+const luminance = (data, i) => 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+
+// Otsu's method: the gray level that best separates ink from paper.
+export const otsuThreshold = (gray) => {
+  const hist = new Array(256).fill(0);
+  for (const g of gray) hist[g]++;
+  const total = gray.length;
+  let sum = 0;
+  for (let i = 0; i < 256; i++) sum += i * hist[i];
+  let sumB = 0;
+  let weightB = 0;
+  let best = 0;
+  let threshold = 127;
+  for (let t = 0; t < 256; t++) {
+    weightB += hist[t];
+    if (weightB === 0) continue;
+    const weightF = total - weightB;
+    if (weightF === 0) break;
+    sumB += t * hist[t];
+    const meanB = sumB / weightB;
+    const meanF = (sum - sumB) / weightF;
+    const between = weightB * weightF * (meanB - meanF) ** 2;
+    if (between > best) {
+      best = between;
+      threshold = t;
+    }
+  }
+  return threshold;
+};
+
+/** Convert RGBA pixels to pure black and white in place. */
+export const binarize = (imageData) => {
+  const { data } = imageData;
+  const gray = new Uint8Array(data.length / 4);
+  for (let p = 0; p < gray.length; p++) gray[p] = Math.round(luminance(data, p * 4));
+  const threshold = otsuThreshold(gray);
+  for (let p = 0; p < gray.length; p++) {
+    const v = gray[p] > threshold ? 255 : 0;
+    data[p * 4] = data[p * 4 + 1] = data[p * 4 + 2] = v;
+    data[p * 4 + 3] = 255;
+  }
+  return imageData;
+};
+
+const MAX_SKEW = 5; // degrees; larger tilts are rare on a flatbed or phone scan
+const SKEW_STEP = 0.25;
+
+/**
+ * Estimate page skew in degrees with a projection profile: rotated text lines
+ * line up with the rows (high variance of per-row ink counts) at the right angle.
+ */
+export const estimateSkew = ({ data, width, height }) => {
+  const ink = [];
+  // Sample every other pixel; plenty for a line-level estimate.
+  for (let y = 0; y < height; y += 2)
+    for (let x = 0; x < width; x += 2) if (luminance(data, (y * width + x) * 4) < 128) ink.push(x, y);
+  if (ink.length < 200) return 0;
+
+  let bestAngle = 0;
+  let bestScore = -1;
+  for (let angle = -MAX_SKEW; angle <= MAX_SKEW; angle += SKEW_STEP) {
+    const rad = (angle * Math.PI) / 180;
+    const sin = Math.sin(rad);
+    const cos = Math.cos(rad);
+    const rows = new Map();
+    for (let i = 0; i < ink.length; i += 2) {
+      const row = Math.round((ink[i + 1] * cos - ink[i] * sin) / 2);
+      rows.set(row, (rows.get(row) || 0) + 1);
+    }
+    let score = 0;
+    for (const count of rows.values()) score += count * count;
+    if (score > bestScore) {
+      bestScore = score;
+      bestAngle = angle;
+    }
+  }
+  return bestAngle;
+};
+
+const rotatedCanvas = (source, degrees) => {
+  const rad = (degrees * Math.PI) / 180;
+  const sin = Math.abs(Math.sin(rad));
+  const cos = Math.abs(Math.cos(rad));
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(source.width * cos + source.height * sin);
+  canvas.height = Math.round(source.width * sin + source.height * cos);
+  const ctx = canvas.getContext("2d");
+  ctx.fillStyle = "#fff";
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.translate(canvas.width / 2, canvas.height / 2);
+  ctx.rotate(rad);
+  ctx.drawImage(source, -source.width / 2, -source.height / 2);
+  return canvas;
+};
+
+/** Apply rotation, deskew and binarization to a canvas, returning a new canvas. */
+export const preprocessCanvas = (canvas, settings) => {
+  let out = settings.rotate ? rotatedCanvas(canvas, settings.rotate) : canvas;
+  if (settings.deskew) {
+    const ctx = out.getContext("2d");
+    const skew = estimateSkew(ctx.getImageData(0, 0, out.width, out.height));
+    if (skew !== 0) out = rotatedCanvas(out, -skew);
+  }
+  if (settings.binarize) {
+    const ctx = out.getContext("2d");
+    const pixels = ctx.getImageData(0, 0, out.width, out.height);
+    ctx.putImageData(binarize(pixels), 0, 0);
+  }
+  return out;
+};
+
+// -------------------- Recognition --------------------
+export const ocrCanvas = async (canvas, settings = DEFAULT_OCR_SETTINGS) => {
+  const worker = await getWorker(settings.languages);
+  const { data } = await worker.recognize(preprocessCanvas(canvas, settings));
+  return data.text;
+};
+
+export const imageFileToCanvas = async (file) => {
+  const bitmap = await createImageBitmap(file);
+  const canvas = document.createElement("canvas");
+  canvas.width = bitmap.width;
+  canvas.height = bitmap.height;
+  canvas.getContext("2d").drawImage(bitmap, 0, 0);
+  bitmap.close();
+  return canvas;
+};
+
+export const ocrImageFile = async (file, settings = DEFAULT_OCR_SETTINGS) => {
+  if (!inNode) return ocrCanvas(await imageFileToCanvas(file), settings);
+  // No canvas in Node, so no preprocessing; Tesseract decodes the image itself.
+  const worker = await getWorker(settings.languages);
+  const { data } = await worker.recognize(globalThis.Buffer.from(await file.arrayBuffer()));
+  return data.text;
+};
+
+/** Stop the OCR worker, so a Node process can exit. */
+export const terminateOcr = async () => {
+  const worker = cached?.worker;
+  cached = null;
+  if (worker) await (await worker).terminate();
+};
@@ -0,0 +1,91 @@
+// Teacher overrides. The model's output stays untouched in `student.result`;
+// corrections live in `student.overrides` ({ [questionId]: { field: value } })
+// and every change is appended to `student.audit`.
+
+export const OVERRIDABLE_FIELDS = ["questionscore", "verdict", "feedback"];
+
+const sameValue = (a, b) => String(a ?? "") === String(b ?? "");
+
+/**
+ * The result everything downstream should read: overrides merged over the
+ * model output, each touched question carrying `overridden: [fields]`, and
+ * total_score recomputed.
+ */
+export const effectiveResult = (student) => {
+  const result = student?.result;
+  const overrides = student?.overrides;
+  if (!result?.questions || !overrides || Object.keys(overrides).length === 0) return result;
+
+  const questions = result.questions.map((q) => {
+    const o = overrides[q.id];
+    if (!o) return q;
+    const fields = Object.keys(o).filter((f) => OVERRIDABLE_FIELDS.includes(f));
+    return fields.length ? { ...q, ...o, overridden: fields } : q;
+  });
+  return {
+    ...result,
+    questions,
+    total_score: questions.reduce((sum, q) => sum + (parseFloat(q.questionscore) || 0), 0),
+  };
+};
+
+export const isOverridden = (q, field) => !!q?.overridden?.includes(field);
+
+export const hasOverrides = (student) =>
+  Object.values(student?.overrides || {}).some((o) => Object.keys(o).length > 0);
+
+/**
+ * Apply `changes` ({ field: newValue }) to one question and return the
+ * student's new { overrides, audit }. Setting a field back to the model's
+ * value removes the override; both directions are audited.
+ */
+export const applyOverride = (student, questionId, changes, reason) => {
+  const original = student.result.questions.find((q) => q.id === questionId) || {};
+  const current = effectiveResult(student).questions.find((q) => q.id === questionId) || {};
+  const at = new Date().toISOString();
+  const next = { ...(student.overrides?.[questionId] || {}) };
+  const entries = [];
+
+  for (const [field, value] of Object.entries(changes)) {
+    if (!OVERRIDABLE_FIELDS.includes(field) || sameValue(current[field], value)) continue;
+    entries.push({ questionId, field, from: current[field] ?? null, to: value, original: original[field] ?? null, reason, at });
+    if (sameValue(original[field], value)) delete next[field];
+    else next[field] = value;
+  }
+
+  const overrides = { ...(student.overrides || {}) };
+  if (Object.keys(next).length) overrides[questionId] = next;
+  else delete overrides[questionId];
+
+  return { overrides, audit: [...(student.audit || []), ...entries] };
+};
+
+/**
+ * Regrading replaces the model output the overrides were made against, so
+ * they are dropped — each one audited, with the new grade's value as `to`.
+ */
+export const dropOverrides = (student, newResult, reason) => {
+  const at = new Date().toISOString();
+  const entries = Object.entries(student.overrides || {}).flatMap(([questionId, fields]) => {
+    const original = student.result?.questions?.find((q) => q.id === questionId) || {};
+    const regraded = newResult?.questions?.find((q) => q.id === questionId) || {};
+    return Object.entries(fields).map(([field, value]) => ({
+      questionId,
+      field,
+      from: value,
+      to: regraded[field] ?? null,
+      original: original[field] ?? null,
+      reason,
+      at,
+    }));
+  });
+  return { overrides: {}, audit: [...(student.audit || []), ...entries] };
+};
+
+export const revertOverrides = (student, questionId, reason) => {
+  const original = student.result.questions.find((q) => q.id === questionId) || {};
+  const restore = Object.fromEntries(
+    Object.keys(student.overrides?.[questionId] || {}).map((f) => [f, original[f]])
+  );
+  return applyOverride(student, questionId, restore, reason);
+};
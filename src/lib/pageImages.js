@@ -0,0 +1,97 @@
+// Page images for vision models: the original PDF pages and uploaded images,
+// downscaled so their long side fits the session's size and sent as JPEG.
+// They carry what text extraction loses: diagrams, graphs, structures and
+// handwritten math. Needs a browser canvas, so only the app sends them.
+// TIFF cannot be decoded here; those scans are graded from their OCR text.
+import { getDocument } from "pdfjs-dist";
+import { loadSource } from "./sources.js";
+
+export const INPUT_MODES = {
+  text: "Extracted text",
+  images: "Page images",
+  both: "Text + page images",
+};
+
+export const IMAGE_SIZES = {
+  low: { label: "Low (768 px)", px: 768 },
+  medium: { label: "Medium (1024 px)", px: 1024 },
+  high: { label: "High (1568 px)", px: 1568 },
+};
+
+export const DEFAULT_VISION = { mode: "text", size: "medium" };
+
+// A stray 80-page upload should not become 80 images per request.
+export const MAX_IMAGE_PAGES = 20;
+
+const JPEG_QUALITY = 0.85;
+
+/** Pages a student's images would have (0 when there is no original to render). */
+export const imagePageCount = (student) => {
+  if (!student.hash) return 0;
+  if (student.sourceType === "image") return /\.tiff?$/i.test(student.name) ? 0 : 1;
+  if (student.sourceType !== "pdf") return 0;
+  const pages = student.pageRange
+    ? student.pageRange.end - student.pageRange.start + 1
+    : student.pageOffsets?.length || 1;
+  return Math.min(pages, MAX_IMAGE_PAGES);
+};
+
+const toImage = (canvas) => ({
+  mediaType: "image/jpeg",
+  data: canvas.toDataURL("image/jpeg", JPEG_QUALITY).split(",")[1],
+});
+
+const fitScale = (width, height, px) => Math.min(1, px / Math.max(width, height));
+
+const newCanvas = (width, height) => {
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(width);
+  canvas.height = Math.round(height);
+  const ctx = canvas.getContext("2d");
+  ctx.fillStyle = "#fff"; // JPEG has no transparency; keep the paper white
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  return canvas;
+};
+
+const renderPdfPages = async (blob, { start, end }, px) => {
+  const pdf = await getDocument(new Uint8Array(await blob.arrayBuffer())).promise;
+  try {
+    const images = [];
+    const last = Math.min(end, pdf.numPages - 1, start + MAX_IMAGE_PAGES - 1);
+    for (let i = start; i <= last; i++) {
+      const page = await pdf.getPage(i + 1);
+      const base = page.getViewport({ scale: 1 });
+      // Render straight at the target size rather than rendering big and shrinking.
+      const viewport = page.getViewport({ scale: px / Math.max(base.width, base.height) });
+      const canvas = newCanvas(viewport.width, viewport.height);
+      await page.render({ canvasContext: canvas.getContext("2d"), viewport }).promise;
+      images.push(toImage(canvas));
+    }
+    return images;
+  } finally {
+    await pdf.destroy();
+  }
+};
+
+const renderImage = async (blob, px) => {
+  const bitmap = await createImageBitmap(blob);
+  const scale = fitScale(bitmap.width, bitmap.height, px);
+  const canvas = newCanvas(bitmap.width * scale, bitmap.height * scale);
+  canvas.getContext("2d").drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+  return [toImage(canvas)];
+};
+
+/**
+ * Render a student's original as [{ mediaType, data }] with base64 `data`.
+ * Resolves to [] for pasted text, DOCX and text files, or when the original
+ * file is no longer available.
+ */
+export const pageImages = async (student, size = DEFAULT_VISION.size) => {
+  if (imagePageCount(student) === 0) return [];
+  const blob = await loadSource(student.hash);
+  if (!blob) return [];
+  const px = (IMAGE_SIZES[size] || IMAGE_SIZES[DEFAULT_VISION.size]).px;
+  if (student.sourceType === "image") return renderImage(blob, px);
+  return renderPdfPages(blob, student.pageRange || { start: 0, end: Infinity }, px);
+};
@@ -0,0 +1,147 @@
+// The grading pipeline shared by the app and the command-line grader:
+// importing submission files as students, and grading one student with every
+// run consistency mode asks for.
+import { gradeSubmission } from "./grading.js";
+import { combineRuns, consistencyOptions, gradingRuns } from "./consistency.js";
+import { hashFile } from "./ingest.js";
+import { logger } from "./logger.js";
+import { describeModel, supportsImages } from "./providers.js";
+import { privateRequest } from "./redaction.js";
+import { newStudentId } from "./sessions.js";
+
+// `part` is { name, content } plus where it came from: sourceType, and for
+// PDFs the pageRange it covers and the pageOffsets where each page starts.
+export const newStudent = (part, hash) => ({
+  ...part,
+  id: newStudentId(),
+  hash,
+  result: null,
+  status: "idle",
+  gradedAt: null,
+  elapsed: 0,
+});
+
+// -------------------- Import --------------------
+/**
+ * Read files into new students, skipping any whose content hash is in `known`
+ * (which is updated). `read(file)` returns the file's parts (see
+ * readSubmission); `onFile(hash, file)` runs for every file that produced any.
+ * A file that fails to read is listed in `failed` and the rest still import.
+ * Resolves to { added, duplicates, failed: [{ name, error }] }.
+ */
+export const importSubmissions = async (files, { known = new Set(), read, onFile, onProgress }) => {
+  const added = [];
+  const failed = [];
+  let duplicates = 0;
+  for (const [i, file] of files.entries()) {
+    onProgress?.(i, files.length);
+    try {
+      const hash = await hashFile(file);
+      if (known.has(hash)) {
+        duplicates++;
+        continue;
+      }
+      const parts = await read(file);
+      if (parts.length) await onFile?.(hash, file);
+      known.add(hash);
+      added.push(...parts.map((part) => newStudent(part, hash)));
+    } catch (err) {
+      failed.push({ name: file.name, error: err.message });
+    }
+  }
+  return { added, duplicates, failed };
+};
+
+// -------------------- Grading --------------------
+/**
+ * Grade one student. With `redactPii` in the settings, personal details (and
+ * the names and IDs on the `roster`) are replaced before anything is sent and
+ * restored in the result. `apiKeyFor(providerId)` supplies each run's key;
+ * `onPhase(text)` reports the run and any rate-limit wait, and
+ * `onUsage(usage, settings)` each run's tokens, failed runs included.
+ * `images` (see pageImages.js) are sent with the text, or instead of it when
+ * `includeText` is false, to the runs whose model accepts them (see
+ * supportsImages); privacy mode never sends them, as a page image cannot be
+ * redacted. Resolves to the updates for the student, with the
+ * `input` actually used; teacher overrides are the caller's to keep or drop
+ * (see dropOverrides). Throws when every run failed or on cancellation.
+ */
+export const gradeStudent = async ({
+  student,
+  settings: providerSettings,
+  apiKeyFor,
+  prompt,
+  contract,
+  answerKey,
+  key,
+  roster,
+  images = [],
+  includeText = true,
+  signal,
+  onPhase,
+  onUsage,
+}) => {
+  const runs = gradingRuns(providerSettings);
+  const request = privateRequest({ settings: providerSettings, roster, prompt, content: student.content });
+  const sentImages = providerSettings.redactPii ? [] : images;
+  const inputFor = (settings) =>
+    !sentImages.length || !supportsImages(settings) ? "text" : includeText ? "both" : "images";
+  const input = runs.map(inputFor).find((mode) => mode !== "text") || "text";
+  const outcomes = [];
+  let firstError = null;
+  for (const [run, settings] of runs.entries()) {
+    const runLabel = runs.length > 1 ? `run ${run + 1}/${runs.length}` : "";
+    onPhase?.(runLabel ? `processing ${runLabel}` : "processing");
+    try {
+      const { result, usage, attempts } = await gradeSubmission({
+        settings,
+        apiKey: apiKeyFor(settings.provider),
+        prompt: request.prompt,
+        contract,
+        answerKey,
+        key,
+        content: inputFor(settings) === "images" ? null : request.content,
+        // Read closed answers locally from the original: redaction can touch numbers.
+        answersText: student.content,
+        images: inputFor(settings) === "text" ? [] : sentImages,
+        signal,
+        onRetry: (err, attempt, wait) =>
+          onPhase?.(
+            `${runLabel ? `${runLabel}, ` : ""}retry ${attempt} in ${Math.round(wait / 1000)}s after ${err.status || "network error"}`
+          ),
+      });
+      onUsage?.(usage, settings);
+      // With every question auto-graded, no model was asked.
+      outcomes.push({
+        result: request.restore(result),
+        gradedBy: attempts ? describeModel(settings) : "answer key",
+        asked: attempts > 0,
+      });
+    } catch (err) {
+      onUsage?.(err.usage, settings);
+      if (err.name === "AbortError") throw err;
+      logger.error(`❌ Grading run ${run + 1} failed:`, err);
+      firstError = firstError || err;
+    }
+  }
+  if (!outcomes.length) throw firstError;
+
+  const combined =
+    runs.length > 1
+      ? combineRuns(outcomes, { ...consistencyOptions(providerSettings), expected: runs.length })
+      : { result: outcomes[0].result, consistency: null };
+  const disagreed = combined.consistency?.questions.some((q) => !q.agreed);
+  const asked = outcomes.some((o) => o.asked);
+  return {
+    result: combined.result,
+    consistency: combined.consistency,
+    stale: false,
+    gradedAt: new Date().toISOString(),
+    gradedBy: [...new Set(outcomes.map((o) => o.gradedBy))].join(" + "),
+    status: combined.result.validationErrors || disagreed ? "needs review" : "displayed",
+    error: null,
+    redacted: request.counts,
+    input: asked ? input : "text",
+    imagePages: asked && input !== "text" ? sentImages.length : 0,
+  };
+};
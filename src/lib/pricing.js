@@ -0,0 +1,74 @@
+// Token and cost accounting. Prices are USD per 1M tokens and editable in the
+// backend settings; models missing from the table are reported without a cost.
+
+export const DEFAULT_PRICES = {
+  "gpt-4o-mini": { input: 0.15, output: 0.6 },
+  "gpt-4o": { input: 2.5, output: 10 },
+  "gpt-4.1-mini": { input: 0.4, output: 1.6 },
+  "gpt-4.1": { input: 2, output: 8 },
+  "claude-3-5-haiku-latest": { input: 0.8, output: 4 },
+  "claude-3-7-sonnet-latest": { input: 3, output: 15 },
+  "claude-sonnet-4-0": { input: 3, output: 15 },
+};
+
+export const loadPrices = () => {
+  try {
+    return JSON.parse(localStorage.getItem("grading_prices")) || { ...DEFAULT_PRICES };
+  } catch {
+    return { ...DEFAULT_PRICES };
+  }
+};
+
+export const savePrices = (prices) =>
+  localStorage.setItem("grading_prices", JSON.stringify(prices));
+
+// Azure bills by the model behind the deployment; the deployment name is the
+// closest thing we have, so price tables can be keyed by it.
+export const pricingModel = (settings) =>
+  settings.provider === "azure" ? settings.azureDeployment : settings.model;
+
+export const costForUsage = (model, usage, prices) => {
+  const price = prices[model];
+  if (!price || !usage) return null;
+  return (
+    ((usage.promptTokens || 0) * price.input + (usage.completionTokens || 0) * price.output) /
+    1e6
+  );
+};
+
+export const addUsage = (a = {}, b = {}) => {
+  const cost = a.cost == null && b.cost == null ? null : (a.cost || 0) + (b.cost || 0);
+  return {
+    promptTokens: (a.promptTokens || 0) + (b.promptTokens || 0),
+    completionTokens: (a.completionTokens || 0) + (b.completionTokens || 0),
+    cost,
+  };
+};
+
+// Rough count for English text: ~4 characters per token.
+export const estimateTokens = (text) => Math.ceil(String(text || "").length / 4);
+
+// A page image about `px` on its long side, on a letter/A4 page. Vision APIs
+// bill roughly width × height / 750 tokens.
+export const estimatePageImageTokens = (px) => Math.ceil((px * px * 0.77) / 750);
+
+/**
+ * Estimate a batch before it runs. Each request carries the prompt, the key
+ * and one submission; the reply echoes roughly the key's questions and answers
+ * plus feedback, so completion tokens scale with the key. `imageTokens` is the
+ * batch's page images in all.
+ */
+export const estimateBatchCost = ({ prompt, keyText, contents, imageTokens = 0, model, prices }) => {
+  const fixed = estimateTokens(prompt) + estimateTokens(keyText) + 150;
+  const promptTokens =
+    contents.reduce((sum, c) => sum + fixed + estimateTokens(c), 0) + imageTokens;
+  const completionTokens = contents.length * (Math.ceil(estimateTokens(keyText) * 1.5) + 150);
+  return {
+    promptTokens,
+    completionTokens,
+    cost: costForUsage(model, { promptTokens, completionTokens }, prices),
+  };
+};
+
+export const formatCost = (cost) =>
+  cost == null ? "n/a" : cost < 0.01 ? `$${cost.toFixed(4)}` : `$${cost.toFixed(2)}`;
@@ -0,0 +1,156 @@
+// Prompt library: named grading-prompt templates with version history.
+// Templates may use {{variables}} filled from the session's settings, and
+// carry their own output contract (see validateContract in grading.js).
+// The library lives in localStorage; sessions keep the text they grade with.
+
+const LIBRARY_KEY = "prompt_library";
+
+export const DEFAULT_PROMPT =
+  "You are a grading assistant. Compare student answers to the key and provide structured results. Extract the student's name if present. For each question, return closeness %, verdict, and per-question score. Include total_score and testworth (sum of max points). Grade each questions comparing conceptually the provided key answer to the question, and admit different verbiage and phrasing, do not discount points for change of language style, grammatical errors or spelling inconsistencies. Discount points for non completeness.";
+
+// -------------------- Variables --------------------
+export const STRICTNESS_LEVELS = ["lenient", "standard", "strict"];
+
+// `fallback` stands in for an empty value so the prompt still reads well.
+export const PROMPT_VARIABLES = {
+  subject: { label: "Subject", fallback: "the subject" },
+  grade_level: { label: "Grade level", fallback: "the students' level" },
+  strictness: { label: "Strictness", fallback: "standard" },
+};
+
+export const DEFAULT_PROMPT_VARIABLES = { subject: "", grade_level: "", strictness: "standard" };
+
+/** Replace {{name}} placeholders; unknown names are left as they are. */
+export const fillVariables = (text, values = {}) =>
+  String(text || "").replace(/\{\{\s*([a-z_]+)\s*\}\}/gi, (match, name) => {
+    const variable = PROMPT_VARIABLES[name.toLowerCase()];
+    if (!variable) return match;
+    return String(values[name.toLowerCase()] ?? "").trim() || variable.fallback;
+  });
+
+export const unknownVariables = (text) =>
+  Array.from(String(text || "").matchAll(/\{\{\s*([a-z_]+)\s*\}\}/gi), (m) => m[1].toLowerCase()).filter(
+    (name, i, all) => !PROMPT_VARIABLES[name] && all.indexOf(name) === i
+  );
+
+// -------------------- Built-in templates --------------------
+export const BUILTIN_TEMPLATES = [
+  { id: "general", name: "General", prompt: DEFAULT_PROMPT },
+  {
+    id: "math",
+    name: "Math",
+    prompt:
+      "You are grading a {{subject}} test for {{grade_level}}. Compare each answer to the key. Award full points for a correct final answer with valid working, even if the method differs from the key. Give partial credit for correct setup or working with an arithmetic slip, and none for a correct answer with contradictory working. Treat equivalent forms (fractions, decimals, simplified expressions) as equal. Be {{strictness}} about units and rounding. Extract the student's name if present.",
+  },
+  {
+    id: "essay",
+    name: "Essay",
+    prompt:
+      "You are grading {{subject}} essay answers for {{grade_level}}. For each question, judge the answer against the key's expected points: thesis, supporting evidence, reasoning and conclusion. Value ideas over wording; do not penalize spelling or grammar unless the key asks for it. Be {{strictness}} when awarding partial credit for points that are mentioned but not developed. Feedback should name what was missing. Extract the student's name if present.",
+  },
+  {
+    id: "short-answer",
+    name: "Short answer",
+    prompt:
+      "You are grading short-answer {{subject}} questions for {{grade_level}}. Compare each answer conceptually to the key and accept different wording, synonyms and paraphrases. An answer with all key elements is Correct, some of them Partial, none Incorrect. Be {{strictness}} with vague or incomplete answers. Extract the student's name if present.",
+  },
+  {
+    id: "language",
+    name: "Language",
+    prompt:
+      "You are grading a {{subject}} language test for {{grade_level}}. Check each answer against the key for meaning, grammar, spelling and accents, since they are what is being assessed. Accept alternative correct forms and word orders. Give partial credit when the meaning is right but the form has errors. Be {{strictness}} with accents and capitalization. Write feedback in the student's language of instruction. Extract the student's name if present.",
+  },
+];
+
+export const isBuiltinTemplate = (id) => BUILTIN_TEMPLATES.some((t) => t.id === id);
+
+const builtinEntry = (t) => ({
+  id: t.id,
+  name: t.name,
+  versions: [{ prompt: t.prompt, contract: null, note: "Built-in", savedAt: null }],
+});
+
+/**
+ * The saved library, with any built-in template it lacks. The first load
+ * keeps a prompt saved before the library existed as a General version.
+ */
+export const loadPromptLibrary = () => {
+  let saved = null;
+  try {
+    saved = JSON.parse(localStorage.getItem(LIBRARY_KEY));
+  } catch {
+    saved = null;
+  }
+  if (Array.isArray(saved)) {
+    const missing = BUILTIN_TEMPLATES.filter((b) => !saved.some((t) => t.id === b.id));
+    return [...saved, ...missing.map(builtinEntry)];
+  }
+  const library = BUILTIN_TEMPLATES.map(builtinEntry);
+  const legacy = localStorage.getItem("grading_prompt");
+  if (legacy && legacy !== DEFAULT_PROMPT)
+    library[0].versions.push({ prompt: legacy, contract: null, note: "Saved before the library", savedAt: null });
+  return library;
+};
+
+export const savePromptLibrary = (library) =>
+  localStorage.setItem(LIBRARY_KEY, JSON.stringify(library));
+
+export const latestVersion = (template) => template.versions[template.versions.length - 1];
+
+/** Append a version unless it matches the latest one. Returns the new library. */
+export const addVersion = (library, templateId, { prompt, contract, note }) =>
+  library.map((t) => {
+    if (t.id !== templateId) return t;
+    const last = latestVersion(t);
+    if (last.prompt === prompt && (last.contract || null) === (contract || null)) return t;
+    return {
+      ...t,
+      versions: [...t.versions, { prompt, contract: contract || null, note: note || "", savedAt: new Date().toISOString() }],
+    };
+  });
+
+export const addTemplate = (library, name, { prompt, contract }) => {
+  const template = {
+    id: `custom-${Date.now().toString(36)}`,
+    name: name.trim(),
+    versions: [{ prompt, contract: contract || null, note: "Created", savedAt: new Date().toISOString() }],
+  };
+  return { library: [...library, template], template };
+};
+
+export const removeTemplate = (library, templateId) => library.filter((t) => t.id !== templateId);
+
+// -------------------- Diff --------------------
+/**
+ * Word-level diff of two texts, as [{ type: "same" | "add" | "remove", text }].
+ * Prompts are mostly one long paragraph, so lines would be too coarse.
+ */
+export const diffWords = (before, after) => {
+  const a = String(before || "").split(/(\s+)/);
+  const b = String(after || "").split(/(\s+)/);
+  // Longest common subsequence table, filled from the end.
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--)
+    for (let j = b.length - 1; j >= 0; j--)
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+
+  const parts = [];
+  const push = (type, text) => {
+    const last = parts[parts.length - 1];
+    if (last?.type === type) last.text += text;
+    else parts.push({ type, text });
+  };
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push("same", a[i]);
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) push("remove", a[i++]);
+    else push("add", b[j++]);
+  }
+  while (i < a.length) push("remove", a[i++]);
+  while (j < b.length) push("add", b[j++]);
+  return parts;
+};
@@ -0,0 +1,266 @@
+// Grading backends. Every provider turns the same { system, user, images? }
+// messages into an HTTP request and normalizes the reply to { text, usage }, so
+// the grading code never needs to know which API it is talking to. `images`
+// are page images as [{ mediaType, data }] with base64 data.
+
+export class ProviderError extends Error {
+  constructor(message, { status = 0, body = "", retryAfter = null } = {}) {
+    super(message);
+    this.name = "ProviderError";
+    this.status = status;
+    this.body = body;
+    this.retryAfter = retryAfter; // ms, from the Retry-After header when sent
+  }
+}
+
+// Retry-After is either seconds or an HTTP date; OpenAI also sends retry-after-ms.
+export const parseRetryAfter = (headers) => {
+  const ms = Number(headers.get("retry-after-ms"));
+  if (ms > 0) return ms;
+  const value = headers.get("retry-after");
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+const trimSlash = (url) => String(url || "").replace(/\/+$/, "");
+
+// Images go before the text, as both vendors' vision guides recommend.
+const openAiUserContent = (user, images) =>
+  images?.length
+    ? [
+        ...images.map((img) => ({
+          type: "image_url",
+          image_url: { url: `data:${img.mediaType};base64,${img.data}`, detail: "high" },
+        })),
+        { type: "text", text: user },
+      ]
+    : user;
+
+const anthropicUserContent = (user, images) =>
+  images?.length
+    ? [
+        ...images.map((img) => ({
+          type: "image",
+          source: { type: "base64", media_type: img.mediaType, data: img.data },
+        })),
+        { type: "text", text: user },
+      ]
+    : user;
+
+const openAiBody = (settings, { system, user, images }) => ({
+  model: settings.model,
+  messages: [
+    { role: "system", content: system },
+    { role: "user", content: openAiUserContent(user, images) },
+  ],
+  temperature: 0,
+});
+
+const openAiParse = (data) => ({
+  text: data?.choices?.[0]?.message?.content ?? "",
+  usage: {
+    promptTokens: data?.usage?.prompt_tokens ?? 0,
+    completionTokens: data?.usage?.completion_tokens ?? 0,
+  },
+});
+
+// `endpoint(settings)` is where the provider's key is sent; the desktop app
+// keeps each saved key tied to the endpoint it was saved for. `visionModels`
+// matches the models that accept page images; where the model is the user's
+// own (compatible servers, Azure deployments) the `imageInput` setting says.
+export const PROVIDERS = {
+  openai: {
+    label: "OpenAI",
+    keyLabel: "OpenAI API Key",
+    needsKey: true,
+    models: ["gpt-4o-mini", "gpt-4o", "gpt-4.1-mini", "gpt-4.1"],
+    endpoint: () => "https://api.openai.com",
+    visionModels: /^(gpt-4o|gpt-4\.1|gpt-4-turbo|gpt-5|o[134])/i,
+    buildRequest: (settings, apiKey, messages) => ({
+      url: "https://api.openai.com/v1/chat/completions",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${apiKey}`,
+      },
+      body: openAiBody(settings, messages),
+    }),
+    parseResponse: openAiParse,
+  },
+  compatible: {
+    label: "OpenAI-compatible server",
+    keyLabel: "API Key (optional)",
+    needsKey: false,
+    models: ["llama3.1", "qwen2.5", "mistral"],
+    endpoint: (settings) => trimSlash(settings.baseUrl),
+    buildRequest: (settings, apiKey, messages) => ({
+      url: `${trimSlash(settings.baseUrl)}/chat/completions`,
+      headers: {
+        "Content-Type": "application/json",
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+      },
+      body: openAiBody(settings, messages),
+    }),
+    parseResponse: openAiParse,
+  },
+  azure: {
+    label: "Azure OpenAI",
+    keyLabel: "Azure OpenAI API Key",
+    needsKey: true,
+    models: [],
+    endpoint: (settings) => trimSlash(settings.azureEndpoint),
+    buildRequest: (settings, apiKey, messages) => {
+      const { model: _model, ...body } = openAiBody(settings, messages);
+      return {
+        url:
+          `${trimSlash(settings.azureEndpoint)}/openai/deployments/` +
+          `${encodeURIComponent(settings.azureDeployment)}/chat/completions` +
+          `?api-version=${encodeURIComponent(settings.azureApiVersion)}`,
+        headers: { "Content-Type": "application/json", "api-key": apiKey },
+        body,
+      };
+    },
+    parseResponse: openAiParse,
+  },
+  anthropic: {
+    label: "Anthropic",
+    keyLabel: "Anthropic API Key",
+    needsKey: true,
+    models: ["claude-3-5-haiku-latest", "claude-3-7-sonnet-latest", "claude-sonnet-4-0"],
+    endpoint: () => "https://api.anthropic.com",
+    visionModels: /^claude-/i,
+    buildRequest: (settings, apiKey, { system, user, images }) => ({
+      url: "https://api.anthropic.com/v1/messages",
+      headers: {
+        "Content-Type": "application/json",
+        "x-api-key": apiKey,
+        "anthropic-version": "2023-06-01",
+        "anthropic-dangerous-direct-browser-access": "true",
+      },
+      body: {
+        model: settings.model,
+        max_tokens: 4096,
+        system,
+        messages: [{ role: "user", content: anthropicUserContent(user, images) }],
+        temperature: 0,
+      },
+    }),
+    parseResponse: (data) => ({
+      text: (data?.content || [])
+        .filter((block) => block.type === "text")
+        .map((block) => block.text)
+        .join(""),
+      usage: {
+        promptTokens: data?.usage?.input_tokens ?? 0,
+        completionTokens: data?.usage?.output_tokens ?? 0,
+      },
+    }),
+  },
+};
+
+// -------------------- Settings --------------------
+export const DEFAULT_PROVIDER_SETTINGS = {
+  provider: "openai",
+  model: "gpt-4o-mini",
+  baseUrl: "http://localhost:11434/v1",
+  azureEndpoint: "",
+  azureDeployment: "",
+  azureApiVersion: "2024-06-01",
+  repairAttempts: 2,
+  retryAttempts: 1,
+  concurrency: 3,
+  rateLimitRetries: 5,
+  budget: 0, // USD per batch; 0 disables the warning
+  redactPii: false, // privacy mode, see redaction.js
+  imageInput: false, // compatible and Azure: the model accepts page images
+};
+
+export const loadProviderSettings = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem("grading_provider"));
+    return { ...DEFAULT_PROVIDER_SETTINGS, ...saved };
+  } catch {
+    return { ...DEFAULT_PROVIDER_SETTINGS };
+  }
+};
+
+export const saveProviderSettings = (settings) =>
+  localStorage.setItem("grading_provider", JSON.stringify(settings));
+
+// The original OpenAI key keeps its historical storage slot.
+export const apiKeyStorageName = (providerId) =>
+  providerId === "openai" ? "openai_api_key" : `${providerId}_api_key`;
+
+export const getProvider = (providerId) => {
+  const provider = PROVIDERS[providerId];
+  if (!provider) throw new ProviderError(`Unknown provider: ${providerId}`);
+  return provider;
+};
+
+/** Whether runs with these settings may be sent page images. */
+export const supportsImages = (settings) => {
+  const { visionModels } = getProvider(settings.provider);
+  return visionModels ? visionModels.test(settings.model || "") : !!settings.imageInput;
+};
+
+export const keyEndpoint = (settings) => getProvider(settings.provider).endpoint(settings).trim();
+
+// Display label used in statuses and exports, e.g. "Anthropic · claude-3-5-haiku-latest".
+export const describeModel = (settings) =>
+  settings.provider === "azure"
+    ? `${PROVIDERS.azure.label} · ${settings.azureDeployment}`
+    : `${getProvider(settings.provider).label} · ${settings.model}`;
+
+// -------------------- Request --------------------
+// In Electron the main process holds the API keys and makes every request
+// (electron-main.js imports this module and takes the direct path below).
+const proxy = () => globalThis.window?.fastgrade?.models;
+
+let nextRequestId = 0;
+
+// Errors cross IPC as plain objects; rebuild the types the retry logic checks.
+const proxiedCompletion = async (models, settings, messages, signal) => {
+  if (signal?.aborted) throw new DOMException("Request cancelled", "AbortError");
+  const id = `${Date.now().toString(36)}-${nextRequestId++}`;
+  const cancel = () => models.cancel(id);
+  signal?.addEventListener("abort", cancel);
+  try {
+    const { reply, error } = await models.complete(id, settings, messages);
+    if (reply) return reply;
+    if (error.name === "AbortError") throw new DOMException(error.message, "AbortError");
+    if (error.name === "TypeError") throw new TypeError(error.message); // network failure
+    throw new ProviderError(error.message, error);
+  } finally {
+    signal?.removeEventListener("abort", cancel);
+  }
+};
+
+export const requestCompletion = async (settings, apiKey, messages, { signal } = {}) => {
+  const models = proxy();
+  if (models) return proxiedCompletion(models, settings, messages, signal);
+  const provider = getProvider(settings.provider);
+  const { url, headers, body } = provider.buildRequest(settings, apiKey, messages);
+
+  const response = await fetch(url, {
+    method: "POST",
+    headers,
+    body: JSON.stringify(body),
+    signal,
+  });
+
+  if (!response.ok) {
+    const text = await response.text().catch(() => "");
+    throw new ProviderError(
+      `${provider.label} request failed (${response.status})`,
+      {
+        status: response.status,
+        body: text,
+        retryAfter: parseRetryAfter(response.headers),
+      }
+    );
+  }
+
+  return provider.parseResponse(await response.json());
+};
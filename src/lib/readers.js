@@ -0,0 +1,118 @@
+// Turning uploaded files into text: plain text, DOCX, PDF (one string per
+// page, OCR for scanned ones) and images (OCR). Readers take Blobs or Files,
+// so the app and the command-line grader (scripts/grade.js) share them.
+import mammoth from "mammoth";
+import { logger } from "./logger.js";
+import { ocrCanvas, ocrImageFile } from "./ocr.js";
+import { pageStarts, sourceTypeFor } from "./sources.js";
+import { segmentName, segmentText } from "./splitting.js";
+
+const inNode = typeof document === "undefined";
+
+// The browser build of pdf.js needs DOM classes Node lacks. The legacy build
+// is left out of the app bundle, which never runs in Node.
+const NODE_PDFJS = "pdfjs-dist/legacy/build/pdf.mjs";
+const loadPdfjs = () => (inNode ? import(/* @vite-ignore */ NODE_PDFJS) : import("pdfjs-dist"));
+
+// -------------------- Readers --------------------
+export const readTxtFile = (file) => file.text();
+
+// mammoth's Node build reads Buffers, its browser build ArrayBuffers.
+export const readDocxFile = async (file) => {
+  try {
+    const data = await file.arrayBuffer();
+    const input = globalThis.Buffer ? { buffer: globalThis.Buffer.from(data) } : { arrayBuffer: data };
+    return (await mammoth.extractRawText(input)).value;
+  } catch (err) {
+    return "Error reading docx: " + err.message;
+  }
+};
+
+// Scanned pages have no text layer; render them and OCR instead.
+const OCR_RENDER_SCALE = 2;
+
+const ocrPdfPage = async (page, ocr) => {
+  if (inNode) throw new Error("scanned PDF pages can only be read in the app");
+  const viewport = page.getViewport({ scale: OCR_RENDER_SCALE });
+  const canvas = document.createElement("canvas");
+  canvas.width = viewport.width;
+  canvas.height = viewport.height;
+  await page.render({ canvasContext: canvas.getContext("2d"), viewport }).promise;
+  return ocrCanvas(canvas, ocr);
+};
+
+/** One string per page, so packets can be split on page boundaries. */
+export const readPdfPages = async (file, ocr) => {
+  const { getDocument } = await loadPdfjs();
+  const data = new Uint8Array(await file.arrayBuffer());
+  const pdf = await getDocument({ data, verbosity: inNode ? 0 : 1 }).promise;
+  try {
+    const pages = [];
+    for (let i = 1; i <= pdf.numPages; i++) {
+      const page = await pdf.getPage(i);
+      const content = await page.getTextContent();
+      let text = content.items.map((s) => s.str).join(" ");
+      if (!text.trim()) {
+        try {
+          text = await ocrPdfPage(page, ocr);
+        } catch (err) {
+          logger.error(`OCR failed on page ${i} of ${file.name}:`, err);
+        }
+      }
+      pages.push(text);
+    }
+    return pages;
+  } finally {
+    await pdf.destroy();
+  }
+};
+
+export const readPdfFile = async (file, ocr) => (await readPdfPages(file, ocr)).join("\n") + "\n";
+
+export const readImageFile = async (file, ocr) => {
+  try {
+    return await ocrImageFile(file, ocr);
+  } catch (err) {
+    return "Error reading image: " + err.message;
+  }
+};
+
+// -------------------- Answer keys and submissions --------------------
+export const readAnswerKeyFile = (file, ocr) => {
+  if (/\.txt$/i.test(file.name)) return readTxtFile(file);
+  if (/\.docx$/i.test(file.name)) return readDocxFile(file);
+  if (/\.pdf$/i.test(file.name)) return readPdfFile(file, ocr);
+  return Promise.resolve("Unsupported file type");
+};
+
+/**
+ * Read one submission file into `[{ name, content, sourceType, pageRange?,
+ * pageOffsets? }]`. `split(fileName, pages)` may divide a multi-page PDF into
+ * several students: it resolves to segments, null (keep whole) or false (skip).
+ */
+export const readSubmission = async (file, { ocr, split } = {}) => {
+  const sourceType = sourceTypeFor(file.name);
+  if (sourceType === "pdf") {
+    const pages = await readPdfPages(file, ocr);
+    const segments = split && pages.length > 1 ? await split(file.name, pages) : null;
+    if (segments === false) return [];
+    if (!segments || segments.length === 0)
+      return [{ name: file.name, content: pages.join("\n"), sourceType, pageOffsets: pageStarts(pages) }];
+    return segments.map((seg, idx) => {
+      const name = segmentName(pages, seg);
+      return {
+        name: segments.length === 1 ? file.name : `${file.name}-Student${idx + 1}${name ? ` (${name})` : ""}`,
+        content: segmentText(pages, seg),
+        sourceType,
+        pageRange: seg,
+        pageOffsets: pageStarts(pages.slice(seg.start, seg.end + 1)),
+      };
+    });
+  }
+  let content = "";
+  if (sourceType === "text") content = await readTxtFile(file);
+  else if (sourceType === "docx") content = await readDocxFile(file);
+  else if (sourceType === "image") content = await readImageFile(file, ocr);
+  else content = "Unsupported file type";
+  return [{ name: file.name, content, sourceType }];
+};
@@ -0,0 +1,154 @@
+// Privacy mode: personal details in a submission are replaced with
+// placeholders such as [NAME_1] before it is sent to a model, and put back
+// in the result locally. Placeholders are stable within a submission (the
+// same email is always the same placeholder), so the model can still refer
+// to them. Also the helpers for blind grading.
+
+export const PII_KINDS = {
+  name: "NAME",
+  id: "ID",
+  email: "EMAIL",
+  phone: "PHONE",
+};
+
+export const PLACEHOLDER_NOTE =
+  "Personal details in the submission were replaced with placeholders such as [NAME_1] or [EMAIL_1]. Copy placeholders exactly as written, including in student_name.";
+
+const PLACEHOLDER = /\[(NAME|ID|EMAIL|PHONE)_\d+\]/g;
+
+const EMAIL = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g;
+// A phone number is only taken as one after a label or a "+" country code,
+// so numeric answers such as "123.456" or "1945-1950" are left alone.
+const PHONE_DIGITS = /\(?\d[\d\s().-]{5,}\d/;
+const PHONE_LABEL = new RegExp(
+  `\\b(?:phone|tel(?:ephone)?|mobile|cell|tel[eé]fono|t[eé]l[eé]phone|t[eé]l)\\.?\\s*(?:no\\.?|number|#)?\\s*[:#]?\\s*(\\+?${PHONE_DIGITS.source})`,
+  "gi"
+);
+const PHONE_INTERNATIONAL = new RegExp(`(?<![\\w+])\\+\\d{1,3}[\\s.-]?${PHONE_DIGITS.source}`, "g");
+const MIN_PHONE_DIGITS = 7;
+// An ID has a digit, so "ID like" or "Student number one" are left alone.
+// Unlabeled numbers are never taken for IDs: a long one is as likely an answer.
+const ID_LABEL =
+  /\b(?:student\s*(?:id|no\.?|number|#)|sis\s*id|id|matr[ií]cula)\s*[:#]?\s*((?=[A-Z0-9-]*\d)[A-Z0-9][A-Z0-9-]{3,})\b/gi;
+const NAME_LABEL = /\b(?:student\s+name|student|name|nombre|nom|alumn[oa])\s*[:-]\s*/gi;
+// Students write their name in the first lines; a surname later on is as
+// likely to be "Washington" in an essay.
+const HEADER_LINES = 2;
+// Up to four capitalized words on the label's line.
+const CAPITALIZED = /\p{Lu}[\p{L}'’-]*(?:[ \t]+\p{Lu}[\p{L}'’-]*){0,3}/uy;
+
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+// \b does not know accented letters. Digits after a decimal point are not a word.
+const wholeWord = (value, flags) =>
+  new RegExp(
+    `(?<![\\p{L}\\p{N}]|\\p{N}[.,])${escapeRegex(value)}(?![\\p{L}\\p{N}]|[.,]\\p{N})`,
+    `gu${flags}`
+  );
+
+const digitCount = (text) => text.replace(/\D/g, "").length;
+
+// Only the lines where a name is expected: the header and labeled lines.
+const inNameContext = (text, replace) => {
+  let seen = 0;
+  return text
+    .split("\n")
+    .map((line) => {
+      const header = line.trim() && seen++ < HEADER_LINES;
+      return header || new RegExp(NAME_LABEL.source, "i").test(line) ? replace(line) : line;
+    })
+    .join("\n");
+};
+
+// Names written after a label such as "Name:" or "Student:".
+const labeledNames = (text) =>
+  Array.from(text.matchAll(NAME_LABEL), (m) => {
+    CAPITALIZED.lastIndex = m.index + m[0].length;
+    return CAPITALIZED.exec(text)?.[0].trim();
+  }).filter(Boolean);
+
+/**
+ * Replace names (labeled in the text or on the `roster`), ID numbers, emails
+ * and phone numbers. Returns { text, map, counts } where `map` takes each
+ * placeholder back to the original and `counts` says how many distinct
+ * details of each kind were replaced.
+ */
+export const redactPii = (content, { roster = [] } = {}) => {
+  const map = {};
+  const byValue = new Map();
+  const counts = Object.fromEntries(Object.keys(PII_KINDS).map((k) => [k, 0]));
+  const placeholder = (kind, value) => {
+    const key = `${kind}:${value.toLowerCase()}`;
+    if (!byValue.has(key)) {
+      counts[kind]++;
+      const p = `[${PII_KINDS[kind]}_${counts[kind]}]`;
+      byValue.set(key, p);
+      map[p] = value;
+    }
+    return byValue.get(key);
+  };
+
+  let text = String(content || "");
+  const names = [...roster.map((r) => r.name), ...labeledNames(text)].filter((n) => n?.trim());
+
+  text = text.replace(EMAIL, (m) => placeholder("email", m));
+  text = text.replace(ID_LABEL, (m, id) => m.replace(id, placeholder("id", id)));
+  roster
+    .filter((r) => r.id?.length >= 4)
+    .forEach((r) => (text = text.replace(wholeWord(r.id, "i"), (m) => placeholder("id", m))));
+  text = text.replace(PHONE_LABEL, (m, phone) =>
+    digitCount(phone) >= MIN_PHONE_DIGITS ? m.replace(phone, placeholder("phone", phone.trim())) : m
+  );
+  text = text.replace(PHONE_INTERNATIONAL, (m) =>
+    digitCount(m) >= MIN_PHONE_DIGITS ? placeholder("phone", m.trim()) : m
+  );
+
+  // Full names anywhere, in any case; their parts on their own only where a
+  // name is expected, and only capitalized, so "Grace" is caught and "by grace" is not.
+  const full = [...new Set(names.map((n) => n.trim()))].sort((a, b) => b.length - a.length);
+  full.forEach((n) => (text = text.replace(wholeWord(n, "i"), (m) => placeholder("name", m))));
+  const parts = new Set(full.flatMap((n) => n.split(/\s+/)).filter((p) => p.length >= 3 && /^\p{Lu}/u.test(p)));
+  text = inNameContext(text, (line) =>
+    [...parts].reduce((l, p) => l.replace(wholeWord(p, ""), (m) => placeholder("name", m)), line)
+  );
+
+  return { text, map, counts };
+};
+
+/** Put the originals back in every string of a result (or any JSON value). */
+export const restorePii = (value, map) => {
+  if (typeof value === "string") return value.replace(PLACEHOLDER, (p) => map[p] ?? p);
+  if (Array.isArray(value)) return value.map((v) => restorePii(v, map));
+  if (value && typeof value === "object")
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, restorePii(v, map)]));
+  return value;
+};
+
+/**
+ * What to send for one submission: the prompt and content, redacted when
+ * `settings.redactPii` is on, with `restore(result)` for the reply and the
+ * `counts` of what was replaced (null when nothing was redacted).
+ */
+export const privateRequest = ({ settings, roster, prompt, content }) => {
+  if (!settings.redactPii) return { prompt, content, restore: (result) => result, counts: null };
+  const { text, map, counts } = redactPii(content, { roster });
+  return {
+    prompt: `${prompt}\n\n${PLACEHOLDER_NOTE}`,
+    content: text,
+    restore: (result) => restorePii(result, map),
+    counts,
+  };
+};
+
+export const describeRedactions = (counts) =>
+  Object.entries(counts || {})
+    .filter(([, n]) => n > 0)
+    .map(([kind, n]) => `${n} ${kind === "id" ? "ID" : kind}${n === 1 ? "" : "s"}`)
+    .join(", ");
+
+// -------------------- Blind grading --------------------
+// Names stay hidden until every submission is graded with nothing left to
+// review, so they cannot sway a score or an override.
+export const gradingFinalized = (students) =>
+  students.length > 0 && students.every((s) => s.result && s.status === "displayed" && !s.stale);
+
+export const anonymousName = (index) => `Submission ${index + 1}`;
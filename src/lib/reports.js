@@ -0,0 +1,109 @@
+// Per-student PDF feedback reports, batched into one ZIP.
+import { jsPDF } from "jspdf";
+import JSZip from "jszip";
+
+const MARGIN = 48; // pt
+const LINE = 14;
+
+const VERDICT_COLORS = {
+  Correct: [22, 128, 61],
+  Partial: [194, 120, 3],
+  Incorrect: [185, 28, 28],
+};
+
+// Writes wrapped text top to bottom, adding pages as needed.
+const createWriter = (doc) => {
+  const width = doc.internal.pageSize.getWidth() - MARGIN * 2;
+  const bottom = doc.internal.pageSize.getHeight() - MARGIN;
+  let y = MARGIN;
+
+  const ensure = (height) => {
+    if (y + height > bottom) {
+      doc.addPage();
+      y = MARGIN;
+    }
+  };
+
+  return {
+    text(value, { size = 10, bold = false, color = [0, 0, 0], indent = 0 } = {}) {
+      doc.setFont("helvetica", bold ? "bold" : "normal");
+      doc.setFontSize(size);
+      doc.setTextColor(...color);
+      const lines = doc.splitTextToSize(String(value ?? ""), width - indent);
+      const height = (LINE * size) / 10;
+      for (const line of lines) {
+        ensure(height);
+        doc.text(line, MARGIN + indent, y + height * 0.8);
+        y += height;
+      }
+    },
+    gap(height = LINE / 2) {
+      y += height;
+    },
+    rule() {
+      ensure(LINE);
+      doc.setDrawColor(200);
+      doc.line(MARGIN, y + LINE / 2, MARGIN + width, y + LINE / 2);
+      y += LINE;
+    },
+  };
+};
+
+/**
+ * Render one student's report. `summary` comes from studentSummary() in
+ * exports.js; `title` is the session name.
+ */
+export const feedbackReportPdf = (summary, { title }) => {
+  const doc = new jsPDF({ unit: "pt", format: "a4" });
+  const w = createWriter(doc);
+  const { result } = summary;
+
+  w.text(title || "Feedback report", { size: 16, bold: true });
+  w.text(summary.name + (summary.id ? ` (${summary.id})` : ""), { size: 12 });
+  w.gap();
+  w.text(
+    `Score: ${summary.total} / ${summary.worth} (${summary.pct.toFixed(1)}%) — ` +
+      `${summary.pass ? "Pass" : "Fail"} — Grade ${summary.grade}`,
+    { size: 12, bold: true }
+  );
+  if (summary.curve)
+    w.text(`Curved (${summary.curve}); before the curve: ${summary.rawPct.toFixed(1)}%`, {
+      color: [55, 65, 81],
+    });
+  w.rule();
+
+  result?.questions?.forEach((q, idx) => {
+    const dropped = summary.dropped.includes(q.id) ? " (dropped for everyone)" : "";
+    w.text(`Q${idx + 1}. ${q.question || q.id}${dropped}`, { bold: true });
+    w.text(`Your answer: ${q.student_answer || "—"}`, { indent: 12 });
+    if (q.correct_answer) w.text(`Expected: ${q.correct_answer}`, { indent: 12 });
+    w.text(
+      `${q.verdict || "—"} — ${q.questionscore ?? 0}${q.maxscore != null ? ` / ${q.maxscore}` : ""} points`,
+      { indent: 12, bold: true, color: VERDICT_COLORS[q.verdict] || [0, 0, 0] }
+    );
+    if (q.feedback) w.text(q.feedback, { indent: 12, color: [55, 65, 81] });
+    w.gap();
+  });
+
+  if (result?.feedback) {
+    w.rule();
+    w.text("Overall feedback", { bold: true });
+    w.text(result.feedback);
+  }
+  return doc.output("blob");
+};
+
+const safeFileName = (name) => String(name).replace(/[\\/:*?"<>|]+/g, "_").trim() || "student";
+
+/** One PDF per graded student in a ZIP Blob. */
+export const feedbackReportsZip = async (summaries, options) => {
+  const zip = new JSZip();
+  const used = new Set();
+  for (const summary of summaries) {
+    let file = safeFileName(summary.id ? `${summary.name} (${summary.id})` : summary.name);
+    for (let n = 2; used.has(file.toLowerCase()); n++) file = `${safeFileName(summary.name)} ${n}`;
+    used.add(file.toLowerCase());
+    zip.file(`${file}.pdf`, feedbackReportPdf(summary, options));
+  }
+  return zip.generateAsync({ type: "blob" });
+};
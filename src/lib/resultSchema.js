@@ -0,0 +1,119 @@
+// The grading result contract. Everything downstream (calculateTotals, the
+// Scores Overview, exports) assumes a result that passes validateResult.
+
+export const VERDICTS = ["Correct", "Partial", "Incorrect"];
+
+const isNumber = (v) => typeof v === "number" && Number.isFinite(v);
+const isText = (v) => typeof v === "string";
+
+// Field rules, in the order errors are reported.
+export const QUESTION_FIELDS = {
+  id: { required: true, check: (v) => isText(v) && v.trim() !== "", message: "must be a non-empty string" },
+  question: { required: false, check: isText, message: "must be a string" },
+  student_answer: { required: false, check: isText, message: "must be a string" },
+  correct_answer: { required: false, check: isText, message: "must be a string" },
+  closeness: {
+    required: false,
+    check: (v) => isNumber(v) && v >= 0 && v <= 100,
+    message: "must be a number between 0 and 100",
+  },
+  verdict: {
+    required: true,
+    check: (v) => VERDICTS.includes(v),
+    message: `must be one of ${VERDICTS.join(", ")}`,
+  },
+  questionscore: {
+    required: true,
+    check: (v) => isNumber(v) && v >= 0,
+    message: "must be a non-negative number",
+  },
+  feedback: { required: false, check: isText, message: "must be a string" },
+};
+
+const TOLERANCE = 0.01;
+
+/**
+ * Validate a parsed grading result.
+ * `maxScores` maps question id → max points when the caller knows them;
+ * otherwise each question's own `maxscore` (if any) is used as the bound.
+ * Returns a list of { path, message }; empty means valid.
+ */
+export const validateResult = (result, { maxScores = {} } = {}) => {
+  const errors = [];
+  const fail = (path, message) => errors.push({ path, message });
+
+  if (!result || typeof result !== "object" || Array.isArray(result)) {
+    fail("$", "response is not a JSON object");
+    return errors;
+  }
+  if (result.error) {
+    fail("$", result.error);
+    return errors;
+  }
+
+  if (result.student_name != null && !isText(result.student_name))
+    fail("student_name", "must be a string");
+  if (result.feedback != null && !isText(result.feedback))
+    fail("feedback", "must be a string");
+
+  if (!Array.isArray(result.questions) || result.questions.length === 0) {
+    fail("questions", "must be a non-empty array");
+    return errors;
+  }
+
+  const seen = new Set();
+  let sum = 0;
+  result.questions.forEach((q, i) => {
+    const at = `questions[${i}]`;
+    if (!q || typeof q !== "object") {
+      fail(at, "must be an object");
+      return;
+    }
+    for (const [field, rule] of Object.entries(QUESTION_FIELDS)) {
+      const value = q[field];
+      if (value == null || value === "") {
+        if (rule.required) fail(`${at}.${field}`, "is required");
+      } else if (!rule.check(value)) {
+        fail(`${at}.${field}`, `${rule.message} (got ${JSON.stringify(value)})`);
+      }
+    }
+    if (q.id != null) {
+      if (seen.has(q.id)) fail(`${at}.id`, `duplicate question id "${q.id}"`);
+      seen.add(q.id);
+    }
+    const max = maxScores[q.id] ?? (isNumber(q.maxscore) ? q.maxscore : null);
+    if (isNumber(q.questionscore)) {
+      sum += q.questionscore;
+      if (max != null && q.questionscore > max + TOLERANCE)
+        fail(`${at}.questionscore`, `${q.questionscore} exceeds the maximum of ${max}`);
+    }
+  });
+
+  const expected = Object.keys(maxScores);
+  if (expected.length) {
+    expected
+      .filter((id) => !seen.has(id))
+      .forEach((id) => fail("questions", `missing question "${id}" from the answer key`));
+    result.questions.forEach((q, i) => {
+      if (q?.id != null && !(q.id in maxScores))
+        fail(`questions[${i}].id`, `"${q.id}" is not a question in the answer key`);
+    });
+  }
+
+  if (!isNumber(result.total_score)) {
+    fail("total_score", "must be a number");
+  } else if (Math.abs(result.total_score - sum) > TOLERANCE) {
+    fail("total_score", `${result.total_score} does not match the sum of question scores (${sum})`);
+  }
+
+  if (!isNumber(result.testworth) || result.testworth <= 0) {
+    fail("testworth", "must be a positive number");
+  } else if (isNumber(result.total_score) && result.total_score > result.testworth + TOLERANCE) {
+    fail("total_score", `${result.total_score} exceeds testworth ${result.testworth}`);
+  }
+
+  return errors;
+};
+
+export const formatValidationErrors = (errors) =>
+  errors.map((e) => `- ${e.path}: ${e.message}`).join("\n");
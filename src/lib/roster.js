@@ -0,0 +1,144 @@
+// Class roster import and fuzzy matching of submissions to roster entries.
+import { parseCsv } from "./csv.js";
+
+const HEADER_ALIASES = {
+  id: ["student id", "studentid", "student_id", "sis id", "sis user id", "id", "number", "student number", "matricula"],
+  name: ["name", "student name", "full name", "student", "nombre"],
+  first: ["first name", "firstname", "given name", "first"],
+  last: ["last name", "lastname", "surname", "family name", "last"],
+  email: ["email", "e-mail", "email address", "mail", "correo"],
+};
+
+const findColumn = (header, field) =>
+  header.findIndex((h) => HEADER_ALIASES[field].includes(h.trim().toLowerCase()));
+
+/**
+ * Parse a roster CSV with a header row. Needs an id column and either a
+ * name column or first/last name columns; email is optional.
+ */
+export const parseRoster = (text) => {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) throw new Error("The roster file is empty.");
+  const col = Object.fromEntries(Object.keys(HEADER_ALIASES).map((f) => [f, findColumn(header, f)]));
+  if (col.id === -1) throw new Error(`No student ID column found (headers: ${header.join(", ")}).`);
+  if (col.name === -1 && col.first === -1 && col.last === -1)
+    throw new Error(`No name column found (headers: ${header.join(", ")}).`);
+
+  const cell = (row, idx) => (idx === -1 ? "" : String(row[idx] ?? "").trim());
+  return rows
+    .map((row) => ({
+      id: cell(row, col.id),
+      name:
+        cell(row, col.name) ||
+        [cell(row, col.first), cell(row, col.last)].filter(Boolean).join(" "),
+      email: cell(row, col.email),
+    }))
+    .filter((r) => r.id);
+};
+
+// -------------------- Matching --------------------
+export const normalizeName = (value) =>
+  String(value || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "") // accents
+    .toLowerCase()
+    .replace(/\.[a-z0-9]{2,5}$/, "") // file extension
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+
+const tokens = (value) => normalizeName(value).split(" ").filter((t) => t.length > 1);
+
+const levenshtein = (a, b) => {
+  const prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let diag = prev[0];
+    prev[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const tmp = prev[j];
+      prev[j] = Math.min(prev[j] + 1, prev[j - 1] + 1, diag + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diag = tmp;
+    }
+  }
+  return prev[b.length];
+};
+
+const tokenSimilarity = (a, b) => {
+  if (a === b) return 1;
+  const longest = Math.max(a.length, b.length);
+  return longest ? 1 - levenshtein(a, b) / longest : 0;
+};
+
+// Share of the roster name's tokens found (fuzzily) in the candidate text,
+// so "smith_john_essay2.docx" still matches "John Smith".
+const nameScore = (rosterName, text) => {
+  const want = tokens(rosterName);
+  const have = tokens(text);
+  if (!want.length || !have.length) return 0;
+  const total = want.reduce(
+    (sum, w) => sum + Math.max(...have.map((h) => tokenSimilarity(w, h))),
+    0
+  );
+  return total / want.length;
+};
+
+export const scoreCandidate = (entry, { filename, extractedName, content }) => {
+  const haystack = `${filename} ${content || ""}`.toLowerCase();
+  if (entry.id.length >= 4 && haystack.includes(entry.id.toLowerCase())) return 1;
+  const local = entry.email.split("@")[0]?.toLowerCase();
+  if (local && local.length >= 4 && haystack.includes(local)) return 0.95;
+  return Math.max(nameScore(entry.name, extractedName), nameScore(entry.name, filename) * 0.95);
+};
+
+export const MATCH_THRESHOLD = 0.85;
+const AMBIGUOUS_THRESHOLD = 0.5;
+const CLEAR_MARGIN = 0.1;
+
+/**
+ * Rank roster entries for one submission. `status` is "matched" when the best
+ * candidate is strong and clearly ahead, "ambiguous" when it needs a teacher
+ * to confirm, and "unmatched" when nothing is close.
+ */
+export const matchSubmission = (student, roster) => {
+  const candidates = roster
+    .map((entry) => ({
+      rosterId: entry.id,
+      score: scoreCandidate(entry, {
+        filename: student.name,
+        extractedName: student.result?.student_name,
+        content: student.content?.slice(0, 500),
+      }),
+    }))
+    .filter((c) => c.score >= AMBIGUOUS_THRESHOLD)
+    .sort((a, b) => b.score - a.score);
+
+  const [best, second] = candidates;
+  let status = "unmatched";
+  if (best && best.score >= MATCH_THRESHOLD && (!second || best.score - second.score >= CLEAR_MARGIN))
+    status = "matched";
+  else if (best) status = "ambiguous";
+  return { status, candidates: candidates.slice(0, 5) };
+};
+
+/**
+ * Auto-match every submission not already confirmed by the teacher.
+ * Returns the updated students (same objects where nothing changed).
+ */
+export const autoMatchStudents = (students, roster) =>
+  students.map((s) => {
+    if (s.rosterMatch === "manual") return s;
+    const { status, candidates } = matchSubmission(s, roster);
+    const rosterId = status === "matched" ? candidates[0].rosterId : null;
+    if (s.rosterId === rosterId && s.rosterMatch === status) return s;
+    return { ...s, rosterId, rosterMatch: status };
+  });
+
+export const rosterEntry = (roster, id) => (id ? roster?.find((r) => r.id === id) : null);
+
+export const missingSubmissions = (roster, students) => {
+  const submitted = new Set(students.map((s) => s.rosterId).filter(Boolean));
+  return (roster || []).filter((r) => !submitted.has(r.id));
+};
+
+// Name shown everywhere: roster name, then the model-extracted name, then the file.
+export const displayName = (student, roster) =>
+  rosterEntry(roster, student.rosterId)?.name || student.result?.student_name || student.name;
@@ -0,0 +1,21 @@
+// Totals and percentages shared by the UI and the exports.
+
+export const calculateTotals = (result) => {
+  if (!result || !result.questions) return { total: 0, worth: 0, pct: 0 };
+
+  const total = result.questions.reduce(
+    (sum, q) => sum + (parseFloat(q.questionscore) || 0),
+    0
+  );
+
+  const worth =
+    result.testworth ||
+    result.questions.reduce(
+      (sum, q) => sum + (parseFloat(q.maxscore) || 1),
+      0
+    );
+
+  const pct = worth > 0 ? (total / worth) * 100 : 0;
+
+  return { total, worth, pct };
+};
@@ -0,0 +1,122 @@
+// Grading sessions: named snapshots of key, prompt, threshold, roster and results.
+// In Electron they are stored as files through the preload bridge; in a plain
+// browser (npm run dev) they fall back to localStorage.
+import { openDisagreements } from "./consistency.js";
+
+const LOCAL_KEY = "grading_sessions";
+
+const bridge = () => window.fastgrade?.sessions;
+
+const readLocal = () => {
+  try {
+    return JSON.parse(localStorage.getItem(LOCAL_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+const writeLocal = (all) => localStorage.setItem(LOCAL_KEY, JSON.stringify(all));
+
+export const newSessionId = () =>
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// Grading results are written back by student id, not list position.
+export const newStudentId = newSessionId;
+
+// Students saved before they had ids get one when the session is opened.
+export const withStudentId = (student) => (student.id ? student : { ...student, id: newStudentId() });
+
+// In-flight statuses ("sent", "processing (3s)") make no sense after a reload.
+const restStatus = (student) => {
+  if (student.result)
+    return student.result.validationErrors || openDisagreements(student).length ? "needs review" : "displayed";
+  if (student.status === "error") return "error";
+  return "idle";
+};
+
+export const serializeSession = (session) => ({
+  ...session,
+  updatedAt: new Date().toISOString(),
+  students: session.students.map((s) => ({
+    ...s,
+    status: restStatus(s),
+    elapsed: 0,
+  })),
+});
+
+export const createSession = (name = "Untitled session") => {
+  const now = new Date().toISOString();
+  return {
+    id: newSessionId(),
+    name,
+    createdAt: now,
+    updatedAt: now,
+    answerKey: "",
+    keyModel: { questions: [] },
+    gradingPrompt: null,
+    outputContract: null, // null means the built-in OUTPUT_CONTRACT
+    promptVariables: null,
+    promptTemplate: null,
+    passThreshold: 70,
+    gradingScale: null, // null means DEFAULT_SCALE
+    curve: null,
+    blindGrading: false,
+    vision: null, // null means DEFAULT_VISION (extracted text only)
+    calibration: { samples: [], cache: {} },
+    students: [],
+    roster: [],
+    lmsExport: null,
+  };
+};
+
+export const listSessions = async () => {
+  if (bridge()) return bridge().list();
+  return Object.values(readLocal())
+    .map(({ id, name, createdAt, updatedAt, students }) => ({
+      id,
+      name,
+      createdAt,
+      updatedAt,
+      studentCount: students?.length ?? 0,
+      gradedCount: students?.filter((s) => s.result).length ?? 0,
+    }))
+    .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+};
+
+export const loadSession = async (id) => {
+  if (bridge()) return bridge().load(id);
+  const session = readLocal()[id];
+  if (!session) throw new Error(`Session not found: ${id}`);
+  return session;
+};
+
+export const saveSession = async (session) => {
+  const data = serializeSession(session);
+  if (bridge()) {
+    await bridge().save(data);
+  } else {
+    writeLocal({ ...readLocal(), [data.id]: data });
+  }
+  return data;
+};
+
+// `keep` lists the open session's file hashes, so their originals survive
+// pruning even before its next autosave lands.
+export const deleteSession = async (id, keep = []) => {
+  if (bridge()) return bridge().remove(id, keep);
+  const all = readLocal();
+  delete all[id];
+  writeLocal(all);
+  return true;
+};
+
+export const duplicateSession = async (id) => {
+  const original = await loadSession(id);
+  const now = new Date().toISOString();
+  return saveSession({
+    ...original,
+    id: newSessionId(),
+    name: `${original.name} (copy)`,
+    createdAt: now,
+  });
+};
@@ -0,0 +1,112 @@
+// Original submission files, kept so the teacher can check the extracted text
+// against the real document. Files are content-addressed by the SHA-256 hash
+// already stored on each student. In Electron they are written next to the
+// sessions through the preload bridge; in a plain browser they only live in
+// memory for the current tab.
+
+const bridge = () => window.fastgrade?.sources;
+
+const memory = new Map(); // hash -> Blob
+
+export const sourceTypeFor = (fileName) => {
+  if (/\.pdf$/i.test(fileName)) return "pdf";
+  if (/\.docx$/i.test(fileName)) return "docx";
+  if (/\.(jpe?g|png|tiff?)$/i.test(fileName)) return "image";
+  if (/\.txt$/i.test(fileName)) return "text";
+  return null;
+};
+
+export const saveSource = async (hash, blob) => {
+  if (!hash || memory.has(hash)) return;
+  memory.set(hash, blob);
+  if (bridge()) await bridge().save(hash, await blob.arrayBuffer());
+};
+
+export const loadSource = async (hash) => {
+  if (!hash) return null;
+  if (memory.has(hash)) return memory.get(hash);
+  const data = bridge() ? await bridge().load(hash) : null;
+  if (!data) return null;
+  const blob = new Blob([data]);
+  memory.set(hash, blob);
+  return blob;
+};
+
+// -------------------- Text positions --------------------
+// Offsets where each page starts in text built with pages.join("\n").
+export const pageStarts = (pages) => {
+  let pos = 0;
+  return pages.map((text) => {
+    const start = pos;
+    pos += text.length + 1;
+    return start;
+  });
+};
+
+export const pageAtOffset = (starts, offset) => {
+  let page = 0;
+  starts.forEach((start, i) => {
+    if (start <= offset) page = i;
+  });
+  return page;
+};
+
+// Lowercased words-only copy of `text`, with a map back to original indexes.
+const normalizeWithMap = (text) => {
+  let out = "";
+  const map = [];
+  let space = true;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i].toLowerCase();
+    if (/[\p{L}\p{N}]/u.test(ch)) {
+      out += ch;
+      map.push(i);
+      space = false;
+    } else if (!space) {
+      out += " ";
+      map.push(i);
+      space = true;
+    }
+  }
+  return { text: out, map };
+};
+
+const WINDOW_WORDS = 5;
+
+/**
+ * Locate a model-quoted `answer` in the extracted `text`, ignoring case,
+ * punctuation and spacing. Models often trim or reword part of the quote, so
+ * when the whole answer is not found the span runs from the first to the last
+ * run of WINDOW_WORDS words that does match. Returns `{ start, end }` indexes
+ * into `text`, or null.
+ */
+export const findAnswerSpan = (text, answer) => {
+  const hay = normalizeWithMap(String(text || ""));
+  const words = normalizeWithMap(String(answer || "")).text.split(" ").filter(Boolean);
+  if (!words.length) return null;
+  const span = (at, length) => ({ start: hay.map[at], end: hay.map[at + length - 1] + 1 });
+  // Whole words only, so "at" does not match inside "that"
+  const padded = ` ${hay.text} `;
+  const find = (needle, from = 0) => padded.indexOf(` ${needle} `, from);
+
+  const whole = words.join(" ");
+  const at = find(whole);
+  if (at !== -1) return span(at, whole.length);
+  if (words.length <= WINDOW_WORDS) return null;
+
+  const windows = [];
+  for (let from = 0; from + WINDOW_WORDS <= words.length; from++)
+    windows.push(words.slice(from, from + WINDOW_WORDS).join(" "));
+  let first = -1;
+  let firstIdx = -1;
+  for (let i = 0; i < windows.length && first === -1; i++) {
+    first = find(windows[i]);
+    firstIdx = i;
+  }
+  if (first === -1) return null;
+  for (let i = windows.length - 1; i > firstIdx; i--) {
+    const last = find(windows[i], first);
+    if (last !== -1) return { start: hay.map[first], end: span(last, windows[i].length).end };
+  }
+  return span(first, windows[firstIdx].length);
+};
@@ -0,0 +1,108 @@
+// Splitting a multi-student class packet (one PDF, one page of text per
+// element of `pages`) into per-student segments of whole pages.
+
+export const SPLIT_STRATEGIES = {
+  fixed: "Fixed pages per student",
+  marker: "Marker text starts a student",
+  blank: "Blank separator page",
+};
+
+export const DEFAULT_SPLIT_SETTINGS = {
+  strategy: "marker",
+  pagesPerStudent: 2,
+  marker: "(Student|Name)\\s*:",
+};
+
+export const loadSplitSettings = () => {
+  try {
+    return { ...DEFAULT_SPLIT_SETTINGS, ...JSON.parse(localStorage.getItem("split_settings")) };
+  } catch {
+    return { ...DEFAULT_SPLIT_SETTINGS };
+  }
+};
+
+export const saveSplitSettings = (settings) =>
+  localStorage.setItem("split_settings", JSON.stringify(settings));
+
+// Scans often carry a stray page number or scanner footer on "blank" pages.
+const BLANK_PAGE_CHARS = 20;
+export const isBlankPage = (text) => String(text || "").replace(/\s+/g, "").length < BLANK_PAGE_CHARS;
+
+export const markerRegex = (marker) => {
+  try {
+    return new RegExp(marker, "i");
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Detect segments as `[{ start, end }]`, 0-based inclusive page indexes.
+ * Pages not covered by any segment (blank separators) are dropped.
+ */
+export const splitPages = (pages, { strategy, pagesPerStudent, marker }) => {
+  const count = pages.length;
+  if (count === 0) return [];
+  const segments = [];
+
+  if (strategy === "fixed") {
+    const size = Math.max(1, Math.floor(Number(pagesPerStudent)) || 1);
+    for (let start = 0; start < count; start += size)
+      segments.push({ start, end: Math.min(start + size, count) - 1 });
+    return segments;
+  }
+
+  if (strategy === "blank") {
+    let start = null;
+    pages.forEach((text, i) => {
+      if (isBlankPage(text)) {
+        if (start !== null) segments.push({ start, end: i - 1 });
+        start = null;
+      } else if (start === null) start = i;
+    });
+    if (start !== null) segments.push({ start, end: count - 1 });
+    return segments;
+  }
+
+  // marker: every page containing the marker starts a new student; pages
+  // before the first marker (a cover sheet) stay with the first student.
+  const re = markerRegex(marker);
+  const starts = re ? pages.map((text, i) => (re.test(text) ? i : -1)).filter((i) => i > 0) : [];
+  let start = 0;
+  for (const s of starts) {
+    segments.push({ start, end: s - 1 });
+    start = s;
+  }
+  segments.push({ start, end: count - 1 });
+  return segments;
+};
+
+// -------------------- Manual adjustments --------------------
+export const mergeWithNext = (segments, index) => {
+  if (index < 0 || index >= segments.length - 1) return segments;
+  const merged = { start: segments[index].start, end: segments[index + 1].end };
+  return [...segments.slice(0, index), merged, ...segments.slice(index + 2)];
+};
+
+// Split segment `index` so that `page` starts a new segment.
+export const splitAt = (segments, index, page) => {
+  const seg = segments[index];
+  if (!seg || page <= seg.start || page > seg.end) return segments;
+  return [
+    ...segments.slice(0, index),
+    { start: seg.start, end: page - 1 },
+    { start: page, end: seg.end },
+    ...segments.slice(index + 1),
+  ];
+};
+
+export const segmentText = (pages, { start, end }) => pages.slice(start, end + 1).join("\n");
+
+export const pageRangeLabel = ({ start, end }) =>
+  start === end ? `page ${start + 1}` : `pages ${start + 1}–${end + 1}`;
+
+// A name written after "Name:" on the segment's first page, if any.
+export const segmentName = (pages, { start }) => {
+  const match = String(pages[start] || "").match(/(?:student|name)\s*:\s*([^\n:]{2,60}?)(?:\s{2,}|\n|$|\s+(?:date|class|period|grade)\b)/i);
+  return match ? match[1].trim() : "";
+};
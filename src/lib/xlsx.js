@@ -0,0 +1,136 @@
+// Minimal XLSX (SpreadsheetML) writer: plain sheets of strings and numbers
+// with a bold, frozen header row. Enough for a gradebook, no formulas.
+import JSZip from "jszip";
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const NS_MAIN = "http://schemas.openxmlformats.org/spreadsheetml/2006/main";
+const NS_REL = "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+const NS_PKG_REL = "http://schemas.openxmlformats.org/package/2006/relationships";
+
+// Control characters other than tab, newline and carriage return are not allowed in XML.
+const xmlAllowed = (char) => {
+  const code = char.codePointAt(0);
+  return code >= 0x20 || code === 0x09 || code === 0x0a || code === 0x0d;
+};
+
+const escapeXml = (value) =>
+  [...String(value)]
+    .filter(xmlAllowed)
+    .join("")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// 0 -> A, 25 -> Z, 26 -> AA
+export const columnName = (index) => {
+  let name = "";
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26))
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  return name;
+};
+
+// Excel rejects sheet names over 31 characters or containing []:*?/\
+export const sheetName = (name) => String(name).replace(/[[\]:*?/\\]/g, " ").slice(0, 31) || "Sheet";
+
+const EXCEL_MAX_CELL = 32767;
+
+const cellXml = (value, ref, style) => {
+  if (value == null || value === "") return "";
+  const s = style ? ` s="${style}"` : "";
+  if (typeof value === "number" && Number.isFinite(value)) return `<c r="${ref}"${s}><v>${value}</v></c>`;
+  const text = escapeXml(String(value).slice(0, EXCEL_MAX_CELL));
+  return `<c r="${ref}"${s} t="inlineStr"><is><t xml:space="preserve">${text}</t></is></c>`;
+};
+
+const sheetXml = (rows) => {
+  const widths = [];
+  rows.forEach((row) =>
+    row.forEach((v, c) => {
+      const len = Math.min(60, String(v ?? "").length);
+      widths[c] = Math.max(widths[c] || 8, len + 2);
+    })
+  );
+  const cols = widths.length
+    ? `<cols>${widths.map((w, i) => `<col min="${i + 1}" max="${i + 1}" width="${w}" customWidth="1"/>`).join("")}</cols>`
+    : "";
+  const body = rows
+    .map(
+      (row, r) =>
+        `<row r="${r + 1}">${row.map((v, c) => cellXml(v, `${columnName(c)}${r + 1}`, r === 0 ? 1 : 0)).join("")}</row>`
+    )
+    .join("");
+  return (
+    XML_HEADER +
+    `<worksheet xmlns="${NS_MAIN}" xmlns:r="${NS_REL}">` +
+    `<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>` +
+    cols +
+    `<sheetData>${body}</sheetData></worksheet>`
+  );
+};
+
+const STYLES =
+  XML_HEADER +
+  `<styleSheet xmlns="${NS_MAIN}">` +
+  `<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>` +
+  `<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>` +
+  `<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>` +
+  `<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>` +
+  `<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>` +
+  `</styleSheet>`;
+
+/**
+ * Build a workbook from `[{ name, rows }]`, where rows[0] is the header.
+ * Returns a Blob.
+ */
+export const toXlsx = async (sheets) => {
+  const zip = new JSZip();
+  zip.file(
+    "[Content_Types].xml",
+    XML_HEADER +
+      `<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+      `<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>` +
+      `<Default Extension="xml" ContentType="application/xml"/>` +
+      `<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>` +
+      `<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>` +
+      sheets
+        .map(
+          (_, i) =>
+            `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+        )
+        .join("") +
+      `</Types>`
+  );
+  zip.file(
+    "_rels/.rels",
+    XML_HEADER +
+      `<Relationships xmlns="${NS_PKG_REL}">` +
+      `<Relationship Id="rId1" Type="${NS_REL}/officeDocument" Target="xl/workbook.xml"/>` +
+      `</Relationships>`
+  );
+  zip.file(
+    "xl/workbook.xml",
+    XML_HEADER +
+      `<workbook xmlns="${NS_MAIN}" xmlns:r="${NS_REL}"><sheets>` +
+      sheets
+        .map((s, i) => `<sheet name="${escapeXml(sheetName(s.name))}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`)
+        .join("") +
+      `</sheets></workbook>`
+  );
+  zip.file(
+    "xl/_rels/workbook.xml.rels",
+    XML_HEADER +
+      `<Relationships xmlns="${NS_PKG_REL}">` +
+      sheets
+        .map((_, i) => `<Relationship Id="rId${i + 1}" Type="${NS_REL}/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`)
+        .join("") +
+      `<Relationship Id="rId${sheets.length + 1}" Type="${NS_REL}/styles" Target="styles.xml"/>` +
+      `</Relationships>`
+  );
+  zip.file("xl/styles.xml", STYLES);
+  sheets.forEach((s, i) => zip.file(`xl/worksheets/sheet${i + 1}.xml`, sheetXml(s.rows)));
+  return zip.generateAsync({
+    type: "blob",
+    mimeType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  });
+};
@@ -0,0 +1,43 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { combineRuns } from "../src/lib/consistency.js";
+
+const run = (scores, gradedBy = "model") => ({
+  gradedBy,
+  result: {
+    questions: scores.map((score, i) => ({ id: `Q${i + 1}`, verdict: "Correct", questionscore: score, maxscore: 1 })),
+    total_score: scores.reduce((a, b) => a + b, 0),
+  },
+});
+
+test("combineRuns takes the median score per question", () => {
+  const { result, consistency } = combineRuns([run([1, 0]), run([1, 1]), run([0, 1])], {
+    tolerance: 0.5,
+    aggregate: "median",
+  });
+  assert.deepEqual(result.questions.map((q) => q.questionscore), [1, 1]);
+  assert.equal(result.total_score, 2);
+  assert.equal(consistency.questions.length, 2);
+});
+
+test("combineRuns skips runs whose reply could not be parsed", () => {
+  const unparsed = { gradedBy: "model", result: { error: "Could not parse", validationErrors: ["bad"] } };
+  const { result, consistency } = combineRuns([unparsed, run([1, 1])], { tolerance: 0.5, aggregate: "median" });
+  assert.equal(result.total_score, 2);
+  assert.equal(consistency.expected, 2);
+  assert.equal(consistency.questions.every((q) => !q.agreed), true);
+});
+
+test("combineRuns returns the first run unmerged when every run is invalid", () => {
+  const first = { error: "Could not parse model response", validationErrors: ["no questions"] };
+  const second = { error: "Could not parse model response", validationErrors: ["no questions"] };
+  const combined = combineRuns(
+    [
+      { gradedBy: "a", result: first },
+      { gradedBy: "b", result: second },
+    ],
+    { tolerance: 0.5, aggregate: "majority" }
+  );
+  assert.equal(combined.result, first);
+  assert.equal(combined.consistency, null);
+});
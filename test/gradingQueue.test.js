@@ -0,0 +1,35 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { withBackoff } from "../src/lib/gradingQueue.js";
+
+const rateLimited = () => Object.assign(new Error("Too many requests"), { status: 429, retryAfter: 60000 });
+
+test("withBackoff rejects at once when the signal is already aborted", async () => {
+  const controller = new AbortController();
+  const started = Date.now();
+  await assert.rejects(
+    withBackoff(
+      async () => {
+        controller.abort();
+        throw rateLimited();
+      },
+      { signal: controller.signal }
+    ),
+    { name: "AbortError" }
+  );
+  assert.ok(Date.now() - started < 1000);
+});
+
+test("withBackoff stops waiting when the signal aborts mid-wait", async () => {
+  const controller = new AbortController();
+  setTimeout(() => controller.abort(), 20);
+  await assert.rejects(
+    withBackoff(
+      async () => {
+        throw rateLimited();
+      },
+      { signal: controller.signal }
+    ),
+    { name: "AbortError" }
+  );
+});
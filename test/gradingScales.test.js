@@ -0,0 +1,25 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { BUILTIN_SCALES, DEFAULT_SCALE, gradeFor } from "../src/lib/gradingScales.js";
+
+const pmd = BUILTIN_SCALES.find((s) => s.id === "pass-merit-distinction");
+
+test("gradeFor takes the highest band a percentage reaches", () => {
+  assert.equal(gradeFor(DEFAULT_SCALE, 95, 70), "A");
+  assert.equal(gradeFor(DEFAULT_SCALE, 80, 70), "B");
+  assert.equal(gradeFor(DEFAULT_SCALE, 12, 70), "F");
+});
+
+test("gradeFor places the pass band at the threshold below Merit", () => {
+  assert.equal(gradeFor(pmd, 90, 50), "Distinction");
+  assert.equal(gradeFor(pmd, 72, 50), "Merit");
+  assert.equal(gradeFor(pmd, 55, 50), "Pass");
+  assert.equal(gradeFor(pmd, 49, 50), "Fail");
+});
+
+test("gradeFor keeps Pass below Merit with a threshold of 75", () => {
+  assert.equal(gradeFor(pmd, 90, 75), "Distinction");
+  assert.equal(gradeFor(pmd, 80, 75), "Merit");
+  assert.equal(gradeFor(pmd, 75, 75), "Merit");
+  assert.equal(gradeFor(pmd, 72, 75), "Fail");
+});
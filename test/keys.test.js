@@ -0,0 +1,22 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { savedKeyState } from "../src/lib/keys.js";
+import { DEFAULT_PROVIDER_SETTINGS } from "../src/lib/providers.js";
+
+const compatible = (baseUrl) => ({ ...DEFAULT_PROVIDER_SETTINGS, provider: "compatible", baseUrl });
+
+test("savedKeyState reports a key saved for the current endpoint", () => {
+  const status = { compatible: "http://localhost:11434/v1" };
+  assert.equal(savedKeyState(status, compatible("http://localhost:11434/v1/")), "saved");
+});
+
+test("savedKeyState reports a key saved for another endpoint", () => {
+  const status = { compatible: "http://localhost:11434/v1" };
+  assert.equal(savedKeyState(status, compatible("https://example.com/v1")), "elsewhere");
+  assert.equal(savedKeyState({ compatible: "" }, compatible("http://localhost:11434/v1")), "elsewhere");
+});
+
+test("savedKeyState reports a missing key", () => {
+  assert.equal(savedKeyState({ compatible: null }, compatible("http://localhost:11434/v1")), "missing");
+  assert.equal(savedKeyState({}, compatible("http://localhost:11434/v1")), "missing");
+});
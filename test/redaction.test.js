@@ -0,0 +1,29 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { redactPii, restorePii } from "../src/lib/redaction.js";
+
+test("redactPii replaces labeled and roster IDs", () => {
+  const { text, map } = redactPii("Student ID: 20231234\nRoll 4455667 signed", {
+    roster: [{ name: "Ada Lovelace", id: "4455667" }],
+  });
+  assert.equal(text, "Student ID: [ID_1]\nRoll [ID_2] signed");
+  assert.equal(restorePii(text, map), "Student ID: 20231234\nRoll 4455667 signed");
+});
+
+test("redactPii leaves an unlabeled large numeric answer alone", () => {
+  const answer = "Name: Ada Lovelace\n3. 2^24 = 16777216, so the total is 123456789.";
+  const { text, counts } = redactPii(answer);
+  assert.equal(text, "Name: [NAME_1]\n3. 2^24 = 16777216, so the total is 123456789.");
+  assert.equal(counts.id, 0);
+});
+
+test("redactPii leaves decimals and year ranges alone", () => {
+  const answer = "pi is 3.1415926 and the war ran 1939-1945; call 555.1234";
+  assert.equal(redactPii(answer).text, answer);
+});
+
+test("redactPii takes labeled and international phone numbers", () => {
+  const { text, counts } = redactPii("Phone: (555) 123-4567, or +44 20 7946 0958");
+  assert.equal(text, "Phone: [PHONE_1], or [PHONE_2]");
+  assert.equal(counts.phone, 2);
+});
@@ -2,11 +2,36 @@ import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import tailwindcss from '@tailwindcss/vite'
 
+// Strict CSP for the packaged app: nothing remote may run or be fetched.
+// Model requests are made by the Electron main process, not the page.
+// (The dev server needs inline scripts for hot reload, so build only.)
+const CSP = [
+  "default-src 'self'",
+  "script-src 'self' 'wasm-unsafe-eval'",
+  "worker-src 'self' blob:",
+  "connect-src 'self' file: data: blob:",
+  "img-src 'self' data: blob:",
+  "style-src 'self' 'unsafe-inline'",
+  "font-src 'self' data:",
+  "object-src 'none'",
+  "base-uri 'self'",
+  "form-action 'none'",
+].join('; ')
+
+const contentSecurityPolicy = () => ({
+  name: 'content-security-policy',
+  apply: 'build',
+  transformIndexHtml: () => [
+    { tag: 'meta', attrs: { 'http-equiv': 'Content-Security-Policy', content: CSP }, injectTo: 'head-prepend' },
+  ],
+})
+
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [
   	react(),
-  	tailwindcss()
+  	tailwindcss(),
+  	contentSecurityPolicy()
   ],
   base: "./",   // 👈 important: ensures assets load in Electron
 });